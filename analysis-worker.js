@@ -0,0 +1,32 @@
+/**
+ * Classical Cryptography Suite - analysis worker
+ * Runs the long attacks of cryptography-core.js off the main thread so the
+ * page stays responsive on long texts. Messages:
+ *   in:  {id, task, args, language}
+ *   out: {id, type: 'progress', done, total} | {id, type: 'result', result} | {id, type: 'error', message}
+ * Cancelling is done by the page terminating the worker.
+ */
+
+importScripts('cryptography-core.js');
+
+self.addEventListener('message', event => {
+    const { id, task, args, language } = event.data;
+    let lastPercent = -1;
+
+    // Only post when the whole percentage changes; some tasks report thousands of steps
+    const onProgress = (done, total) => {
+        const percent = Math.floor((done / total) * 100);
+        if (percent !== lastPercent) {
+            lastPercent = percent;
+            self.postMessage({ id, type: 'progress', done, total });
+        }
+    };
+
+    try {
+        CryptographyCore.setLanguage(language);
+        const result = CryptographyCore.runAnalysisTask(task, args, onProgress);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
@@ -3,313 +3,86 @@
  * Educational encryption tool with Caesar and Vigenère ciphers
  * Author: Nikhil Dabhade
  * Purpose: Learning classical cryptography algorithms and their vulnerabilities
+ *
+ * The page layer: DOM setup and event handling around the ciphers and
+ * attacks of cryptography-core.js, which must be loaded first
  */
 
+const {
+    LANGUAGES, setLanguage, getLanguage, extractLetters, groupLetters, caesarCipher,
+    VIGENERE_VARIANTS, vigenereCipher, vigenereSteps, cribDrag, cribKey, partialVigenereDecrypt, vigenereColumns,
+    substitutionCipher, isValidSubstitutionKey, keywordSubstitutionKey, randomSubstitutionKey,
+    modInverse, affineMultipliers, affineCipher,
+    railFenceCipher, columnOrder, columnarCipher, doubleTranspositionCipher,
+    hasPlaintextFrequencies, playfairKeySquare, playfairSteps, parseHillKey, matrixDeterminant,
+    matrixInverseMod26, hillSteps, crackHill, enigmaSteps, enigma, frequencyAnalysis,
+    ngramFrequencies, bigramMatrix, contactTable, indexOfCoincidence, icPeriodogram, identifyCipher, SCORING_METHODS,
+    DEFAULT_SCORING_METHOD, runAnalysisTask, traceCipher, PIPELINE_OPERATIONS, isPipelineOperation, pipelineSteps, createRecipe, parseRecipe,
+    CHALLENGE_DIFFICULTIES, createChallenge, checkChallengeAnswer, challengeScore,
+    AES_GCM_SETTINGS, aesGcmEncrypt, aesGcmDecrypt, bytesToBase64, base64ToBytes, bytesToLetters
+} = CryptographyCore;
+
 // Application state
 const AppState = {
     currentTab: 'caesar',
     currentCodeView: 'caesar',
-    frequencyChart: null
-};
-
-// English letter frequencies for comparison
-const ENGLISH_FREQUENCIES = {
-    'A': 8.2, 'B': 1.3, 'C': 2.8, 'D': 4.3, 'E': 12.7, 'F': 2.2, 'G': 2.0, 'H': 6.1, 'I': 7.0,
-    'J': 0.15, 'K': 0.8, 'L': 4.0, 'M': 2.4, 'N': 6.7, 'O': 7.5, 'P': 1.9, 'Q': 0.10, 'R': 6.0,
-    'S': 6.3, 'T': 9.1, 'U': 2.8, 'V': 1.0, 'W': 2.4, 'X': 0.15, 'Y': 2.0, 'Z': 0.07
+    pipelineStages: [],
+    frequencyChart: null,
+    icChart: null,
+    comparisonChart: null
 };
 
-/**
- * Caesar Cipher Implementation
- * Simple substitution cipher with fixed shift value
- * Time Complexity: O(n) where n is the length of input text
- * 
- * @param {string} text - Input text to encrypt/decrypt
- * @param {number} shift - Shift value (1-25)
- * @param {boolean} decrypt - Whether to decrypt (default: false)
- * @returns {string} - Processed text
- */
-function caesarCipher(text, shift, decrypt = false) {
-    // Normalize shift value and handle decryption
-    shift = parseInt(shift);
-    if (decrypt) shift = 26 - (shift % 26);
-    
-    return text.split('').map(char => {
-        // Only process alphabetic characters
-        if (/[A-Za-z]/.test(char)) {
-            // Get character code and normalize to 0-25 range
-            const code = char.toUpperCase().charCodeAt(0) - 65;
-            
-            // Apply Caesar shift with modulo arithmetic for wrap-around
-            const shifted = (code + shift) % 26;
-            
-            // Convert back to character, preserving original case
-            const newChar = String.fromCharCode(shifted + 65);
-            return char === char.toLowerCase() ? newChar.toLowerCase() : newChar;
-        }
-        
-        // Return non-alphabetic characters unchanged (spaces, punctuation, etc.)
-        return char;
-    }).join('');
-}
-
-/**
- * Vigenère Cipher Implementation
- * Polyalphabetic substitution cipher using a repeating keyword
- * Time Complexity: O(n) where n is the length of input text
- * 
- * @param {string} text - Input text to encrypt/decrypt
- * @param {string} key - Encryption key (letters only)
- * @param {boolean} decrypt - Whether to decrypt (default: false)
- * @returns {string} - Processed text
- */
-function vigenereCipher(text, key, decrypt = false) {
-    // Normalize key: uppercase and remove non-alphabetic characters
-    key = key.toUpperCase().replace(/[^A-Z]/g, '');
-    
-    // Return original text if key is empty
-    if (key.length === 0) return text;
-    
-    let keyIndex = 0;
-    
-    return text.split('').map(char => {
-        // Only process alphabetic characters
-        if (/[A-Za-z]/.test(char)) {
-            // Get character codes normalized to 0-25
-            const textCode = char.toUpperCase().charCodeAt(0) - 65;
-            const keyCode = key[keyIndex % key.length].charCodeAt(0) - 65;
-            
-            // Apply Vigenère formula: E(i) = (P(i) + K(i mod m)) mod 26
-            let shifted;
-            if (decrypt) {
-                // Decryption: D(i) = (C(i) - K(i mod m) + 26) mod 26
-                shifted = (textCode - keyCode + 26) % 26;
-            } else {
-                // Encryption: E(i) = (P(i) + K(i mod m)) mod 26
-                shifted = (textCode + keyCode) % 26;
-            }
-            
-            // Increment key position only for alphabetic characters
-            keyIndex++;
-            
-            // Convert back to character, preserving original case
-            const newChar = String.fromCharCode(shifted + 65);
-            return char === char.toLowerCase() ? newChar.toLowerCase() : newChar;
-        }
-        
-        // Return non-alphabetic characters unchanged
-        return char;
-    }).join('');
-}
-
-/**
- * Brute Force Attack Simulation for Caesar Cipher
- * Tries all possible shift values (1-25) to break the cipher
- * Demonstrates the weakness of Caesar cipher due to small key space
- * 
- * @param {string} ciphertext - Text to attack
- * @returns {Array} - Array of all possible decryptions
- */
-function bruteForceCaesar(ciphertext) {
-    const results = [];
-    
-    // Try all possible shift values
-    for (let shift = 1; shift <= 25; shift++) {
-        const decrypted = caesarCipher(ciphertext, shift, true);
-        results.push({
-            shift: shift,
-            text: decrypted,
-            // Simple heuristic: count common English words/patterns
-            score: calculateReadabilityScore(decrypted)
-        });
-    }
-    
-    // Sort by readability score (highest first)
-    return results.sort((a, b) => b.score - a.score);
-}
-
-/**
- * Simple readability scoring for brute force results
- * Counts common English patterns to identify likely plaintext
- * 
- * @param {string} text - Text to score
- * @returns {number} - Readability score
- */
-function calculateReadabilityScore(text) {
-    const commonWords = ['THE', 'AND', 'FOR', 'ARE', 'BUT', 'NOT', 'YOU', 'ALL', 'CAN', 'HER', 'WAS', 'ONE', 'OUR', 'HAD', 'DAY'];
-    const upperText = text.toUpperCase();
-    let score = 0;
-    
-    // Count occurrences of common English words
-    commonWords.forEach(word => {
-        const regex = new RegExp(`\\b${word}\\b`, 'g');
-        const matches = upperText.match(regex);
-        score += matches ? matches.length * word.length : 0;
-    });
-    
-    // Bonus for common English letter frequency patterns
-    const eCount = (upperText.match(/E/g) || []).length;
-    const tCount = (upperText.match(/T/g) || []).length;
-    score += (eCount + tCount) * 0.5;
-    
-    return score;
-}
-
-/**
- * Frequency Analysis Function
- * Analyzes letter frequencies in text for cryptanalysis
- * Essential for breaking substitution ciphers
- * 
- * @param {string} text - Text to analyze
- * @returns {Object} - Frequency analysis results
- */
-function frequencyAnalysis(text) {
-    const frequencies = {};
-    let totalLetters = 0;
-    
-    // Count each letter occurrence
-    for (const char of text.toUpperCase()) {
-        if (/[A-Z]/.test(char)) {
-            frequencies[char] = (frequencies[char] || 0) + 1;
-            totalLetters++;
-        }
-    }
-    
-    // Convert counts to percentages and create analysis array
-    const analysis = [];
-    for (const [letter, count] of Object.entries(frequencies)) {
-        analysis.push({
-            letter: letter,
-            count: count,
-            frequency: totalLetters > 0 ? ((count / totalLetters) * 100).toFixed(2) : 0
-        });
-    }
-    
-    // Sort by frequency (descending order)
-    return {
-        data: analysis.sort((a, b) => b.count - a.count),
-        totalLetters: totalLetters
-    };
-}
-
-/**
- * Kasiski Examination for Vigenère Cipher
- * Finds repeated sequences to estimate key length
- * Critical method for breaking Vigenère encryption
- * 
- * @param {string} ciphertext - Encrypted text to analyze
- * @returns {Object} - Analysis results with suggested key lengths
- */
-function kasiskiExamination(ciphertext) {
-    const text = ciphertext.toUpperCase().replace(/[^A-Z]/g, '');
-    const trigrams = {};
-    const distances = [];
-    const repeatedSequences = [];
-    
-    // Find all trigrams (3-letter sequences) and their positions
-    for (let i = 0; i <= text.length - 3; i++) {
-        const trigram = text.substr(i, 3);
-        if (!trigrams[trigram]) {
-            trigrams[trigram] = [];
-        }
-        trigrams[trigram].push(i);
-    }
-    
-    // Calculate distances between repeated trigrams
-    for (const [trigram, positions] of Object.entries(trigrams)) {
-        if (positions.length > 1) {
-            const sequenceDistances = [];
-            for (let i = 1; i < positions.length; i++) {
-                const distance = positions[i] - positions[i-1];
-                distances.push(distance);
-                sequenceDistances.push(distance);
-            }
-            
-            repeatedSequences.push({
-                sequence: trigram,
-                positions: positions,
-                distances: sequenceDistances
-            });
-        }
-    }
-    
-    // Find possible key lengths using GCD of distances
-    const possibleKeyLengths = [];
-    if (distances.length > 0) {
-        // Calculate GCD of all distances
-        const overallGcd = distances.reduce(gcd);
-        
-        // Find factors of the GCD that could be reasonable key lengths
-        for (let i = 2; i <= Math.min(overallGcd, 20); i++) {
-            if (overallGcd % i === 0) {
-                possibleKeyLengths.push(i);
-            }
-        }
-    }
-    
-    return {
-        repeatedSequences: repeatedSequences.slice(0, 10), // Show top 10
-        distances: distances,
-        possibleKeyLengths: possibleKeyLengths,
-        suggestedKeyLength: possibleKeyLengths[0] || null
-    };
-}
-
-/**
- * Greatest Common Divisor calculation using Euclidean algorithm
- * Helper function for Kasiski examination
- * 
- * @param {number} a - First number
- * @param {number} b - Second number
- * @returns {number} - GCD of a and b
- */
-function gcd(a, b) {
-    return b === 0 ? a : gcd(b, a % b);
-}
-
-/**
- * Index of Coincidence calculation
- * Statistical measure for determining if text is encrypted with polyalphabetic cipher
- * 
- * @param {string} text - Text to analyze
- * @returns {number} - Index of Coincidence value
- */
-function indexOfCoincidence(text) {
-    const counts = {};
-    let total = 0;
-    
-    // Count letter frequencies
-    for (const char of text.toUpperCase()) {
-        if (/[A-Z]/.test(char)) {
-            counts[char] = (counts[char] || 0) + 1;
-            total++;
-        }
-    }
-    
-    // Calculate IC = Σ(ni * (ni-1)) / (N * (N-1))
-    let sum = 0;
-    for (const count of Object.values(counts)) {
-        sum += count * (count - 1);
-    }
-    
-    return total > 1 ? sum / (total * (total - 1)) : 0;
-}
-
 // DOM manipulation and event handling functions
 
 /**
  * Initialize the application when DOM is loaded
  */
 function initializeApp() {
+    setupLanguageSelector();
     setupTabNavigation();
     setupCaesarCipher();
     setupVigenereCipher();
+    setupSubstitutionCipher();
+    setupAffineCipher();
+    setupTranspositionCipher();
+    setupPlayfairCipher();
+    setupHillCipher();
+    setupEnigmaMachine();
+    setupAesGcm();
+    setupPipeline();
+    setupChallenge();
     setupCodeViewer();
     setupCopyButtons();
+    setupFileTransfer();
     setupAnalysisTools();
+    setupSessionSharing();
+    
+    // Pick up where the last visit (or a shared link) left off, else start with Caesar
+    restoreSession();
+}
+
+/**
+ * Setup the language selector
+ * Switching language changes the alphabet and reference statistics of every
+ * tab, so a 'languagechange' event lets each tab re-render itself
+ */
+function setupLanguageSelector() {
+    const languageSelect = document.getElementById('language-select');
+    
+    if (!languageSelect) {
+        console.error('Language selector not found');
+        return;
+    }
     
-    // Initialize with Caesar cipher
-    switchTab('caesar');
+    languageSelect.innerHTML = Object.entries(LANGUAGES).map(([name, language]) =>
+        `<option value="${name}"${language === getLanguage() ? ' selected' : ''}>${language.label}</option>`
+    ).join('');
+    
+    languageSelect.addEventListener('change', () => {
+        setLanguage(languageSelect.value);
+        document.dispatchEvent(new CustomEvent('languagechange'));
+        showNotification(`Using the ${getLanguage().label} alphabet (${getLanguage().alphabet.length} letters)`, 'info');
+    });
 }
 
 /**
@@ -324,11 +97,6 @@ function setupTabNavigation() {
             const tabName = button.dataset.tab;
             console.log('Tab clicked:', tabName); // Debug log
             
-            // Update active button first
-            tabButtons.forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
-            
-            // Then switch tab
             switchTab(tabName);
         });
     });
@@ -341,6 +109,11 @@ function setupTabNavigation() {
 function switchTab(tabName) {
     console.log('Switching to tab:', tabName); // Debug log
     
+    // Update active button, also when the tab comes from a restored session
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === tabName);
+    });
+    
     // Hide all tab contents
     document.querySelectorAll('.tab-content').forEach(tab => {
         tab.classList.remove('active');
@@ -375,12 +148,16 @@ function setupCaesarCipher() {
     const outputText = document.getElementById('caesar-output');
     const modeInputs = document.querySelectorAll('input[name="caesar-mode"]');
     const bruteForceBtn = document.getElementById('brute-force-caesar');
+    const analysis = createAnalysisRunner();
     
     if (!shiftSlider || !shiftValue || !inputText || !outputText) {
         console.error('Caesar cipher elements not found');
         return;
     }
     
+    const player = createStepPlayer(document.querySelector('#caesar-tab .step-through'), inputText, outputText,
+        () => traceCipher('caesar', inputText.value, { shift: shiftSlider.value }, isDecryptMode()));
+    
     // Real-time shift value display and processing
     shiftSlider.addEventListener('input', (e) => {
         const newValue = e.target.value;
@@ -395,9 +172,8 @@ function setupCaesarCipher() {
         processCaesarText();
     });
     
-    // Real-time text processing
-    inputText.addEventListener('input', processCaesarText);
-    inputText.addEventListener('keyup', processCaesarText);
+    // Real-time text processing, debounced since every run redoes the whole text
+    inputText.addEventListener('input', debounce(processCaesarText));
     
     // Mode change handling
     modeInputs.forEach(input => {
@@ -409,10 +185,25 @@ function setupCaesarCipher() {
         bruteForceBtn.addEventListener('click', demonstrateBruteForce);
     }
     
+    // Shifts run from 1 to the alphabet size - 1
+    document.addEventListener('languagechange', () => {
+        const maxShift = getLanguage().alphabet.length - 1;
+        const label = document.querySelector('label[for="caesar-shift"]');
+        shiftSlider.max = maxShift;
+        if (parseInt(shiftSlider.value) > maxShift) shiftSlider.value = maxShift;
+        shiftValue.textContent = shiftSlider.value;
+        if (label) label.textContent = `Shift Value (1-${maxShift}):`;
+        processCaesarText();
+    });
+    
+    function isDecryptMode() {
+        return document.querySelector('input[name="caesar-mode"]:checked')?.value === 'decrypt';
+    }
+    
     function processCaesarText() {
         const text = inputText.value;
         const shift = parseInt(shiftSlider.value);
-        const isDecrypt = document.querySelector('input[name="caesar-mode"]:checked')?.value === 'decrypt';
+        const isDecrypt = isDecryptMode();
         
         if (text.trim()) {
             const result = caesarCipher(text, shift, isDecrypt);
@@ -422,6 +213,8 @@ function setupCaesarCipher() {
             outputText.value = '';
             updateCaesarExplanation('', shift, isDecrypt, '');
         }
+        
+        player.refresh();
     }
     
     function updateCaesarExplanation(input, shift, isDecrypt, output) {
@@ -429,22 +222,24 @@ function setupCaesarCipher() {
         
         if (!explanation) return;
         
+        const size = getLanguage().alphabet.length;
+        
         if (input.trim()) {
             const operation = isDecrypt ? 'Decryption' : 'Encryption';
-            const formula = isDecrypt ? `D(x) = (x - ${shift}) mod 26` : `E(x) = (x + ${shift}) mod 26`;
-            const example = getLetterExample(input.toUpperCase().replace(/[^A-Z]/g, '')[0], shift, isDecrypt);
+            const formula = isDecrypt ? `D(x) = (x - ${shift}) mod ${size}` : `E(x) = (x + ${shift}) mod ${size}`;
+            const example = getLetterExample(extractLetters(input)[0], shift, isDecrypt);
             
             explanation.innerHTML = `
                 <p><strong>Operation:</strong> ${operation} with shift value ${shift}</p>
                 <p><strong>Formula:</strong> ${formula}</p>
                 <p><strong>Example:</strong> ${example}</p>
-                <p><strong>Key Space:</strong> Only 25 possible keys (very insecure!)</p>
+                <p><strong>Key Space:</strong> Only ${size - 1} possible keys (very insecure!)</p>
             `;
         } else {
             explanation.innerHTML = `
-                <p><strong>Formula:</strong> E(x) = (x + n) mod 26 for encryption</p>
+                <p><strong>Formula:</strong> E(x) = (x + n) mod ${size} for encryption</p>
                 <p><strong>Example:</strong> With shift=3, 'A' becomes 'D', 'B' becomes 'E', etc.</p>
-                <p><strong>Security:</strong> Extremely weak - only 25 possible keys</p>
+                <p><strong>Security:</strong> Extremely weak - only ${size - 1} possible keys</p>
             `;
         }
     }
@@ -452,22 +247,23 @@ function setupCaesarCipher() {
     function getLetterExample(letter, shift, isDecrypt) {
         if (!letter) return "Enter text to see example";
         
-        const originalCode = letter.charCodeAt(0) - 65;
+        const alphabet = getLanguage().alphabet;
+        const originalCode = alphabet.indexOf(letter);
         let newCode;
         
         if (isDecrypt) {
-            newCode = (originalCode - shift + 26) % 26;
+            newCode = (originalCode - shift + alphabet.length) % alphabet.length;
         } else {
-            newCode = (originalCode + shift) % 26;
+            newCode = (originalCode + shift) % alphabet.length;
         }
         
-        const newLetter = String.fromCharCode(newCode + 65);
+        const newLetter = alphabet[newCode];
         const arrow = '→';
         
         return `'${letter}' ${arrow} '${newLetter}'`;
     }
     
-    function demonstrateBruteForce() {
+    async function demonstrateBruteForce() {
         const ciphertext = outputText.value;
         
         if (!ciphertext.trim()) {
@@ -481,19 +277,29 @@ function setupCaesarCipher() {
             return;
         }
         
-        resultsDiv.classList.remove('hidden');
-        resultsDiv.innerHTML = '<p><strong>Brute Force Attack Results:</strong></p>';
+        const metricSelect = document.getElementById('brute-force-metric');
+        const method = metricSelect?.value || DEFAULT_SCORING_METHOD;
+        
+        let results;
+        try {
+            results = await runAnalysis(analysis, 'bruteForceCaesar', [ciphertext, method], resultsDiv, 'Trying every shift');
+        } catch (error) {
+            if (error.name !== 'AbortError') showNotification(error.message, 'error');
+            return;
+        }
         
-        const results = bruteForceCaesar(ciphertext);
+        resultsDiv.innerHTML = `<p><strong>Brute Force Attack Results:</strong></p>
+            <p><small>Ranked by ${SCORING_METHODS[method].label}, higher is better</small></p>`;
         
         results.slice(0, 10).forEach((result, index) => {
             const resultDiv = document.createElement('div');
             resultDiv.className = 'brute-force-result';
-            resultDiv.innerHTML = `<strong>Shift ${result.shift}:</strong> ${result.text} <small>(Score: ${result.score.toFixed(1)})</small>`;
+            resultDiv.innerHTML = `<strong>Shift ${result.shift}:</strong> <span class="candidate-text"></span> <small>(Score: ${result.score.toFixed(2)})</small>`;
+            resultDiv.querySelector('.candidate-text').textContent = result.text;
             
             if (index === 0) {
                 resultDiv.style.borderLeftColor = 'var(--color-success)';
-                resultDiv.innerHTML += ' <em>← Most likely plaintext</em>';
+                resultDiv.insertAdjacentHTML('beforeend', ' <em>← Most likely plaintext</em>');
             }
             
             resultsDiv.appendChild(resultDiv);
@@ -514,104 +320,154 @@ function setupVigenereCipher() {
     const inputText = document.getElementById('vigenere-input');
     const outputText = document.getElementById('vigenere-output');
     const modeInputs = document.querySelectorAll('input[name="vigenere-mode"]');
+    const variantSelect = document.getElementById('vigenere-variant');
+    const keyLabel = document.querySelector('label[for="vigenere-key"]');
     const kasiskiBtn = document.getElementById('kasiski-analysis');
+    const crackBtn = document.getElementById('crack-vigenere');
+    const crackLengthInput = document.getElementById('vigenere-crack-length');
+    const cribInput = document.getElementById('vigenere-crib');
+    const cribBtn = document.getElementById('crib-drag');
+    const analysis = createAnalysisRunner();
     
     if (!keyInput || !inputText || !outputText) {
         console.error('Vigenère cipher elements not found');
         return;
     }
     
+    const player = createStepPlayer(document.querySelector('#vigenere-tab .step-through'), inputText, outputText,
+        () => traceCipher('vigenere', inputText.value, { key: keyInput.value, variant: getVariant() }, isDecryptMode()));
+    
     // Real-time text processing
     keyInput.addEventListener('input', processVigenereText);
-    inputText.addEventListener('input', processVigenereText);
-    inputText.addEventListener('keyup', processVigenereText);
+    inputText.addEventListener('input', debounce(processVigenereText));
     
     // Mode change handling
     modeInputs.forEach(input => {
         input.addEventListener('change', processVigenereText);
     });
     
+    // Variant change handling
+    if (variantSelect) {
+        variantSelect.addEventListener('change', () => {
+            if (keyLabel) {
+                keyLabel.textContent = getVariant() === 'running-key' ? 'Key Passage:' : 'Encryption Key:';
+            }
+            processVigenereText();
+        });
+    }
+    
+    document.addEventListener('languagechange', processVigenereText);
+    
     // Kasiski examination demonstration
     if (kasiskiBtn) {
         kasiskiBtn.addEventListener('click', demonstrateKasiski);
     }
     
+    // Automatic key recovery
+    if (crackBtn) {
+        crackBtn.addEventListener('click', demonstrateCrack);
+    }
+    
+    // Known-plaintext attack
+    if (cribBtn) {
+        cribBtn.addEventListener('click', demonstrateCribDrag);
+    }
+    
+    function getVariant() {
+        return variantSelect?.value || 'vigenere';
+    }
+    
+    function isDecryptMode() {
+        return document.querySelector('input[name="vigenere-mode"]:checked')?.value === 'decrypt';
+    }
+    
     function processVigenereText() {
         const text = inputText.value;
         const key = keyInput.value;
-        const isDecrypt = document.querySelector('input[name="vigenere-mode"]:checked')?.value === 'decrypt';
+        const isDecrypt = isDecryptMode();
+        const variant = getVariant();
         
         if (text.trim() && key.trim()) {
-            const result = vigenereCipher(text, key, isDecrypt);
-            outputText.value = result;
-            updateVigenereExplanation(text, key, isDecrypt, result);
+            try {
+                const result = vigenereCipher(text, key, isDecrypt, variant);
+                outputText.value = result;
+                updateVigenereExplanation(text, key, isDecrypt, variant);
+            } catch (error) {
+                outputText.value = '';
+                updateVigenereExplanation('', key, isDecrypt, variant, error.message);
+            }
         } else {
             outputText.value = '';
-            updateVigenereExplanation('', key, isDecrypt, '');
+            updateVigenereExplanation('', key, isDecrypt, variant);
         }
+        
+        player.refresh();
     }
     
-    function updateVigenereExplanation(input, key, isDecrypt, output) {
+    function updateVigenereExplanation(input, key, isDecrypt, variant, error = null) {
         const explanation = document.getElementById('vigenere-explanation');
         const demo = document.getElementById('vigenere-demo');
         
         if (!explanation || !demo) return;
         
-        const cleanKey = key.toUpperCase().replace(/[^A-Z]/g, '');
-        const keySpace = cleanKey.length > 0 ? `26^${cleanKey.length} = ${Math.pow(26, cleanKey.length).toLocaleString()}` : 'N/A';
+        const cleanKey = extractLetters(key);
+        const cipher = VIGENERE_VARIANTS[variant];
+        const size = getLanguage().alphabet.length;
+        let keySpace;
+        if (cipher.key === 'running') {
+            keySpace = 'every passage of the text\'s length';
+        } else {
+            keySpace = cleanKey.length > 0 ? `${size}^${cleanKey.length} = ${Math.pow(size, cleanKey.length).toLocaleString()}` : 'N/A';
+        }
+        
+        const keyNotes = {
+            repeating: 'The key repeats to match the text length',
+            autokey: 'The keyword is used once, then the plaintext itself continues the key, so the key never repeats',
+            running: 'The key is a long passage (e.g. a page of a book) used once, so it never repeats'
+        };
         
         // Update main explanation
         explanation.innerHTML = `
-            <p><strong>Formula:</strong> E(i) = (P(i) + K(i mod m)) mod 26 where m = key length</p>
+            <p><strong>Formula:</strong> ${cipher.formula.replace('mod 26', `mod ${size}`)}${cipher.key === 'repeating' ? ' where m = key length' : ''}</p>
+            <p><strong>Key:</strong> ${keyNotes[cipher.key]}</p>
             <p><strong>Key Space:</strong> ${keySpace} possible keys</p>
         `;
         
-        if (input.trim() && cleanKey) {
-            demo.innerHTML = generateVigenereDemo(input, cleanKey, isDecrypt);
+        if (error) {
+            demo.innerHTML = `<p><strong>Invalid key:</strong> ${error}</p>`;
+        } else if (input.trim() && cleanKey) {
+            demo.innerHTML = generateVigenereDemo(input, cleanKey, isDecrypt, variant);
         } else {
             demo.innerHTML = '<p>Enter text and key to see step-by-step demonstration</p>';
         }
     }
     
-    function generateVigenereDemo(text, key, isDecrypt) {
-        const cleanText = text.toUpperCase().replace(/[^A-Z]/g, '').substring(0, 20); // Limit for display
-        const repeatedKey = key.repeat(Math.ceil(cleanText.length / key.length)).substring(0, cleanText.length);
-        
-        let demo = '<div class="demo-line"><strong>Text:</strong> ' + cleanText.split('').join(' ') + '</div>';
-        demo += '<div class="demo-line"><strong>Key:</strong>  ' + repeatedKey.split('').join(' ') + '</div>';
+    function generateVigenereDemo(text, key, isDecrypt, variant) {
+        // Overview only, the step-through player covers every letter, so trace just
+        // enough of the text for the first 20 letters and one more to tell whether others follow
+        const shown = 20;
+        let end = shown + 1;
+        while (end < text.length && extractLetters(text.slice(0, end)).length <= shown) end *= 2;
+        const allSteps = vigenereSteps(text.slice(0, end), key, isDecrypt, variant);
+        const steps = allSteps.slice(0, shown);
+        const cipher = VIGENERE_VARIANTS[variant];
         
-        const operation = isDecrypt ? 'Decryption' : 'Encryption';
-        demo += `<div class="demo-line"><strong>${operation}:</strong></div>`;
+        let demo = '<div class="demo-line"><strong>Text:</strong> ' + steps.map(step => step.input).join(' ') + '</div>';
+        demo += '<div class="demo-line"><strong>Key:</strong>  ' + steps.map(step => step.key).join(' ') + '</div>';
+        demo += '<div class="demo-line"><strong>Result:</strong> ' + steps.map(step => step.output).join(' ') + '</div>';
         
-        for (let i = 0; i < Math.min(cleanText.length, 10); i++) {
-            const textChar = cleanText[i];
-            const keyChar = repeatedKey[i];
-            const textCode = textChar.charCodeAt(0) - 65;
-            const keyCode = keyChar.charCodeAt(0) - 65;
-            
-            let resultCode;
-            let formula;
-            
-            if (isDecrypt) {
-                resultCode = (textCode - keyCode + 26) % 26;
-                formula = `(${textCode} - ${keyCode} + 26) mod 26 = ${resultCode}`;
-            } else {
-                resultCode = (textCode + keyCode) % 26;
-                formula = `(${textCode} + ${keyCode}) mod 26 = ${resultCode}`;
-            }
-            
-            const resultChar = String.fromCharCode(resultCode + 65);
-            demo += `<div class="demo-line">${textChar} + ${keyChar}: ${formula} → ${resultChar}</div>`;
+        if (cipher.key === 'autokey') {
+            demo += `<div class="demo-line"><em>Key letters after "${key}" are the plaintext shifted along by ${key.length}</em></div>`;
         }
         
-        if (cleanText.length > 10) {
-            demo += '<div class="demo-line"><em>... and so on for remaining characters</em></div>';
+        if (steps.length < allSteps.length) {
+            demo += '<div class="demo-line"><em>... and so on for the remaining letters</em></div>';
         }
         
         return demo;
     }
     
-    function demonstrateKasiski() {
+    async function demonstrateKasiski() {
         const ciphertext = outputText.value;
         
         if (!ciphertext.trim() || ciphertext.length < 30) {
@@ -625,213 +481,3304 @@ function setupVigenereCipher() {
             return;
         }
         
-        resultsDiv.classList.remove('hidden');
-        
-        const analysis = kasiskiExamination(ciphertext);
+        let estimate;
+        try {
+            estimate = await runAnalysis(analysis, 'estimateKeyLength', [ciphertext, 20], resultsDiv, 'Examining key lengths');
+        } catch (error) {
+            if (error.name !== 'AbortError') showNotification(error.message, 'error');
+            return;
+        }
+        const kasiski = estimate.kasiski;
         
         let resultsHTML = '<p><strong>Kasiski Examination Results:</strong></p>';
         
-        if (analysis.repeatedSequences.length > 0) {
+        if (kasiski.repeatedSequences.length > 0) {
             resultsHTML += '<p><strong>Repeated Sequences Found:</strong></p>';
-            analysis.repeatedSequences.forEach(seq => {
+            kasiski.repeatedSequences.forEach(seq => {
                 resultsHTML += `<div class="brute-force-result">
                     <strong>${seq.sequence}:</strong> Found at positions ${seq.positions.join(', ')} 
                     (distances: ${seq.distances.join(', ')})
                 </div>`;
             });
             
-            if (analysis.possibleKeyLengths.length > 0) {
-                resultsHTML += `<p><strong>Suggested Key Lengths:</strong> ${analysis.possibleKeyLengths.join(', ')}</p>`;
-                resultsHTML += `<p><strong>Most Likely Key Length:</strong> ${analysis.suggestedKeyLength}</p>`;
+            if (kasiski.possibleKeyLengths.length > 0) {
+                const votes = kasiski.possibleKeyLengths.map(length => `${length} (${kasiski.factorVotes[length]} votes)`);
+                resultsHTML += `<p><strong>Kasiski Factor Votes:</strong> ${votes.join(', ')}</p>`;
             }
-            
-            // Calculate Index of Coincidence
-            const ic = indexOfCoincidence(ciphertext);
-            resultsHTML += `<p><strong>Index of Coincidence:</strong> ${ic.toFixed(4)} 
-                (English ≈ 0.067, Random ≈ 0.038)</p>`;
         } else {
             resultsHTML += '<p>No repeated trigrams found. Text may be too short or use a very long key.</p>';
         }
         
+        // Calculate Index of Coincidence
+        const ic = indexOfCoincidence(ciphertext);
+        const language = getLanguage();
+        resultsHTML += `<p><strong>Index of Coincidence:</strong> ${ic.toFixed(4)} 
+            (${language.label} ≈ ${language.ic.toFixed(3)}, Random ≈ ${(1 / language.alphabet.length).toFixed(3)})</p>`;
+        
+        if (estimate.friedman) {
+            resultsHTML += `<p><strong>Friedman Estimate:</strong> ${estimate.friedman.toFixed(1)} letters</p>`;
+        }
+        
+        // Ranked key lengths combining factor votes, column IC and Friedman
+        if (estimate.ranked.length > 0) {
+            resultsHTML += '<p><strong>Ranked Key Lengths:</strong></p>';
+            resultsHTML += `<div class="vulnerability-table"><table>
+                <thead><tr><th>Length</th><th>Confidence</th><th>Avg. Column IC</th><th>Kasiski Votes</th></tr></thead><tbody>`;
+            estimate.ranked.slice(0, 5).forEach(period => {
+                resultsHTML += `<tr>
+                    <td>${period.length}</td>
+                    <td>${(period.confidence * 100).toFixed(1)}%</td>
+                    <td>${period.averageIC.toFixed(4)}</td>
+                    <td>${period.kasiskiVotes}</td>
+                </tr>`;
+            });
+            resultsHTML += '</tbody></table></div>';
+            resultsHTML += `<p><strong>Most Likely Key Length:</strong> ${estimate.suggestedKeyLength}</p>`;
+        }
+        
+        // Non-periodic keys leave nothing for Kasiski to find
+        const variant = getVariant();
+        if (variant === 'autokey') {
+            resultsHTML += `<p><strong>Why this fails for Autokey:</strong> after the keyword, the key is the plaintext itself, 
+                so it never repeats. Repeated words are enciphered with different key letters each time, the distances 
+                between repeats share no common factor and every column IC stays near random — there is no period to find.</p>`;
+        } else if (variant === 'running-key') {
+            resultsHTML += `<p><strong>Why this fails for a Running Key:</strong> the key passage is as long as the message 
+                and never repeats, so repeats and column ICs carry no period. Attacks instead look for English in both the 
+                plaintext and the key at once.</p>`;
+        }
+        
         resultsDiv.innerHTML = resultsHTML;
         showNotification('Kasiski examination completed!', 'success');
     }
     
-    // Initial processing
-    processVigenereText();
-}
-
-/**
- * Setup code viewer functionality
- */
-function setupCodeViewer() {
-    const codeButtons = document.querySelectorAll('.code-btn');
+    async function demonstrateCrack() {
+        // In decrypt mode the input is the ciphertext, otherwise attack our own output
+        const isDecrypt = document.querySelector('input[name="vigenere-mode"]:checked')?.value === 'decrypt';
+        const ciphertext = isDecrypt ? inputText.value : outputText.value;
+        
+        if (!ciphertext.trim() || ciphertext.length < 30) {
+            showNotification('Please enter a longer ciphertext to recover the key!', 'error');
+            return;
+        }
+        
+        const resultsDiv = document.getElementById('crack-results');
+        if (!resultsDiv) {
+            console.error('Crack results div not found');
+            return;
+        }
+        
+        // Blank leaves the key length to the estimator
+        const keyLength = crackLengthInput?.value.trim() ? parseInt(crackLengthInput.value) : null;
+        if (keyLength !== null && !(keyLength >= 1)) {
+            showNotification('Key length must be a positive whole number, or blank to estimate it', 'error');
+            return;
+        }
+        
+        let candidates;
+        try {
+            candidates = await runAnalysis(analysis, 'crackVigenere',
+                [ciphertext, 5, DEFAULT_SCORING_METHOD, getVariant(), keyLength], resultsDiv, 'Recovering the key');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            resultsDiv.innerHTML = `<p><strong>Key Recovery Unavailable:</strong> ${error.message}. 
+                Run the Kasiski examination to see why.</p>`;
+            showNotification(error.message, 'error');
+            return;
+        }
+        
+        resultsDiv.innerHTML = `<p><strong>Key Recovery Results:</strong></p>
+            <p><small>Ranked by ${SCORING_METHODS[DEFAULT_SCORING_METHOD].label}, higher is better</small></p>`;
+        
+        if (candidates.length === 0) {
+            resultsDiv.innerHTML += '<p>No key candidates found. Text may be too short.</p>';
+            return;
+        }
+        
+        candidates.forEach((candidate, index) => {
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'brute-force-result crack-result';
+            resultDiv.innerHTML = `<div><strong>Key ${candidate.key}</strong> (length ${candidate.keyLength}): 
+                <span class="candidate-text"></span> 
+                <small>(Score: ${candidate.score.toFixed(2)})</small></div>`;
+            resultDiv.querySelector('.candidate-text').textContent =
+                candidate.plaintext.length > 80 ? candidate.plaintext.substring(0, 80) + '…' : candidate.plaintext;
+            
+            if (index === 0) {
+                resultDiv.style.borderLeftColor = 'var(--color-success)';
+            }
+            
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'btn btn--secondary btn--sm';
+            applyBtn.textContent = 'Apply Key';
+            applyBtn.addEventListener('click', () => applyRecoveredKey(ciphertext, candidate.key));
+            resultDiv.appendChild(applyBtn);
+            
+            resultsDiv.appendChild(resultDiv);
+        });
+        
+        showNotification('Key recovery completed!', 'success');
+    }
     
-    codeButtons.forEach(button => {
-        button.addEventListener('click', (e) => {
-            e.preventDefault();
-            const codeType = button.dataset.code;
-            console.log('Code view clicked:', codeType); // Debug log
+    function applyRecoveredKey(ciphertext, key) {
+        // Switch to decryption of the attacked ciphertext with the recovered key
+        const decryptInput = document.querySelector('input[name="vigenere-mode"][value="decrypt"]');
+        if (decryptInput) decryptInput.checked = true;
+        
+        inputText.value = ciphertext;
+        keyInput.value = key;
+        processVigenereText();
+        
+        showNotification(`Applied key "${key}"`, 'success');
+    }
+    
+    function demonstrateCribDrag() {
+        const isDecrypt = document.querySelector('input[name="vigenere-mode"]:checked')?.value === 'decrypt';
+        const ciphertext = isDecrypt ? inputText.value : outputText.value;
+        const variant = getVariant();
+        const resultsDiv = document.getElementById('crib-results');
+        
+        if (!resultsDiv) {
+            console.error('Crib results div not found');
+            return;
+        }
+        
+        let result;
+        try {
+            result = cribDrag(ciphertext, cribInput ? cribInput.value : '', variant);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+        
+        // Repeating fragments first, then the most word-like ones
+        const ranked = result.offsets.slice().sort((a, b) =>
+            b.consistentLengths.length - a.consistentLengths.length || b.score - a.score);
+        const hits = ranked.filter(entry => entry.consistentLengths.length > 0);
+        const periodic = VIGENERE_VARIANTS[variant].key === 'repeating';
+        
+        resultsDiv.classList.remove('hidden');
+        resultsDiv.innerHTML = `<p><strong>Crib Dragging Results:</strong></p>
+            <p><small>${result.offsets.length} offsets tried${periodic
+                ? `; key lengths tested: ${result.keyLengths.join(', ') || 'none'} (from Kasiski and the IC)`
+                : ''}. ${hits.length} offset${hits.length === 1 ? ' repeats' : 's repeat'} consistently.</small></p>`;
+        
+        if (!periodic) {
+            resultsDiv.innerHTML += variant === 'autokey'
+                ? `<p><strong>Autokey:</strong> past the keyword the key is the plaintext, so at the right offset 
+                    the fragment is readable text from earlier in the message rather than a repeating pattern.</p>`
+                : `<p><strong>Running key:</strong> at the right offset the fragment is readable text from the 
+                    key passage, so look for the most word-like fragments.</p>`;
+        }
+        
+        const preview = document.createElement('div');
+        
+        ranked.slice(0, 12).forEach(entry => {
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'brute-force-result crack-result';
+            resultDiv.innerHTML = `<div><strong>Offset ${entry.offset}</strong>: key fragment ${entry.fragment}
+                ${entry.consistentLengths.length
+                    ? `<small>(repeats with key length ${entry.consistentLengths.join(' or ')})</small>`
+                    : `<small>(Score: ${entry.score.toFixed(2)})</small>`}</div>`;
+            
+            if (entry.consistentLengths.length) {
+                resultDiv.style.borderLeftColor = 'var(--color-success)';
+            }
             
-            // Update active button
-            codeButtons.forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
+            if (periodic) {
+                const acceptBtn = document.createElement('button');
+                acceptBtn.className = 'btn btn--secondary btn--sm';
+                acceptBtn.textContent = 'Accept Fragment';
+                acceptBtn.addEventListener('click', () => {
+                    const keyLength = entry.consistentLengths[0] || result.keyLengths[0] || entry.fragment.length;
+                    showCribPreview(preview, ciphertext, entry, keyLength);
+                });
+                resultDiv.appendChild(acceptBtn);
+            }
             
-            // Switch code view
-            switchCodeView(codeType);
+            resultsDiv.appendChild(resultDiv);
         });
-    });
+        
+        resultsDiv.appendChild(preview);
+        showNotification(hits.length ? `The crib fits at offset ${hits[0].offset}` : 'Crib dragging completed!',
+            hits.length ? 'success' : 'info');
+    }
+    
+    // Partial decryption with the key letters one accepted fragment reveals
+    function showCribPreview(preview, ciphertext, entry, keyLength) {
+        preview.className = 'crib-preview';
+        preview.innerHTML = `<p><strong>Fragment at offset ${entry.offset}:</strong></p>
+            <div class="form-group">
+                <label for="crib-key-length" class="form-label">Key length:</label>
+                <input type="number" id="crib-key-length" class="form-control" min="1" max="40" value="${keyLength}">
+            </div>
+            <div class="demo-line crib-partial-key"></div>
+            <div class="demo-line crib-partial-text"></div>`;
+        
+        const lengthInput = preview.querySelector('#crib-key-length');
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'btn btn--secondary btn--sm';
+        applyBtn.textContent = 'Apply Key';
+        preview.appendChild(applyBtn);
+        
+        const render = () => {
+            const length = parseInt(lengthInput.value);
+            if (isNaN(length) || length < 1) return;
+            
+            const key = cribKey(entry.fragment, entry.offset, length);
+            const known = [...key].filter(letter => letter !== '?').length;
+            preview.querySelector('.crib-partial-key').textContent =
+                `Key: ${key} (${known} of ${length} letters known)`;
+            preview.querySelector('.crib-partial-text').textContent =
+                partialVigenereDecrypt(ciphertext, key, getVariant()).substring(0, 300);
+            
+            // The key field needs every letter; fill gaps by running Crack It or a longer crib
+            applyBtn.disabled = key.includes('?');
+            applyBtn.onclick = () => applyRecoveredKey(ciphertext, key);
+        };
+        
+        lengthInput.addEventListener('input', render);
+        render();
+        preview.scrollIntoView({ block: 'nearest' });
+    }
+    
+    // Initial processing
+    processVigenereText();
 }
 
 /**
- * Switch between different code views
- * @param {string} codeType - Type of code to display
+ * Setup substitution cipher functionality with real-time processing
+ * and the interactive hill-climbing solver
  */
-function switchCodeView(codeType) {
-    console.log('Switching to code view:', codeType); // Debug log
+function setupSubstitutionCipher() {
+    const keywordInput = document.getElementById('substitution-keyword');
+    const keyInput = document.getElementById('substitution-key');
+    const randomKeyBtn = document.getElementById('substitution-random-key');
+    const inputText = document.getElementById('substitution-input');
+    const outputText = document.getElementById('substitution-output');
+    const modeInputs = document.querySelectorAll('input[name="substitution-mode"]');
+    const mappingGrid = document.getElementById('substitution-mapping');
+    const solveBtn = document.getElementById('solve-substitution');
+    const stopBtn = document.getElementById('stop-substitution');
+    const clearLocksBtn = document.getElementById('clear-substitution-locks');
     
-    // Hide all code displays
-    document.querySelectorAll('.code-display').forEach(display => {
-        display.classList.remove('active');
-        display.classList.add('hidden');
+    if (!keywordInput || !keyInput || !inputText || !outputText) {
+        console.error('Substitution cipher elements not found');
+        return;
+    }
+    
+    const player = createStepPlayer(document.querySelector('#substitution-tab .step-through'), inputText, outputText,
+        () => traceCipher('substitution', inputText.value, { key: keyInput.value }, isDecryptMode()));
+    
+    // Number of random restarts per solver run
+    const SOLVER_RESTARTS = 20;
+    const analysis = createAnalysisRunner();
+    let solverRunning = false;
+    
+    // Keyword and random keys both fill in the full cipher alphabet
+    keywordInput.addEventListener('input', () => {
+        keyInput.value = keywordSubstitutionKey(keywordInput.value);
+        processSubstitutionText();
     });
     
-    // Show selected code display
+    if (randomKeyBtn) {
+        randomKeyBtn.addEventListener('click', () => {
+            keywordInput.value = '';
+            keyInput.value = randomSubstitutionKey();
+            processSubstitutionText();
+        });
+    }
+    
+    keyInput.addEventListener('input', () => {
+        keyInput.value = extractLetters(keyInput.value);
+        processSubstitutionText();
+    });
+    
+    // A new alphabet needs a new key and a new mapping grid
+    document.addEventListener('languagechange', () => {
+        keyInput.maxLength = getLanguage().alphabet.length;
+        keyInput.value = keywordSubstitutionKey(keywordInput.value);
+        buildMappingGrid();
+        processSubstitutionText();
+    });
+    
+    // Real-time text processing
+    inputText.addEventListener('input', debounce(processSubstitutionText));
+    
+    // Mode change handling
+    modeInputs.forEach(input => {
+        input.addEventListener('change', processSubstitutionText);
+    });
+    
+    // Solver controls
+    buildMappingGrid();
+    
+    if (solveBtn) {
+        solveBtn.addEventListener('click', startSolver);
+    }
+    
+    if (stopBtn) {
+        stopBtn.addEventListener('click', () => stopSolver('Solver stopped'));
+    }
+    
+    if (clearLocksBtn) {
+        clearLocksBtn.addEventListener('click', () => {
+            mappingGrid.querySelectorAll('input[type="checkbox"]').forEach(lock => { lock.checked = false; });
+        });
+    }
+    
+    function isDecryptMode() {
+        return document.querySelector('input[name="substitution-mode"]:checked')?.value === 'decrypt';
+    }
+    
+    function processSubstitutionText() {
+        const text = inputText.value;
+        const key = keyInput.value;
+        const isDecrypt = isDecryptMode();
+        
+        if (!isValidSubstitutionKey(key)) {
+            outputText.value = '';
+            updateSubstitutionExplanation(key, `The cipher alphabet must contain all ${getLanguage().alphabet.length} letters exactly once.`);
+        } else {
+            outputText.value = text.trim() ? substitutionCipher(text, key, isDecrypt) : '';
+            updateSubstitutionExplanation(key, null);
+        }
+        
+        player.refresh();
+    }
+    
+    function updateSubstitutionExplanation(key, error) {
+        const explanation = document.getElementById('substitution-explanation');
+        
+        if (!explanation) return;
+        
+        if (error) {
+            explanation.innerHTML = `<p><strong>Invalid key:</strong> ${error}</p>`;
+            return;
+        }
+        
+        const alphabet = getLanguage().alphabet;
+        
+        // log10(n!) gives the order of magnitude of the key space
+        let digits = 0;
+        for (let i = 2; i <= alphabet.length; i++) digits += Math.log10(i);
+        const keySpace = `${alphabet.length}! ≈ ${Math.round(Math.pow(10, digits % 1))} × 10^${Math.floor(digits)}`;
+        
+        explanation.innerHTML = `
+            <p><strong>Rule:</strong> Each plaintext letter is replaced by the letter below it in the cipher alphabet</p>
+            <div class="demo-line"><strong>Plain:</strong>  ${alphabet.split('').join(' ')}</div>
+            <div class="demo-line"><strong>Cipher:</strong> ${key.split('').join(' ')}</div>
+            <p><strong>Key Space:</strong> ${keySpace} possible keys, yet letter frequencies survive encryption unchanged</p>
+        `;
+    }
+    
+    function buildMappingGrid() {
+        if (!mappingGrid) return;
+        
+        // One cell per cipher letter: plaintext guess plus a lock toggle
+        mappingGrid.innerHTML = getLanguage().alphabet.split('').map(letter => `
+            <div class="mapping-cell">
+                <span class="mapping-cipher">${letter}</span>
+                <input type="text" class="form-control mapping-plain" data-cipher="${letter}" maxlength="1">
+                <label class="mapping-lock" title="Lock this mapping"><input type="checkbox" data-cipher="${letter}"> Lock</label>
+            </div>
+        `).join('');
+        
+        mappingGrid.querySelectorAll('.mapping-plain').forEach(input => {
+            input.addEventListener('input', () => {
+                input.value = extractLetters(input.value);
+            });
+        });
+    }
+    
+    function getLockedMappings() {
+        const locked = {};
+        if (!mappingGrid) return locked;
+        
+        mappingGrid.querySelectorAll('input[type="checkbox"]:checked').forEach(lock => {
+            const plain = mappingGrid.querySelector(`.mapping-plain[data-cipher="${lock.dataset.cipher}"]`).value;
+            if (plain) locked[lock.dataset.cipher] = plain;
+        });
+        return locked;
+    }
+    
+    function showMapping(key) {
+        if (!mappingGrid) return;
+        
+        // Key maps plain → cipher, the grid shows cipher → plain
+        key.split('').forEach((cipher, plain) => {
+            const input = mappingGrid.querySelector(`.mapping-plain[data-cipher="${cipher}"]`);
+            const lock = mappingGrid.querySelector(`input[type="checkbox"][data-cipher="${cipher}"]`);
+            if (input && !lock.checked) input.value = getLanguage().alphabet[plain];
+        });
+    }
+    
+    function startSolver() {
+        // In decrypt mode the input is the ciphertext, otherwise attack our own output
+        const isDecrypt = document.querySelector('input[name="substitution-mode"]:checked')?.value === 'decrypt';
+        const ciphertext = isDecrypt ? inputText.value : outputText.value;
+        
+        if (extractLetters(ciphertext).length < 50) {
+            showNotification('Please enter at least 50 letters of ciphertext for the solver!', 'error');
+            return;
+        }
+        
+        const resultsDiv = document.getElementById('substitution-results');
+        if (!resultsDiv) {
+            console.error('Substitution results div not found');
+            return;
+        }
+        
+        solverRunning = true;
+        solveBtn.disabled = true;
+        if (stopBtn) stopBtn.disabled = false;
+        resultsDiv.classList.remove('hidden');
+        
+        let best = null;
+        let bestLocks = '';
+        let restart = 0;
+        
+        // One restart per worker task keeps the page responsive, and lets the
+        // user change locks between restarts while the solver is working
+        async function runRestart() {
+            if (!solverRunning) return;
+            
+            const locked = getLockedMappings();
+            const lockSignature = JSON.stringify(locked);
+            
+            let result;
+            try {
+                result = await analysis.run('crackSubstitution', [ciphertext, { restarts: 1, locked: locked }]);
+            } catch (error) {
+                if (error.name !== 'AbortError') stopSolver(error.message, 'error');
+                return;
+            }
+            
+            // Scores are only comparable under the same locks
+            if (!best || lockSignature !== bestLocks || result.score > best.score) {
+                best = result;
+                bestLocks = lockSignature;
+                showMapping(best.key);
+            }
+            
+            restart++;
+            renderSolverResults(resultsDiv, ciphertext, best, restart);
+            
+            if (restart < SOLVER_RESTARTS) {
+                runRestart();
+            } else {
+                stopSolver('Substitution solver completed!', 'success');
+            }
+        }
+        
+        runRestart();
+    }
+    
+    function stopSolver(message, type = 'info') {
+        solverRunning = false;
+        analysis.cancel();
+        if (solveBtn) solveBtn.disabled = false;
+        if (stopBtn) stopBtn.disabled = true;
+        showNotification(message, type);
+    }
+    
+    function renderSolverResults(resultsDiv, ciphertext, best, restart) {
+        resultsDiv.innerHTML = `<p><strong>Hill Climbing Results:</strong> restart ${restart} of ${SOLVER_RESTARTS}</p>
+            <p><small>Quadgram log-probability per quadgram: ${best.score.toFixed(2)}${getLanguage() === LANGUAGES.english ? ' (English text ≈ -4.3)' : ''}</small></p>`;
+        
+        const resultDiv = document.createElement('div');
+        resultDiv.className = 'brute-force-result crack-result';
+        resultDiv.innerHTML = `<div><strong>Key ${best.key}:</strong> 
+            <span class="candidate-text"></span></div>`;
+        resultDiv.querySelector('.candidate-text').textContent =
+            best.plaintext.length > 120 ? best.plaintext.substring(0, 120) + '…' : best.plaintext;
+        
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'btn btn--secondary btn--sm';
+        applyBtn.textContent = 'Apply Key';
+        applyBtn.addEventListener('click', () => {
+            const decryptInput = document.querySelector('input[name="substitution-mode"][value="decrypt"]');
+            if (decryptInput) decryptInput.checked = true;
+            
+            inputText.value = ciphertext;
+            keywordInput.value = '';
+            keyInput.value = best.key;
+            processSubstitutionText();
+            
+            showNotification('Applied recovered key', 'success');
+        });
+        resultDiv.appendChild(applyBtn);
+        
+        resultsDiv.appendChild(resultDiv);
+    }
+    
+    // Initial processing
+    keyInput.value = keywordSubstitutionKey(keywordInput.value);
+    processSubstitutionText();
+}
+
+/**
+ * Setup affine cipher functionality with real-time processing
+ */
+function setupAffineCipher() {
+    const multiplierSelect = document.getElementById('affine-a');
+    const shiftSlider = document.getElementById('affine-b');
+    const shiftValue = document.getElementById('affine-b-value');
+    const inputText = document.getElementById('affine-input');
+    const outputText = document.getElementById('affine-output');
+    const modeInputs = document.querySelectorAll('input[name="affine-mode"]');
+    const bruteForceBtn = document.getElementById('brute-force-affine');
+    const analysis = createAnalysisRunner();
+    
+    if (!multiplierSelect || !shiftSlider || !inputText || !outputText) {
+        console.error('Affine cipher elements not found');
+        return;
+    }
+    
+    const player = createStepPlayer(document.querySelector('#affine-tab .step-through'), inputText, outputText,
+        () => traceCipher('affine', inputText.value, { a: multiplierSelect.value, b: shiftSlider.value }, isDecryptMode()));
+    
+    // Real-time key display and processing
+    multiplierSelect.addEventListener('change', processAffineText);
+    shiftSlider.addEventListener('input', (e) => {
+        if (shiftValue) shiftValue.textContent = e.target.value;
+        processAffineText();
+    });
+    
+    // Real-time text processing
+    inputText.addEventListener('input', debounce(processAffineText));
+    
+    // Mode change handling
+    modeInputs.forEach(input => {
+        input.addEventListener('change', processAffineText);
+    });
+    
+    // Brute force attack demonstration
+    if (bruteForceBtn) {
+        bruteForceBtn.addEventListener('click', demonstrateAffineBruteForce);
+    }
+    
+    // Valid multipliers and shifts depend on the alphabet size
+    document.addEventListener('languagechange', () => {
+        const size = getLanguage().alphabet.length;
+        const current = parseInt(multiplierSelect.value);
+        const multipliers = affineMultipliers(size);
+        
+        multiplierSelect.innerHTML = multipliers.map(a =>
+            `<option value="${a}"${a === (multipliers.includes(current) ? current : 5) ? ' selected' : ''}>${a}</option>`
+        ).join('');
+        shiftSlider.max = size - 1;
+        if (parseInt(shiftSlider.value) > size - 1) shiftSlider.value = size - 1;
+        if (shiftValue) shiftValue.textContent = shiftSlider.value;
+        
+        const multiplierLabel = document.querySelector('label[for="affine-a"]');
+        const shiftLabel = document.querySelector('label[for="affine-b"]');
+        if (multiplierLabel) multiplierLabel.textContent = `Multiplier a (coprime to ${size}):`;
+        if (shiftLabel) shiftLabel.textContent = `Shift b (0-${size - 1}):`;
+        processAffineText();
+    });
+    
+    function isDecryptMode() {
+        return document.querySelector('input[name="affine-mode"]:checked')?.value === 'decrypt';
+    }
+    
+    function processAffineText() {
+        const text = inputText.value;
+        const a = parseInt(multiplierSelect.value);
+        const b = parseInt(shiftSlider.value);
+        const isDecrypt = isDecryptMode();
+        
+        try {
+            outputText.value = text.trim() ? affineCipher(text, a, b, isDecrypt) : '';
+            updateAffineExplanation(text, a, b, isDecrypt);
+        } catch (error) {
+            outputText.value = '';
+            showNotification(error.message, 'error');
+        }
+        
+        player.refresh();
+    }
+    
+    function updateAffineExplanation(input, a, b, isDecrypt) {
+        const explanation = document.getElementById('affine-explanation');
+        
+        if (!explanation) return;
+        
+        const alphabet = getLanguage().alphabet;
+        const size = alphabet.length;
+        const multipliers = affineMultipliers(size);
+        const aInverse = modInverse(a, size);
+        
+        if (input.trim()) {
+            const operation = isDecrypt ? 'Decryption' : 'Encryption';
+            const formula = isDecrypt ? `D(x) = ${aInverse} × (x - ${b}) mod ${size}` : `E(x) = (${a}x + ${b}) mod ${size}`;
+            const example = getAffineExample(extractLetters(input)[0], a, b, aInverse, isDecrypt);
+            
+            explanation.innerHTML = `
+                <p><strong>Operation:</strong> ${operation} with a = ${a}, b = ${b}</p>
+                <p><strong>Formula:</strong> ${formula}</p>
+                <p><strong>Modular Inverse:</strong> ${a}⁻¹ ≡ ${aInverse} (mod ${size}), since ${a} × ${aInverse} = ${a * aInverse} = ${Math.floor(a * aInverse / size)} × ${size} + 1</p>
+                <p><strong>Example:</strong> ${example}</p>
+                <p><strong>Key Space:</strong> Only ${multipliers.length} × ${size} = ${multipliers.length * size} possible keys (very insecure!)</p>
+            `;
+        } else {
+            explanation.innerHTML = `
+                <p><strong>Formula:</strong> E(x) = (a·x + b) mod ${size} for encryption, D(x) = a⁻¹(x - b) mod ${size} for decryption</p>
+                <p><strong>Valid multipliers:</strong> a must be coprime to ${size}: ${multipliers.join(', ')}</p>
+                <p><strong>Security:</strong> Very weak - only ${multipliers.length * size} possible keys</p>
+            `;
+        }
+    }
+    
+    function getAffineExample(letter, a, b, aInverse, isDecrypt) {
+        if (!letter) return "Enter text to see example";
+        
+        const alphabet = getLanguage().alphabet;
+        const size = alphabet.length;
+        const x = alphabet.indexOf(letter);
+        let result;
+        let arithmetic;
+        
+        if (isDecrypt) {
+            result = (((aInverse * (x - b)) % size) + size) % size;
+            arithmetic = `${aInverse} × (${x} - ${b}) mod ${size} = ${result}`;
+        } else {
+            result = (a * x + b) % size;
+            arithmetic = `(${a} × ${x} + ${b}) mod ${size} = ${result}`;
+        }
+        
+        return `'${letter}' (${x}): ${arithmetic} → '${alphabet[result]}'`;
+    }
+    
+    async function demonstrateAffineBruteForce() {
+        // In decrypt mode the input is the ciphertext, otherwise attack our own output
+        const isDecrypt = document.querySelector('input[name="affine-mode"]:checked')?.value === 'decrypt';
+        const ciphertext = isDecrypt ? inputText.value : outputText.value;
+        
+        if (!ciphertext.trim()) {
+            showNotification('Please enter some text and encrypt it first!', 'error');
+            return;
+        }
+        
+        const resultsDiv = document.getElementById('affine-brute-force-results');
+        if (!resultsDiv) {
+            console.error('Affine brute force results div not found');
+            return;
+        }
+        
+        let results;
+        try {
+            results = await runAnalysis(analysis, 'bruteForceAffine', [ciphertext, DEFAULT_SCORING_METHOD], resultsDiv, 'Trying every key');
+        } catch (error) {
+            if (error.name !== 'AbortError') showNotification(error.message, 'error');
+            return;
+        }
+        
+        resultsDiv.innerHTML = `<p><strong>Brute Force Attack Results (${results.length} keys):</strong></p>
+            <p><small>Ranked by ${SCORING_METHODS[DEFAULT_SCORING_METHOD].label}, higher is better</small></p>`;
+        
+        results.slice(0, 10).forEach((result, index) => {
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'brute-force-result';
+            resultDiv.innerHTML = `<strong>a=${result.a}, b=${result.b}:</strong> <span class="candidate-text"></span> <small>(Score: ${result.score.toFixed(2)})</small>`;
+            resultDiv.querySelector('.candidate-text').textContent = result.text;
+            
+            if (index === 0) {
+                resultDiv.style.borderLeftColor = 'var(--color-success)';
+                resultDiv.insertAdjacentHTML('beforeend', ' <em>← Most likely plaintext</em>');
+            }
+            
+            resultsDiv.appendChild(resultDiv);
+        });
+        
+        showNotification('Brute force attack completed!', 'success');
+    }
+    
+    // Initial processing
+    processAffineText();
+}
+
+/**
+ * Setup transposition cipher functionality with real-time processing
+ */
+function setupTranspositionCipher() {
+    const typeSelect = document.getElementById('transposition-type');
+    const railsInput = document.getElementById('transposition-rails');
+    const keyInput = document.getElementById('transposition-key');
+    const key2Input = document.getElementById('transposition-key2');
+    const inputText = document.getElementById('transposition-input');
+    const outputText = document.getElementById('transposition-output');
+    const modeInputs = document.querySelectorAll('input[name="transposition-mode"]');
+    const crackBtn = document.getElementById('crack-transposition');
+    const analysis = createAnalysisRunner();
+    
+    if (!typeSelect || !railsInput || !keyInput || !key2Input || !inputText || !outputText) {
+        console.error('Transposition cipher elements not found');
+        return;
+    }
+    
+    const player = createStepPlayer(document.querySelector('#transposition-tab .step-through'), inputText, outputText,
+        () => traceCipher(typeSelect.value, inputText.value,
+            { rails: railsInput.value, key: keyInput.value, key1: keyInput.value, key2: key2Input.value }, isDecryptMode()));
+    
+    // Real-time processing on any parameter change
+    typeSelect.addEventListener('change', processTranspositionText);
+    railsInput.addEventListener('input', processTranspositionText);
+    keyInput.addEventListener('input', processTranspositionText);
+    key2Input.addEventListener('input', processTranspositionText);
+    inputText.addEventListener('input', debounce(processTranspositionText));
+    
+    // Mode change handling
+    modeInputs.forEach(input => {
+        input.addEventListener('change', processTranspositionText);
+    });
+    
+    // Anagramming attack demonstration
+    if (crackBtn) {
+        crackBtn.addEventListener('click', demonstrateTranspositionCrack);
+    }
+    
+    document.addEventListener('languagechange', processTranspositionText);
+    
+    function isDecryptMode() {
+        return document.querySelector('input[name="transposition-mode"]:checked')?.value === 'decrypt';
+    }
+    
+    function processTranspositionText() {
+        const type = typeSelect.value;
+        const text = inputText.value;
+        const isDecrypt = isDecryptMode();
+        
+        // Only show the parameters the selected cipher uses
+        document.getElementById('transposition-rails-group')?.classList.toggle('hidden', type !== 'railfence');
+        document.getElementById('transposition-key-group')?.classList.toggle('hidden', type === 'railfence');
+        document.getElementById('transposition-key2-group')?.classList.toggle('hidden', type !== 'double');
+        
+        try {
+            let result = '';
+            if (text.trim()) {
+                if (type === 'railfence') {
+                    result = railFenceCipher(text, railsInput.value, isDecrypt);
+                } else if (type === 'columnar') {
+                    result = columnarCipher(text, keyInput.value, isDecrypt);
+                } else {
+                    result = doubleTranspositionCipher(text, keyInput.value, key2Input.value, isDecrypt);
+                }
+            }
+            outputText.value = result;
+            updateTranspositionExplanation(type, isDecrypt ? result : text);
+        } catch (error) {
+            outputText.value = '';
+            updateTranspositionExplanation(type, '', error.message);
+        }
+        
+        player.refresh();
+    }
+    
+    function updateTranspositionExplanation(type, plaintext, error) {
+        const explanation = document.getElementById('transposition-explanation');
+        
+        if (!explanation) return;
+        
+        if (error) {
+            explanation.innerHTML = `<p><strong>Invalid key:</strong> ${error}</p>`;
+            return;
+        }
+        
+        const letters = extractLetters(plaintext).substring(0, 40); // Limit for display
+        let html;
+        
+        if (type === 'railfence') {
+            const rails = parseInt(railsInput.value);
+            html = `<p><strong>Rule:</strong> Write the letters in a zigzag over ${rails} rails, then read each rail left to right</p>`;
+            
+            if (letters) {
+                // Draw the zigzag: one line per rail, dots where the rail is empty
+                const cycle = 2 * (rails - 1);
+                for (let rail = 0; rail < rails; rail++) {
+                    const line = letters.split('').map((letter, i) => {
+                        const step = i % cycle;
+                        return (step < rails ? step : cycle - step) === rail ? letter : '·';
+                    });
+                    html += `<div class="demo-line">${line.join(' ')}</div>`;
+                }
+            }
+        } else {
+            const key = keyInput.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+            const readOrder = columnOrder(key);
+            html = `<p><strong>Rule:</strong> Write the letters in rows under the key, then read the columns in alphabetical key order${type === 'double' ? ' — and repeat with the second key' : ''}</p>`;
+            
+            if (letters && key.length >= 2) {
+                // Header shows each column's position in the reading order
+                const ranks = new Array(key.length);
+                readOrder.forEach((column, rank) => { ranks[column] = rank + 1; });
+                html += `<div class="demo-line"><strong>${key.split('').join(' ')}</strong></div>`;
+                html += `<div class="demo-line">${ranks.join(' ')}</div>`;
+                for (let i = 0; i < letters.length; i += key.length) {
+                    html += `<div class="demo-line">${letters.substring(i, i + key.length).split('').join(' ')}</div>`;
+                }
+            }
+        }
+        
+        html += `<p><strong>Security:</strong> Letters are only moved, so the frequency chart still matches ${getLanguage().label} perfectly</p>`;
+        explanation.innerHTML = html;
+    }
+    
+    async function demonstrateTranspositionCrack() {
+        const type = typeSelect.value;
+        
+        // In decrypt mode the input is the ciphertext, otherwise attack our own output
+        const isDecrypt = document.querySelector('input[name="transposition-mode"]:checked')?.value === 'decrypt';
+        const ciphertext = isDecrypt ? inputText.value : outputText.value;
+        
+        if (!ciphertext.trim()) {
+            showNotification('Please enter some text and encrypt it first!', 'error');
+            return;
+        }
+        
+        const resultsDiv = document.getElementById('transposition-results');
+        if (!resultsDiv) {
+            console.error('Transposition results div not found');
+            return;
+        }
+        
+        resultsDiv.classList.remove('hidden');
+        
+        if (type === 'double') {
+            resultsDiv.innerHTML = `<p><strong>Double transposition resists this attack:</strong> 
+                every pair of column orders would have to be tried, and the intermediate text scores like noise, 
+                so no single order can be recognized as partly right.</p>`;
+            return;
+        }
+        
+        let results;
+        try {
+            results = type === 'railfence'
+                ? await runAnalysis(analysis, 'crackRailFence', [ciphertext, DEFAULT_SCORING_METHOD], resultsDiv, 'Trying every rail count')
+                : await runAnalysis(analysis, 'crackColumnar', [ciphertext, 7, 10], resultsDiv, 'Trying every column order');
+        } catch (error) {
+            if (error.name !== 'AbortError') showNotification(error.message, 'error');
+            return;
+        }
+        const title = type === 'railfence' ? 'Rail Counts Tried' : 'Column Orders Tried (widths 2-7)';
+        
+        resultsDiv.innerHTML = `<p><strong>Anagramming Attack Results — ${title}:</strong></p>
+            <p><small>Ranked by ${SCORING_METHODS.quadgram.label}, higher is better</small></p>`;
+        
+        results.slice(0, 10).forEach((result, index) => {
+            const label = type === 'railfence' ? `${result.rails} rails` : `Key ${result.key}`;
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'brute-force-result crack-result';
+            resultDiv.innerHTML = `<div><strong>${label}:</strong> 
+                <span class="candidate-text"></span> 
+                <small>(Score: ${result.score.toFixed(2)})</small></div>`;
+            resultDiv.querySelector('.candidate-text').textContent =
+                result.text.length > 80 ? result.text.substring(0, 80) + '…' : result.text;
+            
+            if (index === 0) {
+                resultDiv.style.borderLeftColor = 'var(--color-success)';
+            }
+            
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'btn btn--secondary btn--sm';
+            applyBtn.textContent = 'Apply Key';
+            applyBtn.addEventListener('click', () => {
+                const decryptInput = document.querySelector('input[name="transposition-mode"][value="decrypt"]');
+                if (decryptInput) decryptInput.checked = true;
+                
+                inputText.value = ciphertext;
+                if (type === 'railfence') {
+                    railsInput.value = result.rails;
+                } else {
+                    keyInput.value = result.key;
+                }
+                processTranspositionText();
+                
+                showNotification(`Applied ${label}`, 'success');
+            });
+            resultDiv.appendChild(applyBtn);
+            
+            resultsDiv.appendChild(resultDiv);
+        });
+        
+        showNotification('Transposition attack completed!', 'success');
+    }
+    
+    // Initial processing
+    processTranspositionText();
+}
+
+/**
+ * Setup Playfair cipher functionality with key square visualization
+ * and digraph step-through
+ */
+function setupPlayfairCipher() {
+    const keyInput = document.getElementById('playfair-key');
+    const inputText = document.getElementById('playfair-input');
+    const outputText = document.getElementById('playfair-output');
+    const modeInputs = document.querySelectorAll('input[name="playfair-mode"]');
+    const squareDiv = document.getElementById('playfair-square');
+    const stepsDiv = document.getElementById('playfair-steps');
+    const ruleDiv = document.getElementById('playfair-rule');
+    
+    if (!keyInput || !inputText || !outputText) {
+        console.error('Playfair cipher elements not found');
+        return;
+    }
+    
+    let square = '';
+    let steps = [];
+    let inputError = null;
+    
+    // The player draws each digraph on the key square as it goes
+    const player = createStepPlayer(document.querySelector('#playfair-tab .step-through'), inputText, outputText,
+        () => traceCipher('playfair', inputText.value, { key: keyInput.value }, isDecryptMode()),
+        (step, index) => showStep(index));
+    
+    // Real-time text processing
+    keyInput.addEventListener('input', processPlayfairText);
+    inputText.addEventListener('input', debounce(processPlayfairText));
+    
+    // Mode change handling
+    modeInputs.forEach(input => {
+        input.addEventListener('change', processPlayfairText);
+    });
+    
+    function isDecryptMode() {
+        return document.querySelector('input[name="playfair-mode"]:checked')?.value === 'decrypt';
+    }
+    
+    function processPlayfairText() {
+        const text = inputText.value;
+        const key = keyInput.value;
+        const isDecrypt = isDecryptMode();
+        
+        try {
+            square = playfairKeySquare(key);
+            steps = text.trim() ? playfairSteps(text, key, isDecrypt) : [];
+            outputText.value = steps.map(step => step.output).join(' ');
+            inputError = null;
+        } catch (error) {
+            square = '';
+            steps = [];
+            outputText.value = '';
+            inputError = error.message;
+        }
+        
+        renderSteps();
+        
+        // Follow the user's typing: highlight the most recent digraph
+        showStep(steps.length - 1);
+        player.refresh();
+    }
+    
+    function renderSteps() {
+        if (!stepsDiv) return;
+        
+        if (steps.length === 0) {
+            stepsDiv.innerHTML = '<p>Enter text to see each digraph transformed</p>';
+            return;
+        }
+        
+        stepsDiv.innerHTML = steps.map((step, index) =>
+            `<button class="playfair-step" data-step="${index}">${step.input} → ${step.output}</button>`
+        ).join('');
+        
+        stepsDiv.querySelectorAll('.playfair-step').forEach(button => {
+            button.addEventListener('click', () => showStep(parseInt(button.dataset.step)));
+        });
+    }
+    
+    function showStep(index) {
+        const step = steps[index];
+        
+        if (squareDiv) {
+            // Draw the key square, marking the input pair, the output pair and the rule's row/column
+            squareDiv.innerHTML = square.split('').map((letter, cell) => {
+                const position = [Math.floor(cell / 5), cell % 5];
+                const classes = ['playfair-cell'];
+                
+                if (step) {
+                    const isAt = pair => pair.some(([row, col]) => row === position[0] && col === position[1]);
+                    if (isAt(step.from)) classes.push('playfair-cell--input');
+                    if (isAt(step.to)) classes.push('playfair-cell--output');
+                    if (step.rule === 'row' && position[0] === step.from[0][0]) classes.push('playfair-cell--line');
+                    if (step.rule === 'column' && position[1] === step.from[0][1]) classes.push('playfair-cell--line');
+                    if (step.rule === 'rectangle' && isInRectangle(position, step.from)) classes.push('playfair-cell--line');
+                }
+                
+                return `<div class="${classes.join(' ')}">${letter === 'I' ? 'I/J' : letter}</div>`;
+            }).join('');
+        }
+        
+        if (stepsDiv) {
+            stepsDiv.querySelectorAll('.playfair-step').forEach(button => {
+                button.classList.toggle('active', parseInt(button.dataset.step) === index);
+            });
+        }
+        
+        if (!ruleDiv) return;
+        
+        if (inputError) {
+            ruleDiv.innerHTML = `<p><strong>Invalid input:</strong> ${inputError}</p>`;
+        } else if (step) {
+            const isDecrypt = isDecryptMode();
+            const descriptions = {
+                row: `Same row: each letter is replaced by the letter to its ${isDecrypt ? 'left' : 'right'} (wrapping around)`,
+                column: `Same column: each letter is replaced by the letter ${isDecrypt ? 'above' : 'below'} it (wrapping around)`,
+                rectangle: 'Rectangle: each letter is replaced by the letter in its own row but in the other letter\'s column'
+            };
+            ruleDiv.innerHTML = `<p><strong>Digraph ${index + 1} of ${steps.length}:</strong> ${step.input} → ${step.output}</p>
+                <p><strong>Rule:</strong> ${descriptions[step.rule]}</p>`;
+        } else {
+            ruleDiv.innerHTML = `<p><strong>Preparation:</strong> J is merged into I, letters are split into pairs, 
+                an X separates doubled letters and pads an odd final letter</p>`;
+        }
+    }
+    
+    function isInRectangle([row, col], [[rowA, colA], [rowB, colB]]) {
+        return row >= Math.min(rowA, rowB) && row <= Math.max(rowA, rowB) &&
+            col >= Math.min(colA, colB) && col <= Math.max(colA, colB);
+    }
+    
+    // Initial processing
+    processPlayfairText();
+}
+
+/**
+ * Setup Hill cipher functionality with matrix explanation and
+ * known-plaintext attack
+ */
+function setupHillCipher() {
+    const keyInput = document.getElementById('hill-key');
+    const inputText = document.getElementById('hill-input');
+    const outputText = document.getElementById('hill-output');
+    const modeInputs = document.querySelectorAll('input[name="hill-mode"]');
+    const attackBtn = document.getElementById('hill-attack');
+    
+    if (!keyInput || !inputText || !outputText) {
+        console.error('Hill cipher elements not found');
+        return;
+    }
+    
+    const player = createStepPlayer(document.querySelector('#hill-tab .step-through'), inputText, outputText,
+        () => traceCipher('hill', inputText.value, { key: keyInput.value }, isDecryptMode()));
+    
+    // Real-time text processing
+    keyInput.addEventListener('input', processHillText);
+    inputText.addEventListener('input', debounce(processHillText));
+    
+    // Mode change handling
+    modeInputs.forEach(input => {
+        input.addEventListener('change', processHillText);
+    });
+    
+    // Known-plaintext attack demonstration
+    if (attackBtn) {
+        attackBtn.addEventListener('click', demonstrateKnownPlaintext);
+    }
+    
+    function isDecryptMode() {
+        return document.querySelector('input[name="hill-mode"]:checked')?.value === 'decrypt';
+    }
+    
+    function processHillText() {
+        const text = inputText.value;
+        const isDecrypt = isDecryptMode();
+        
+        try {
+            const keyMatrix = parseHillKey(keyInput.value);
+            const trace = text.trim() ? hillSteps(text, keyMatrix, isDecrypt) : { matrix: null, steps: [] };
+            outputText.value = trace.steps.map(step => step.output).join('');
+            updateHillExplanation(keyMatrix, trace, isDecrypt);
+        } catch (error) {
+            outputText.value = '';
+            const explanation = document.getElementById('hill-explanation');
+            if (explanation) {
+                explanation.innerHTML = `<p><strong>Invalid key:</strong> ${error.message}</p>
+                    <p>A key works only if its determinant is coprime to 26 (odd and not a multiple of 13).</p>`;
+            }
+        }
+        
+        player.refresh();
+    }
+    
+    function updateHillExplanation(keyMatrix, trace, isDecrypt) {
+        const explanation = document.getElementById('hill-explanation');
+        
+        if (!explanation) return;
+        
+        const det = matrixDeterminant(keyMatrix);
+        const inverse = matrixInverseMod26(keyMatrix);
+        const size = keyMatrix.length;
+        
+        let html = `
+            <p><strong>Formula:</strong> ${isDecrypt ? 'p = K⁻¹ · c mod 26' : 'c = K · p mod 26'} for each block of ${size} letters</p>
+            <div class="hill-matrices">
+                ${renderMatrix('K', keyMatrix)}
+                ${renderMatrix('K⁻¹', inverse)}
+            </div>
+            <p><strong>Determinant:</strong> det(K) = ${det} (mod 26), inverse ${modInverse(det, 26)} — the key is invertible</p>
+            <p><strong>Key Space:</strong> ${size === 2 ? '157,248' : '1,634,038,189,056'} invertible ${size}×${size} matrices</p>
+        `;
+        
+        // Show the matrix multiplication for the first few blocks
+        trace.steps.slice(0, 5).forEach(step => {
+            const products = trace.matrix.map((row, r) =>
+                `(${row.map((value, i) => `${value}×${step.vector[i]}`).join(' + ')}) mod 26 = ${step.result[r]}`
+            );
+            html += `<div class="demo-line"><strong>${step.input}</strong> = [${step.vector.join(', ')}] → 
+                ${products.join('; ')} → <strong>${step.output}</strong></div>`;
+        });
+        
+        if (trace.steps.length > 5) {
+            html += '<div class="demo-line"><em>... and so on for remaining blocks</em></div>';
+        }
+        
+        explanation.innerHTML = html;
+    }
+    
+    function renderMatrix(label, matrix) {
+        return `<div class="hill-matrix"><span>${label} =</span><table>
+            ${matrix.map(row => `<tr>${row.map(value => `<td>${value}</td>`).join('')}</tr>`).join('')}
+        </table></div>`;
+    }
+    
+    function demonstrateKnownPlaintext() {
+        const cribPlain = document.getElementById('hill-crib-plain')?.value || '';
+        const cribCipher = document.getElementById('hill-crib-cipher')?.value || '';
+        const size = parseInt(document.getElementById('hill-attack-size')?.value || '2');
+        
+        const resultsDiv = document.getElementById('hill-attack-results');
+        if (!resultsDiv) {
+            console.error('Hill attack results div not found');
+            return;
+        }
+        
+        if (!cribPlain.trim() || !cribCipher.trim()) {
+            showNotification('Please enter a known plaintext and its ciphertext!', 'error');
+            return;
+        }
+        
+        resultsDiv.classList.remove('hidden');
+        
+        let recovered;
+        try {
+            recovered = crackHill(cribPlain, cribCipher, size);
+        } catch (error) {
+            resultsDiv.innerHTML = `<p><strong>Attack failed:</strong> ${error.message}</p>`;
+            showNotification(error.message, 'error');
+            return;
+        }
+        
+        const keyString = recovered.matrix.map(row => row.join(' ')).join(' ');
+        resultsDiv.innerHTML = `<p><strong>Known-Plaintext Attack Results:</strong></p>
+            <p>Used crib blocks ${recovered.blocks.map(block => block + 1).join(', ')} as the columns of P, 
+            whose determinant is invertible mod 26, so K = C · P⁻¹:</p>
+            <div class="hill-matrices">${renderMatrix('K', recovered.matrix)}</div>`;
+        
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'btn btn--secondary btn--sm';
+        applyBtn.textContent = 'Apply Key';
+        applyBtn.addEventListener('click', () => {
+            keyInput.value = keyString;
+            processHillText();
+            showNotification(`Applied key ${keyString}`, 'success');
+        });
+        resultsDiv.appendChild(applyBtn);
+        
+        showNotification('Key matrix recovered!', 'success');
+    }
+    
+    // Initial processing
+    processHillText();
+}
+
+/**
+ * Setup Enigma machine with rotor windows and lampboard
+ */
+function setupEnigmaMachine() {
+    const inputText = document.getElementById('enigma-input');
+    const outputText = document.getElementById('enigma-output');
+    const settingInputs = document.querySelectorAll('.enigma-setting');
+    const windowsDiv = document.getElementById('enigma-windows');
+    const lampboardDiv = document.getElementById('enigma-lampboard');
+    const explanationDiv = document.getElementById('enigma-explanation');
+    
+    if (!inputText || !outputText) {
+        console.error('Enigma elements not found');
+        return;
+    }
+    
+    const sides = ['left', 'middle', 'right'];
+    const LAMPBOARD_ROWS = ['QWERTZUIO', 'ASDFGHJK', 'PYXCVBNML'];
+    
+    // The player replays the key presses on the rotor windows and lampboard
+    const player = createStepPlayer(document.querySelector('#enigma-tab .step-through'), inputText, outputText,
+        () => traceCipher('enigma', inputText.value, readSettings()),
+        step => {
+            renderWindows(step.key, readSettings().rotors);
+            renderLampboard(step.output);
+        });
+    
+    // Real-time text processing
+    inputText.addEventListener('input', debounce(processEnigmaText));
+    settingInputs.forEach(input => {
+        input.addEventListener('input', processEnigmaText);
+        input.addEventListener('change', processEnigmaText);
+    });
+    
+    function readSettings() {
+        return {
+            rotors: sides.map(side => document.getElementById(`enigma-rotor-${side}`).value),
+            reflector: document.getElementById('enigma-reflector').value,
+            rings: sides.map(side => parseInt(document.getElementById(`enigma-ring-${side}`).value)),
+            positions: sides.map(side => document.getElementById(`enigma-position-${side}`).value).join(''),
+            plugboard: document.getElementById('enigma-plugboard').value
+        };
+    }
+    
+    function processEnigmaText() {
+        const settings = readSettings();
+        
+        try {
+            const steps = enigmaSteps(inputText.value, settings);
+            outputText.value = steps.map(step => step.output).join('');
+            
+            const lastStep = steps[steps.length - 1];
+            renderWindows(lastStep ? lastStep.positions : settings.positions.toUpperCase(), settings.rotors);
+            renderLampboard(lastStep ? lastStep.output : null);
+            updateEnigmaExplanation(settings, lastStep, steps.length);
+        } catch (error) {
+            outputText.value = '';
+            renderLampboard(null);
+            if (explanationDiv) {
+                explanationDiv.innerHTML = `<p><strong>Invalid settings:</strong> ${error.message}</p>`;
+            }
+        }
+        
+        player.refresh();
+    }
+    
+    function renderWindows(positions, rotors) {
+        if (!windowsDiv) return;
+        
+        windowsDiv.innerHTML = rotors.map(rotor => `<div class="enigma-window"><span></span><small>${rotor}</small></div>`).join('');
+        
+        // Before the first letter the positions are the field as typed, so they go in as text
+        windowsDiv.querySelectorAll('.enigma-window span').forEach((span, index) => {
+            span.textContent = positions[index] || '';
+        });
+    }
+    
+    function renderLampboard(litLetter) {
+        if (!lampboardDiv) return;
+        
+        lampboardDiv.innerHTML = LAMPBOARD_ROWS.map(row =>
+            `<div class="enigma-lamp-row">${row.split('').map(letter =>
+                `<span class="enigma-lamp${letter === litLetter ? ' enigma-lamp--lit' : ''}">${letter}</span>`
+            ).join('')}</div>`
+        ).join('');
+    }
+    
+    function updateEnigmaExplanation(settings, lastStep, keyPresses) {
+        if (!explanationDiv) return;
+        
+        let html = `
+            <p><strong>Rotors:</strong> ${settings.rotors.join(' – ')} with reflector UKW-${settings.reflector}, 
+            rings ${settings.rings.map(ring => String(ring).padStart(2, '0')).join(' ')}</p>
+            <p><strong>Stepping:</strong> the right rotor turns before every key press; at its notch it carries the 
+            middle rotor, which then steps again with the left rotor on the next press (double-stepping)</p>
+        `;
+        
+        if (lastStep) {
+            // Follow the current for the latest key press
+            const labels = ['Plugboard', 'Right rotor', 'Middle rotor', 'Left rotor', 'Reflector',
+                'Left rotor', 'Middle rotor', 'Right rotor', 'Plugboard'];
+            const route = lastStep.path.map((letter, index) => `${labels[index]} ${letter}`).join(' → ');
+            html += `<p><strong>Key press ${keyPresses}:</strong> ${lastStep.input} lights ${lastStep.output} 
+                with the rotors at ${lastStep.positions}</p>
+                <div class="demo-line">${lastStep.input} → ${route} → <strong>lamp ${lastStep.output}</strong></div>
+                <p><strong>Note:</strong> the reflector means a letter never encrypts to itself — a weakness 
+                the Bletchley Park codebreakers exploited to place cribs</p>`;
+        } else {
+            html += '<p>Type in the input box to press keys and watch the rotors advance.</p>';
+        }
+        
+        explanationDiv.innerHTML = html;
+    }
+    
+    // Initial processing
+    processEnigmaText();
+}
+
+// Keys of the classical ciphers in the AES-GCM frequency comparison
+const COMPARISON_CAESAR_SHIFT = 3;
+// "Lemon" in each language, so the key is in the alphabet being compared
+const COMPARISON_VIGENERE_KEYS = {
+    english: 'LEMON',
+    german: 'ZITRONE',
+    spanish: 'LIMON',
+    french: 'CITRON',
+    russian: 'ЛИМОН'
+};
+
+/**
+ * Setup the AES-GCM tab
+ * Encryption and decryption are asynchronous (Web Crypto); salt, IV and
+ * ciphertext stay editable so that any change can be shown to break the
+ * authentication tag
+ */
+function setupAesGcm() {
+    const passphraseInput = document.getElementById('aes-passphrase');
+    const iterationsInput = document.getElementById('aes-iterations');
+    const plaintextInput = document.getElementById('aes-plaintext');
+    const saltInput = document.getElementById('aes-salt');
+    const ivInput = document.getElementById('aes-iv');
+    const ciphertextInput = document.getElementById('aes-ciphertext');
+    const encryptBtn = document.getElementById('aes-encrypt');
+    const decryptBtn = document.getElementById('aes-decrypt');
+    const tamperBtn = document.getElementById('aes-tamper');
+    const copyBtn = document.getElementById('copy-aes');
+    const resultDiv = document.getElementById('aes-result');
+    
+    if (!passphraseInput || !plaintextInput || !saltInput || !ivInput || !ciphertextInput || !encryptBtn || !decryptBtn || !resultDiv) {
+        console.error('AES-GCM elements not found');
+        return;
+    }
+    
+    encryptBtn.addEventListener('click', encrypt);
+    decryptBtn.addEventListener('click', decrypt);
+    if (tamperBtn) tamperBtn.addEventListener('click', tamper);
+    if (copyBtn) {
+        copyBtn.addEventListener('click', () => copyToClipboard(ciphertextInput.value, 'AES-GCM ciphertext copied to clipboard!'));
+    }
+    
+    // Letters depend on the alphabet, so recount them for the new language
+    document.addEventListener('languagechange', () => {
+        if (AppState.comparisonChart) renderComparison();
+    });
+    
+    function iterations() {
+        const value = parseInt(iterationsInput?.value);
+        return value >= 1 ? value : AES_GCM_SETTINGS.iterations;
+    }
+    
+    async function encrypt() {
+        if (!plaintextInput.value) {
+            showNotification('Please enter some text to encrypt!', 'error');
+            return;
+        }
+        
+        let encrypted;
+        try {
+            encrypted = await aesGcmEncrypt(plaintextInput.value, passphraseInput.value, iterations());
+        } catch (error) {
+            showResult(false, `<p><strong>Encryption failed:</strong> ${error.message}</p>`);
+            showNotification(error.message, 'error');
+            return;
+        }
+        
+        saltInput.value = encrypted.salt;
+        ivInput.value = encrypted.iv;
+        ciphertextInput.value = encrypted.ciphertext;
+        
+        const bytes = base64ToBytes(encrypted.ciphertext).length;
+        showResult(null, `<p><strong>Encrypted:</strong> ${bytes} bytes, of which the last 
+            ${AES_GCM_SETTINGS.tagBits / 8} are the authentication tag. Encrypt again and salt, IV and ciphertext all change.</p>`);
+        renderComparison();
+        showNotification('Text encrypted with AES-GCM', 'success');
+    }
+    
+    async function decrypt() {
+        if (!ciphertextInput.value.trim()) {
+            showNotification('Please encrypt something first, or paste a ciphertext!', 'error');
+            return;
+        }
+        
+        let plaintext;
+        try {
+            plaintext = await aesGcmDecrypt({
+                salt: saltInput.value,
+                iv: ivInput.value,
+                ciphertext: ciphertextInput.value,
+                iterations: iterations()
+            }, passphraseInput.value);
+        } catch (error) {
+            showResult(false, `<p><strong>Decryption refused:</strong> ${error.message}. No plaintext is released, 
+                not even the parts that were left alone.</p>`);
+            showNotification(error.message, 'error');
+            return;
+        }
+        
+        showResult(true, '<p><strong>Authentic:</strong> the tag matches, so this is exactly the text that was encrypted.</p>');
+        const plaintextLine = document.createElement('div');
+        plaintextLine.className = 'demo-line';
+        plaintextLine.textContent = plaintext;
+        resultDiv.appendChild(plaintextLine);
+        showNotification('Decrypted and verified', 'success');
+    }
+    
+    function tamper() {
+        let bytes;
+        try {
+            bytes = base64ToBytes(ciphertextInput.value, 'Ciphertext');
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+        if (bytes.length === 0) {
+            showNotification('Please encrypt something first!', 'error');
+            return;
+        }
+        
+        const byte = Math.floor(Math.random() * bytes.length);
+        const bit = Math.floor(Math.random() * 8);
+        bytes[byte] ^= 1 << bit;
+        ciphertextInput.value = bytesToBase64(bytes);
+        
+        showResult(null, `<p><strong>Tampered:</strong> flipped bit ${bit} of byte ${byte + 1} of ${bytes.length}. 
+            Press Decrypt to see the tag catch it.</p>`);
+        showNotification('One bit of the ciphertext flipped', 'info');
+    }
+    
+    function showResult(verified, html) {
+        resultDiv.classList.remove('hidden');
+        resultDiv.classList.toggle('aes-result--verified', verified === true);
+        resultDiv.classList.toggle('aes-result--failed', verified === false);
+        resultDiv.innerHTML = html;
+    }
+    
+    /**
+     * Letter frequencies of the plaintext under Caesar, Vigenère and AES-GCM,
+     * with each one's index of coincidence
+     */
+    function renderComparison() {
+        const statsDiv = document.getElementById('aes-comparison-stats');
+        let aesLetters;
+        try {
+            aesLetters = bytesToLetters(base64ToBytes(ciphertextInput.value));
+        } catch (error) {
+            return;
+        }
+        
+        const language = getLanguage();
+        const letters = language.alphabet.split('');
+        const vigenereKey = COMPARISON_VIGENERE_KEYS[getLanguageName()];
+        const texts = [
+            { label: `Caesar (shift ${COMPARISON_CAESAR_SHIFT})`, text: caesarCipher(plaintextInput.value, COMPARISON_CAESAR_SHIFT), color: '#B4413C' },
+            { label: `Vigenère (${vigenereKey})`, text: vigenereCipher(plaintextInput.value, vigenereKey), color: '#FFC185' },
+            { label: 'AES-GCM (bytes as letters)', text: aesLetters, color: '#1FB8CD' }
+        ];
+        
+        const datasets = texts.map(entry => {
+            const analysis = frequencyAnalysis(entry.text);
+            return {
+                label: entry.label,
+                data: letters.map(letter => parseFloat(analysis.data.find(d => d.letter === letter)?.frequency || 0)),
+                backgroundColor: entry.color,
+                borderColor: entry.color,
+                borderWidth: 1
+            };
+        });
+        datasets.push({
+            type: 'line',
+            label: 'Flat',
+            data: letters.map(() => 100 / letters.length),
+            borderColor: '#5D878F',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false
+        });
+        
+        if (!AppState.comparisonChart) {
+            const ctx = document.getElementById('aes-comparison-chart');
+            if (!ctx) {
+                console.error('Comparison chart canvas not found');
+                return;
+            }
+            try {
+                AppState.comparisonChart = new Chart(ctx, {
+                    type: 'bar',
+                    data: { labels: letters, datasets: datasets },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        scales: {
+                            y: {
+                                beginAtZero: true,
+                                title: {
+                                    display: true,
+                                    text: 'Frequency (%)'
+                                }
+                            }
+                        },
+                        plugins: {
+                            title: {
+                                display: true,
+                                text: 'Classical vs Modern Ciphertext'
+                            }
+                        }
+                    }
+                });
+            } catch (error) {
+                console.error('Error initializing comparison chart:', error);
+            }
+        } else {
+            AppState.comparisonChart.data.labels = letters;
+            AppState.comparisonChart.data.datasets = datasets;
+            AppState.comparisonChart.update();
+        }
+        
+        if (statsDiv) {
+            statsDiv.innerHTML = `${texts.map(entry => `<div class="demo-line">${entry.label}: IC ${indexOfCoincidence(entry.text).toFixed(4)}, 
+                ${extractLetters(entry.text).length} letters</div>`).join('')}
+                <p><small>${language.label} text ≈ ${language.ic.toFixed(3)}, random ≈ ${(1 / letters.length).toFixed(3)}. 
+                Caesar keeps the plaintext's IC exactly and Vigenère only lowers it; AES output sits at random. 
+                Short texts give few letters, so expect some noise.</small></p>`;
+        }
+    }
+}
+
+/**
+ * Setup the cipher pipeline composer
+ * The chain is an array of {operation, params}; the stage list is rebuilt
+ * from it whenever a stage is added, moved or removed
+ */
+function setupPipeline() {
+    const stagesDiv = document.getElementById('pipeline-stages');
+    const operationSelect = document.getElementById('pipeline-operation');
+    const addBtn = document.getElementById('pipeline-add');
+    const inputText = document.getElementById('pipeline-input');
+    const outputText = document.getElementById('pipeline-output');
+    const modeInputs = document.querySelectorAll('input[name="pipeline-mode"]');
+    const explanation = document.getElementById('pipeline-explanation');
+    const recipeText = document.getElementById('pipeline-recipe');
+    const exportBtn = document.getElementById('pipeline-export');
+    const importBtn = document.getElementById('pipeline-import');
+    
+    if (!stagesDiv || !operationSelect || !inputText || !outputText || !explanation) {
+        console.error('Pipeline elements not found');
+        return;
+    }
+    
+    const newStage = operation => ({
+        operation: operation,
+        params: Object.fromEntries(PIPELINE_OPERATIONS[operation].params.map(param => [param.name, param.default]))
+    });
+    
+    // Start with the classic product cipher: Vigenère, then columnar transposition
+    let stages = [newStage('vigenere'), newStage('columnar')];
+    stages[0].params.key = 'LEMON';
+    AppState.pipelineStages = stages;
+    
+    operationSelect.innerHTML = Object.entries(PIPELINE_OPERATIONS).map(([name, operation]) =>
+        `<option value="${name}">${operation.label}</option>`
+    ).join('');
+    
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            stages.push(newStage(operationSelect.value));
+            renderStages();
+            processPipelineText();
+        });
+    }
+    
+    // Parameter edits and stage buttons are handled for the whole list
+    stagesDiv.addEventListener('input', event => {
+        const field = event.target.closest('[data-param]');
+        if (!field) return;
+        
+        const index = parseInt(field.closest('.pipeline-stage').dataset.index);
+        stages[index].params[field.dataset.param] = field.value;
+        processPipelineText();
+    });
+    
+    stagesDiv.addEventListener('click', event => {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        
+        const index = parseInt(button.closest('.pipeline-stage').dataset.index);
+        const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+        
+        if (button.dataset.action === 'remove') {
+            stages.splice(index, 1);
+        } else if (target >= 0 && target < stages.length) {
+            [stages[index], stages[target]] = [stages[target], stages[index]];
+        }
+        
+        renderStages();
+        processPipelineText();
+    });
+    
+    inputText.addEventListener('input', debounce(processPipelineText));
+    
+    modeInputs.forEach(input => {
+        input.addEventListener('change', processPipelineText);
+    });
+    
+    document.addEventListener('languagechange', processPipelineText);
+    
+    // Saved stages are only known operations, with defaults for missing parameters
+    document.addEventListener('sessionrestore', event => {
+        const saved = event.detail.pipeline;
+        if (!Array.isArray(saved)) return;
+        
+        stages = AppState.pipelineStages = saved
+            .filter(stage => isPipelineOperation(stage?.operation))
+            .map(stage => {
+                const restored = newStage(stage.operation);
+                Object.keys(restored.params).forEach(name => {
+                    if (stage.params?.[name] !== undefined) restored.params[name] = String(stage.params[name]);
+                });
+                return restored;
+            });
+        renderStages();
+        processPipelineText();
+    });
+    
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            try {
+                const recipe = JSON.stringify(createRecipe(stages), null, 2);
+                if (recipeText) recipeText.value = recipe;
+                copyToClipboard(recipe, 'Recipe copied to clipboard!');
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+    }
+    
+    if (importBtn) {
+        importBtn.addEventListener('click', () => {
+            let recipe;
+            try {
+                recipe = parseRecipe(recipeText.value);
+            } catch (error) {
+                showNotification(error.message, 'error');
+                return;
+            }
+            
+            // Recipes carry their alphabet, so switch language through the selector
+            const languageSelect = document.getElementById('language-select');
+            if (languageSelect && recipe.language !== getLanguageName()) {
+                languageSelect.value = recipe.language;
+                languageSelect.dispatchEvent(new Event('change'));
+            }
+            
+            stages = AppState.pipelineStages = recipe.stages;
+            renderStages();
+            processPipelineText();
+            showNotification(`Imported a recipe with ${stages.length} stage${stages.length === 1 ? '' : 's'}`, 'success');
+        });
+    }
+    
+    function renderStages() {
+        if (stages.length === 0) {
+            stagesDiv.innerHTML = '<p class="pipeline-empty">No stages yet: add one below.</p>';
+            return;
+        }
+        
+        stagesDiv.innerHTML = stages.map((stage, index) => {
+            const operation = PIPELINE_OPERATIONS[stage.operation];
+            const fields = operation.params.map(param => {
+                const id = `pipeline-stage-${index}-${param.name}`;
+                const control = param.type === 'select'
+                    ? `<select id="${id}" class="form-control" data-param="${param.name}">
+                        ${param.options.map(option => `<option value="${option}">${option}</option>`).join('')}
+                       </select>`
+                    : `<input type="${param.type}" id="${id}" class="form-control" data-param="${param.name}">`;
+                return `<div class="pipeline-param"><label for="${id}" class="form-label">${param.label}:</label>${control}</div>`;
+            }).join('');
+            
+            return `<div class="pipeline-stage" data-index="${index}">
+                <div class="pipeline-stage-header">
+                    <strong>${index + 1}. ${operation.label}</strong>
+                    <div class="pipeline-stage-actions">
+                        <button class="btn btn--outline btn--sm" data-action="up" aria-label="Move stage up"${index === 0 ? ' disabled' : ''}>↑</button>
+                        <button class="btn btn--outline btn--sm" data-action="down" aria-label="Move stage down"${index === stages.length - 1 ? ' disabled' : ''}>↓</button>
+                        <button class="btn btn--outline btn--sm" data-action="remove" aria-label="Remove stage">✕</button>
+                    </div>
+                </div>
+                ${fields ? `<div class="pipeline-params">${fields}</div>` : ''}
+            </div>`;
+        }).join('');
+        
+        // Values are set as properties so keys with quotes need no escaping
+        stagesDiv.querySelectorAll('.pipeline-stage').forEach(stageDiv => {
+            const stage = stages[parseInt(stageDiv.dataset.index)];
+            stageDiv.querySelectorAll('[data-param]').forEach(field => {
+                field.value = stage.params[field.dataset.param];
+            });
+        });
+    }
+    
+    function processPipelineText() {
+        const input = inputText.value;
+        const isDecrypt = document.querySelector('input[name="pipeline-mode"]:checked')?.value === 'decrypt';
+        
+        if (stages.length === 0) {
+            outputText.value = input;
+            explanation.innerHTML = '<p>Add stages above to see the text after each one.</p>';
+            return;
+        }
+        
+        let steps;
+        try {
+            steps = pipelineSteps(input, stages, isDecrypt);
+        } catch (error) {
+            outputText.value = '';
+            explanation.innerHTML = `<p><strong>Invalid stage:</strong> ${error.message}</p>`;
+            return;
+        }
+        
+        outputText.value = steps[steps.length - 1].output;
+        
+        const order = steps.map(step => PIPELINE_OPERATIONS[step.operation].label).join(' → ');
+        explanation.innerHTML = `<p><strong>${isDecrypt ? 'Decryption' : 'Encryption'} order:</strong> ${order}</p>` +
+            steps.map(() => '<div class="demo-line"></div>').join('');
+        
+        // Stage outputs are user text, so they go in as text rather than HTML
+        explanation.querySelectorAll('.demo-line').forEach((line, i) => {
+            const step = steps[i];
+            const params = Object.values(step.params).filter(value => value !== '').join(', ');
+            const label = document.createElement('strong');
+            label.textContent = `${step.index + 1}. ${PIPELINE_OPERATIONS[step.operation].label}${params ? ` (${params})` : ''}:`;
+            line.append(label, ` ${step.output.length > 120 ? step.output.substring(0, 120) + '…' : step.output}`);
+        });
+        
+        // Letters-only stages lose the layout that later transpositions rely on
+        const lossy = stages.slice(0, -1).some(stage => ['playfair', 'hill', 'enigma'].includes(stage.operation));
+        if (lossy) {
+            explanation.innerHTML += `<p><strong>Note:</strong> Playfair, Hill and Enigma drop spaces and punctuation, and Playfair and Hill 
+                pad the text. Stages after them see different text than they produced, so decryption only round-trips 
+                when these come last.</p>`;
+        }
+    }
+    
+    // Initial rendering
+    renderStages();
+    processPipelineText();
+}
+
+// localStorage keys of the running challenge and the scoreboard
+const CHALLENGE_STORAGE_KEY = 'classical-cryptography-suite/challenge';
+const SCOREBOARD_STORAGE_KEY = 'classical-cryptography-suite/scoreboard';
+const SCOREBOARD_SIZE = 10;
+
+/**
+ * Setup the challenge tab
+ * The running challenge is createChallenge's result plus {started, hintsUsed,
+ * finished}. It is saved on every change, so a reload keeps the cryptogram,
+ * the hints and the clock, which runs from the original start
+ */
+function setupChallenge() {
+    const difficultySelect = document.getElementById('challenge-difficulty');
+    const nameInput = document.getElementById('challenge-name');
+    const newBtn = document.getElementById('challenge-new');
+    const timerSpan = document.getElementById('challenge-timer');
+    const hintsUsedSpan = document.getElementById('challenge-hints-used');
+    const ciphertextArea = document.getElementById('challenge-ciphertext');
+    const answerArea = document.getElementById('challenge-answer');
+    const checkBtn = document.getElementById('challenge-check');
+    const giveUpBtn = document.getElementById('challenge-give-up');
+    const hintBtn = document.getElementById('challenge-hint');
+    const hintsList = document.getElementById('challenge-hints');
+    const resultDiv = document.getElementById('challenge-result');
+    const scoreboardDiv = document.getElementById('challenge-scoreboard');
+    const clearScoresBtn = document.getElementById('challenge-clear-scores');
+    const copyBtn = document.getElementById('copy-challenge');
+    
+    if (!difficultySelect || !newBtn || !ciphertextArea || !answerArea || !checkBtn || !hintBtn) {
+        console.error('Challenge elements not found');
+        return;
+    }
+    
+    let challenge = loadChallenge();
+    let timer = null;
+    
+    newBtn.addEventListener('click', () => {
+        challenge = { ...createChallenge(difficultySelect.value), started: Date.now(), hintsUsed: 0, finished: false };
+        answerArea.value = '';
+        saveChallenge();
+        render();
+    });
+    
+    hintBtn.addEventListener('click', () => {
+        if (!challenge || challenge.finished || challenge.hintsUsed >= challenge.hints.length) return;
+        challenge.hintsUsed++;
+        saveChallenge();
+        render();
+    });
+    
+    checkBtn.addEventListener('click', () => {
+        if (!challenge || challenge.finished) return;
+        
+        const { accuracy, solved } = checkChallengeAnswer(challenge, answerArea.value);
+        if (!solved) {
+            showNotification(`${Math.round(accuracy * 100)}% of the letters are right — keep going!`, 'info');
+            return;
+        }
+        
+        const seconds = elapsedSeconds();
+        const score = challengeScore(challenge.difficulty, seconds, challenge.hintsUsed);
+        finish({ solved: true, seconds: seconds, score: score });
+        addScore({
+            name: nameInput?.value.trim() || 'Anonymous',
+            difficulty: challenge.difficulty,
+            cipher: challenge.label,
+            seconds: seconds,
+            hints: challenge.hintsUsed,
+            score: score,
+            date: new Date().toISOString()
+        });
+        showNotification(`Solved! ${score} points`, 'success');
+    });
+    
+    if (giveUpBtn) {
+        giveUpBtn.addEventListener('click', () => {
+            if (!challenge || challenge.finished) return;
+            finish({ solved: false, seconds: elapsedSeconds(), score: 0 });
+        });
+    }
+    
+    if (clearScoresBtn) {
+        clearScoresBtn.addEventListener('click', () => {
+            localStorage.removeItem(SCOREBOARD_STORAGE_KEY);
+            renderScoreboard();
+        });
+    }
+    
+    if (copyBtn) {
+        copyBtn.addEventListener('click', () => copyToClipboard(ciphertextArea.value, 'Cryptogram copied to clipboard!'));
+    }
+    
+    function elapsedSeconds() {
+        return Math.round((Date.now() - challenge.started) / 1000);
+    }
+    
+    function finish(result) {
+        challenge.finished = result;
+        saveChallenge();
+        render();
+    }
+    
+    function render() {
+        clearInterval(timer);
+        timer = null;
+        
+        const running = Boolean(challenge && !challenge.finished);
+        ciphertextArea.value = challenge ? challenge.ciphertext : '';
+        checkBtn.disabled = !running;
+        if (giveUpBtn) giveUpBtn.disabled = !running;
+        hintBtn.disabled = !running || challenge.hintsUsed >= challenge.hints.length;
+        hintBtn.textContent = challenge && challenge.hintsUsed < challenge.hints.length
+            ? `Show Hint ${challenge.hintsUsed + 1} of ${challenge.hints.length}` : 'Show Hint';
+        if (hintsUsedSpan) hintsUsedSpan.textContent = challenge ? challenge.hintsUsed : 0;
+        if (hintsList) {
+            hintsList.innerHTML = challenge
+                ? challenge.hints.slice(0, challenge.hintsUsed).map(hint => `<li>${hint}</li>`).join('') : '';
+        }
+        
+        if (running) {
+            // Tick once a second until the challenge is solved or given up
+            updateTimer(elapsedSeconds());
+            timer = setInterval(() => updateTimer(elapsedSeconds()), 1000);
+        } else {
+            updateTimer(challenge ? challenge.finished.seconds : 0);
+        }
+        
+        renderResult();
+    }
+    
+    function updateTimer(seconds) {
+        if (timerSpan) timerSpan.textContent = formatDuration(seconds);
+    }
+    
+    function renderResult() {
+        if (!resultDiv) return;
+        
+        if (!challenge || !challenge.finished) {
+            resultDiv.classList.add('hidden');
+            resultDiv.innerHTML = '';
+            return;
+        }
+        
+        const { solved, seconds, score } = challenge.finished;
+        const hints = `${challenge.hintsUsed} hint${challenge.hintsUsed === 1 ? '' : 's'}`;
+        resultDiv.innerHTML = `
+            <p><strong>${solved ? `Solved in ${formatDuration(seconds)} with ${hints}: ${score} points` : 'Given up — here is the solution'}</strong></p>
+            <p><strong>Cipher:</strong> ${challenge.label}, key ${challenge.key}</p>
+            <p><strong>Passage:</strong> ${challenge.source}</p>
+            <div class="demo-line">${challenge.plaintext}</div>
+        `;
+        resultDiv.classList.toggle('challenge-result--solved', solved);
+        resultDiv.classList.remove('hidden');
+    }
+    
+    function renderScoreboard() {
+        if (!scoreboardDiv) return;
+        
+        const scores = loadScores();
+        if (scores.length === 0) {
+            scoreboardDiv.innerHTML = '<p>No solves yet. Press <strong>New Challenge</strong> to start.</p>';
+            return;
+        }
+        
+        scoreboardDiv.innerHTML = `<table>
+            <thead><tr><th>#</th><th>Name</th><th>Level</th><th>Cipher</th><th>Time</th><th>Hints</th><th>Score</th></tr></thead>
+            <tbody>${scores.map((entry, index) => `<tr>
+                <td>${index + 1}</td>
+                <td data-name></td>
+                <td>${CHALLENGE_DIFFICULTIES[entry.difficulty]?.label || entry.difficulty}</td>
+                <td>${entry.cipher}</td>
+                <td>${formatDuration(entry.seconds)}</td>
+                <td>${entry.hints}</td>
+                <td><strong>${entry.score}</strong></td>
+            </tr>`).join('')}</tbody>
+        </table>`;
+        
+        // Names are typed by students, so they go in as text
+        scoreboardDiv.querySelectorAll('[data-name]').forEach((cell, index) => {
+            cell.textContent = scores[index].name;
+        });
+    }
+    
+    function addScore(entry) {
+        const scores = [...loadScores(), entry]
+            .sort((a, b) => b.score - a.score || a.seconds - b.seconds)
+            .slice(0, SCOREBOARD_SIZE);
+        try {
+            localStorage.setItem(SCOREBOARD_STORAGE_KEY, JSON.stringify(scores));
+        } catch (error) {
+            console.warn('Could not save the scoreboard:', error.message);
+        }
+        renderScoreboard();
+    }
+    
+    function saveChallenge() {
+        try {
+            localStorage.setItem(CHALLENGE_STORAGE_KEY, JSON.stringify(challenge));
+        } catch (error) {
+            console.warn('Could not save the challenge:', error.message);
+        }
+    }
+    
+    render();
+    renderScoreboard();
+}
+
+/**
+ * Read the challenge saved by setupChallenge
+ * @returns {Object|null} - Challenge, or null when there is none or it is unreadable
+ */
+function loadChallenge() {
+    try {
+        const challenge = JSON.parse(localStorage.getItem(CHALLENGE_STORAGE_KEY));
+        return challenge && Array.isArray(challenge.hints) ? challenge : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read the scoreboard, best score first
+ * @returns {Array} - [{name, difficulty, cipher, seconds, hints, score, date}]
+ */
+function loadScores() {
+    try {
+        const scores = JSON.parse(localStorage.getItem(SCOREBOARD_STORAGE_KEY));
+        return Array.isArray(scores) ? scores : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Format a number of seconds as m:ss
+ * @param {number} seconds - Duration
+ * @returns {string} - e.g. "3:07"
+ */
+function formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Setup code viewer functionality
+ */
+function setupCodeViewer() {
+    const codeButtons = document.querySelectorAll('.code-btn');
+    
+    codeButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            const codeType = button.dataset.code;
+            console.log('Code view clicked:', codeType); // Debug log
+            
+            switchCodeView(codeType);
+        });
+    });
+}
+
+/**
+ * Switch between different code views
+ * @param {string} codeType - Type of code to display
+ */
+function switchCodeView(codeType) {
+    console.log('Switching to code view:', codeType); // Debug log
+    
+    // Update active button
+    document.querySelectorAll('.code-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.code === codeType);
+    });
+    
+    // Hide all code displays
+    document.querySelectorAll('.code-display').forEach(display => {
+        display.classList.remove('active');
+        display.classList.add('hidden');
+    });
+    
+    // Show selected code display
     const selectedDisplay = document.getElementById(`${codeType}-code`);
     if (selectedDisplay) {
         selectedDisplay.classList.add('active');
         selectedDisplay.classList.remove('hidden');
         console.log('Code view switched successfully'); // Debug log
     } else {
-        console.error('Code display not found:', `${codeType}-code`);
+        console.error('Code display not found:', `${codeType}-code`);
+    }
+    
+    AppState.currentCodeView = codeType;
+}
+
+// localStorage key for the automatically saved session
+const SESSION_STORAGE_KEY = 'classical-cryptography-suite/session';
+
+// Text fields kept out of the saved session and share links, like the AES passphrase:
+// the plaintext it protects and a challenge answer in progress
+const UNSAVED_FIELDS = ['aes-plaintext', 'challenge-answer'];
+
+/**
+ * Snapshot of the page: active tab, language and the value of every
+ * cipher control, keyed by element id (radio groups by name). Output
+ * boxes are left out because they are recomputed from the rest
+ * @param {string} tabName - Only collect this tab's controls (default: all tabs)
+ * @param {boolean} includeText - Include the text areas (default: true)
+ * @returns {Object} - {tab, language, codeView, values, pipeline?}
+ */
+function collectSession(tabName = null, includeText = true) {
+    const scope = tabName ? document.getElementById(`${tabName}-tab`) : document;
+    const values = {};
+    
+    scope.querySelectorAll('.tab-content input, .tab-content select, .tab-content textarea').forEach(field => {
+        // Pipeline stage fields are rebuilt from the stage list; passphrases are never stored
+        if (field.readOnly || field.type === 'password' || field.closest('#pipeline-stages')) return;
+        if (UNSAVED_FIELDS.includes(field.id)) return;
+        if (field.tagName === 'TEXTAREA' && !includeText) return;
+        
+        if (field.type === 'radio') {
+            if (field.checked) values[field.name] = field.value;
+        } else if (field.type === 'checkbox') {
+            if (field.id) values[field.id] = String(field.checked);
+        } else if (field.id && field.type !== 'file') {
+            values[field.id] = field.value;
+        }
+    });
+    
+    const session = {
+        tab: tabName || AppState.currentTab,
+        language: getLanguageName(),
+        codeView: AppState.currentCodeView,
+        values: values
+    };
+    
+    if (!tabName || tabName === 'pipeline') {
+        session.pipeline = AppState.pipelineStages.map(stage => ({ operation: stage.operation, params: { ...stage.params } }));
+    }
+    
+    return session;
+}
+
+/**
+ * Put a collected session back into the page
+ * Controls get the same input/change events typing would fire, so every
+ * tab re-renders through its usual handlers; unknown ids are ignored
+ * @param {Object} session - Session from collectSession
+ */
+function applySession(session) {
+    if (session.language && LANGUAGES[session.language] && session.language !== getLanguageName()) {
+        const languageSelect = document.getElementById('language-select');
+        setLanguage(session.language);
+        if (languageSelect) languageSelect.value = session.language;
+        document.dispatchEvent(new CustomEvent('languagechange'));
+    }
+    
+    // Insertion order is document order, so a keyword is set before the key it generates
+    Object.entries(session.values || {}).forEach(([key, value]) => {
+        const field = document.getElementById(key);
+        
+        if (!field) {
+            const radio = [...document.querySelectorAll(`.tab-content input[type="radio"]`)]
+                .find(input => input.name === key && input.value === value);
+            if (radio && !radio.checked) {
+                radio.checked = true;
+                radio.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            return;
+        }
+        
+        if (!field.closest('.tab-content') || field.readOnly) return;
+        
+        if (field.type === 'checkbox') {
+            field.checked = value === 'true';
+        } else {
+            // Options such as affine multipliers depend on the language
+            if (field.tagName === 'SELECT' && ![...field.options].some(option => option.value === value)) return;
+            field.value = value;
+        }
+        
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    
+    if (session.pipeline) {
+        document.dispatchEvent(new CustomEvent('sessionrestore', { detail: { pipeline: session.pipeline } }));
+    }
+    
+    if (session.codeView && document.getElementById(`${session.codeView}-code`)) {
+        switchCodeView(session.codeView);
+    }
+}
+
+/**
+ * Write the current session to localStorage
+ * Storage can be unavailable or full (private windows, file:// in some
+ * browsers); the page then simply starts fresh next time
+ */
+function saveSession() {
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(collectSession()));
+    } catch (error) {
+        console.warn('Could not save the session:', error.message);
+    }
+}
+
+/**
+ * Read the session saved by saveSession
+ * @returns {Object|null} - Session, or null when there is none or it is unreadable
+ */
+function loadSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        return session && typeof session === 'object' ? session : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * URL fragment for a session, readable as query parameters:
+ * #tab=vigenere&language=english&vigenere-key=LEMON&vigenere-mode=decrypt
+ * @param {Object} session - Session from collectSession
+ * @returns {string} - Fragment without the leading '#'
+ */
+function sessionToHash(session) {
+    const params = new URLSearchParams({ tab: session.tab, language: session.language });
+    Object.entries(session.values).forEach(([key, value]) => params.append(key, value));
+    if (session.pipeline) params.append('pipeline', JSON.stringify(session.pipeline));
+    return params.toString();
+}
+
+/**
+ * Session encoded in the page's URL fragment by a share link
+ * @returns {Object|null} - Session, or null when the fragment is not a share link
+ */
+function sessionFromHash() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    if (!params.has('tab')) return null;
+    
+    const session = { tab: params.get('tab'), language: params.get('language'), values: {} };
+    params.forEach((value, key) => {
+        if (key === 'pipeline') {
+            try {
+                session.pipeline = JSON.parse(value);
+            } catch (error) {
+                console.warn('Ignoring unreadable pipeline in shared link');
+            }
+        } else if (key !== 'tab' && key !== 'language') {
+            session.values[key] = value;
+        }
+    });
+    
+    return session;
+}
+
+/**
+ * Restore the saved session and then any shared link on top of it
+ * The shared fragment is removed afterwards, so reloading keeps later edits
+ */
+function restoreSession() {
+    const saved = loadSession();
+    const shared = sessionFromHash();
+    
+    [saved, shared].forEach(session => {
+        if (session) applySession(session);
+    });
+    
+    const tab = [shared, saved]
+        .map(session => session?.tab)
+        .find(name => name && document.getElementById(`${name}-tab`));
+    switchTab(tab || 'caesar');
+    
+    if (shared) {
+        history.replaceState(null, '', location.pathname + location.search);
+        showNotification('Opened a shared link', 'info');
+    }
+}
+
+/**
+ * Setup automatic saving and the "Share link" button
+ * Any edit, click or tab switch schedules a save; clicks cover buttons
+ * that fill in keys without firing input events
+ */
+function setupSessionSharing() {
+    const shareBtn = document.getElementById('share-link');
+    const includeText = document.getElementById('share-include-text');
+    const scheduleSave = debounce(saveSession);
+    
+    ['input', 'change', 'click'].forEach(type => {
+        document.addEventListener(type, scheduleSave);
+    });
+    window.addEventListener('pagehide', saveSession);
+    
+    if (!shareBtn) {
+        console.error('Share link button not found');
+        return;
+    }
+    
+    shareBtn.addEventListener('click', () => {
+        const session = collectSession(AppState.currentTab, includeText ? includeText.checked : false);
+        const url = `${location.href.split('#')[0]}#${sessionToHash(session)}`;
+        copyToClipboard(url, includeText?.checked ? 'Share link with text copied to clipboard!' : 'Share link copied to clipboard!');
+    });
+}
+
+// Largest text file the page will load; the step-by-step demos slow down beyond this
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// Marks JSON audit records written by the Export JSON Record button
+const RECORD_FORMAT = 'classical-cryptography-suite/record';
+
+/**
+ * Setup file import and export for every cipher tab
+ * A tab takes part when it has <cipher>-input and <cipher>-output boxes;
+ * the buttons are found through their data-file-action attributes
+ */
+function setupFileTransfer() {
+    document.querySelectorAll('.tab-content').forEach(tab => {
+        const cipher = tab.id.replace(/-tab$/, '');
+        const inputText = document.getElementById(`${cipher}-input`);
+        const outputText = document.getElementById(`${cipher}-output`);
+        if (!inputText || !outputText) return;
+        
+        const openBtn = tab.querySelector('[data-file-action="open"]');
+        const fileInput = tab.querySelector('[data-file-action="pick"]');
+        let sourceName = null;
+        
+        async function loadFile(file) {
+            try {
+                inputText.value = await readTextFile(file);
+            } catch (error) {
+                showNotification(error.message, 'error');
+                return;
+            }
+            sourceName = file.name;
+            inputText.dispatchEvent(new Event('input', { bubbles: true }));
+            showNotification(`Loaded ${file.name} (${inputText.value.length} characters)`, 'success');
+        }
+        
+        if (openBtn && fileInput) {
+            openBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length) loadFile(fileInput.files[0]);
+                // Clear it so picking the same file again still fires change
+                fileInput.value = '';
+            });
+        }
+        
+        inputText.addEventListener('dragover', event => {
+            event.preventDefault();
+            inputText.classList.add('drag-over');
+        });
+        inputText.addEventListener('dragleave', () => inputText.classList.remove('drag-over'));
+        inputText.addEventListener('drop', event => {
+            event.preventDefault();
+            inputText.classList.remove('drag-over');
+            if (event.dataTransfer.files.length) loadFile(event.dataTransfer.files[0]);
+        });
+        
+        tab.querySelectorAll('[data-file-action="download"], [data-file-action="download-groups"], [data-file-action="record"]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const output = outputText.value;
+                if (!output.trim()) {
+                    showNotification('No text to download!', 'error');
+                    return;
+                }
+                
+                const mode = document.querySelector(`input[name="${cipher}-mode"]:checked`)?.value || 'encrypt';
+                const stem = `${sourceName ? sourceName.replace(/\.[^.]*$/, '') + '-' : ''}${cipher}-${mode}ed`;
+                
+                if (button.dataset.fileAction === 'download') {
+                    downloadFile(`${stem}.txt`, output, 'text/plain');
+                } else if (button.dataset.fileAction === 'download-groups') {
+                    downloadFile(`${stem}-groups.txt`, groupLetters(output) + '\n', 'text/plain');
+                } else {
+                    try {
+                        const record = await createAuditRecord(cipher, mode, inputText.value, output);
+                        downloadFile(`${stem}.json`, JSON.stringify(record, null, 2) + '\n', 'application/json');
+                    } catch (error) {
+                        showNotification(error.message, 'error');
+                    }
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Read a dropped or picked file as text
+ * @param {File} file - File from an input or a drop
+ * @returns {Promise<string>} - File contents
+ */
+async function readTextFile(file) {
+    if (file.type && !file.type.startsWith('text/')) {
+        throw new Error(`${file.name} is not a text file`);
+    }
+    if (file.size > MAX_IMPORT_BYTES) {
+        throw new Error(`${file.name} is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+    }
+    return file.text();
+}
+
+// How long a download link and its object URL outlive the click
+const DOWNLOAD_REVOKE_DELAY_MS = 1000;
+
+/**
+ * Offer text to the user as a file download
+ * @param {string} name - File name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    
+    // Firefox and older Safari start the download after click() returns
+    setTimeout(() => {
+        link.remove();
+        URL.revokeObjectURL(url);
+    }, DOWNLOAD_REVOKE_DELAY_MS);
+    showNotification(`Saved ${name}`, 'success');
+}
+
+/**
+ * JSON record of one operation for auditing: what was done, with which
+ * settings, and a SHA-256 of the input so it can be checked later without
+ * the record holding the input itself
+ * @param {string} cipher - Tab name, e.g. 'vigenere'
+ * @param {string} mode - 'encrypt' or 'decrypt'
+ * @param {string} input - Input text
+ * @param {string} output - Output text
+ * @returns {Promise<Object>} - {format, version, created, cipher, mode, language, parameters, input, output}
+ */
+async function createAuditRecord(cipher, mode, input, output) {
+    if (!window.crypto?.subtle) {
+        throw new Error('Hashing needs Web Crypto, which this browser only offers on https or localhost pages');
+    }
+    
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+    const sha256 = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    
+    // Parameters are the tab's settings, named without the tab prefix
+    const parameters = {};
+    if (cipher === 'pipeline') {
+        parameters.stages = createRecipe(AppState.pipelineStages).stages;
+    } else {
+        document.querySelectorAll(`#${cipher}-tab .controls-section input, #${cipher}-tab .controls-section select`).forEach(field => {
+            if (field.id && field.type !== 'radio') {
+                parameters[field.id.replace(`${cipher}-`, '')] = field.value;
+            }
+        });
+    }
+    
+    return {
+        format: RECORD_FORMAT,
+        version: 1,
+        created: new Date().toISOString(),
+        cipher: cipher,
+        mode: mode,
+        language: getLanguageName(),
+        parameters: parameters,
+        input: { sha256: sha256, characters: input.length },
+        output: output
+    };
+}
+
+/**
+ * Setup copy to clipboard functionality
+ */
+function setupCopyButtons() {
+    const copyC = document.getElementById('copy-caesar');
+    const copyV = document.getElementById('copy-vigenere');
+    const copyS = document.getElementById('copy-substitution');
+    const copyA = document.getElementById('copy-affine');
+    const copyT = document.getElementById('copy-transposition');
+    const copyP = document.getElementById('copy-playfair');
+    const copyH = document.getElementById('copy-hill');
+    const copyE = document.getElementById('copy-enigma');
+    const copyPipeline = document.getElementById('copy-pipeline');
+    
+    if (copyC) {
+        copyC.addEventListener('click', () => {
+            const text = document.getElementById('caesar-output').value;
+            copyToClipboard(text, 'Caesar result copied to clipboard!');
+        });
+    }
+    
+    if (copyV) {
+        copyV.addEventListener('click', () => {
+            const text = document.getElementById('vigenere-output').value;
+            copyToClipboard(text, 'Vigenère result copied to clipboard!');
+        });
+    }
+    
+    if (copyS) {
+        copyS.addEventListener('click', () => {
+            const text = document.getElementById('substitution-output').value;
+            copyToClipboard(text, 'Substitution result copied to clipboard!');
+        });
+    }
+    
+    if (copyA) {
+        copyA.addEventListener('click', () => {
+            const text = document.getElementById('affine-output').value;
+            copyToClipboard(text, 'Affine result copied to clipboard!');
+        });
+    }
+    
+    if (copyT) {
+        copyT.addEventListener('click', () => {
+            const text = document.getElementById('transposition-output').value;
+            copyToClipboard(text, 'Transposition result copied to clipboard!');
+        });
+    }
+    
+    if (copyP) {
+        copyP.addEventListener('click', () => {
+            const text = document.getElementById('playfair-output').value;
+            copyToClipboard(text, 'Playfair result copied to clipboard!');
+        });
+    }
+    
+    if (copyH) {
+        copyH.addEventListener('click', () => {
+            const text = document.getElementById('hill-output').value;
+            copyToClipboard(text, 'Hill result copied to clipboard!');
+        });
+    }
+    
+    if (copyE) {
+        copyE.addEventListener('click', () => {
+            const text = document.getElementById('enigma-output').value;
+            copyToClipboard(text, 'Enigma result copied to clipboard!');
+        });
+    }
+    
+    if (copyPipeline) {
+        copyPipeline.addEventListener('click', () => {
+            const text = document.getElementById('pipeline-output').value;
+            copyToClipboard(text, 'Pipeline result copied to clipboard!');
+        });
+    }
+}
+
+/**
+ * Copy text to clipboard with user feedback
+ * @param {string} text - Text to copy
+ * @param {string} message - Success message to show
+ */
+function copyToClipboard(text, message) {
+    if (!text.trim()) {
+        showNotification('No text to copy!', 'error');
+        return;
+    }
+    
+    navigator.clipboard.writeText(text).then(() => {
+        showNotification(message, 'success');
+    }).catch(() => {
+        // Fallback for older browsers
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        document.body.appendChild(textArea);
+        textArea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textArea);
+        showNotification(message, 'success');
+    });
+}
+
+/**
+ * Show user a notification message
+ * @param {string} message - A Message to display
+ * @param {string} type - It will show success, error, info (default: info)
+ */
+function showNotification(message, type = 'info') {
+    // Create notification element
+    const notify = document.createElement('div');
+    notify.className = `notification notification--${type}`;
+    notify.textContent = message;
+    
+    const bgColor = type === 'success' ? 'var(--color-success)' : 
+                    type === 'error' ? 'var(--color-error)' : 
+                    'var(--color-info)';
+    
+    notify.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        padding: var(--space-12) var(--space-20);
+        background: ${bgColor};
+        color: var(--color-btn-primary-text);
+        border-radius: var(--radius-base);
+        z-index: 1000;
+        font-weight: var(--font-weight-medium);
+        box-shadow: var(--shadow-lg);
+        max-width: 300px;
+    `;
+    
+    document.body.appendChild(notify);
+    
+    // Remove after 3 seconds
+    setTimeout(() => {
+        if (notify.parentNode) {
+            notify.parentNode.removeChild(notify);
+        }
+    }, 3000);
+}
+
+// Pause in typing before a text area is processed again
+const TYPING_DEBOUNCE_MS = 150;
+
+/**
+ * Delay a function until calls stop arriving for a while
+ * Keeps live processing of long texts from running on every keystroke
+ * @param {Function} fn - Function to call
+ * @param {number} wait - Quiet period in milliseconds (default: TYPING_DEBOUNCE_MS)
+ * @returns {Function} - Debounced function
+ */
+function debounce(fn, wait = TYPING_DEBOUNCE_MS) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), wait);
+    };
+}
+
+// Time each step stays on screen while a step-through player is playing
+const STEP_PLAYER_INTERVAL_MS = 700;
+
+/**
+ * Step-through player for a cipher tab
+ * Scrubs through the steps of a traceCipher trace with a slider, previous/next
+ * and play/pause, shows each step's arithmetic and highlights its characters
+ * in the input and output boxes. The trace and the highlighting start with the
+ * first use of the controls, so typing alone neither pays for a trace of the
+ * whole text nor touches the boxes
+ * @param {HTMLElement} panel - .step-through element with the controls
+ * @param {HTMLTextAreaElement} inputText - The tab's input box
+ * @param {HTMLTextAreaElement} outputText - The tab's output box
+ * @param {Function} getTrace - Returns the trace of the tab's current text and settings
+ * @param {Function} onStep - Optional callback(step, index) whenever a step is shown
+ * @returns {Object} - {refresh()} to call whenever the tab's output changes
+ */
+function createStepPlayer(panel, inputText, outputText, getTrace, onStep = null) {
+    if (!panel) return { refresh() {} };
+    
+    const slider = panel.querySelector('.step-through-slider');
+    const playBtn = panel.querySelector('[data-step-action="play"]');
+    const positionSpan = panel.querySelector('.step-through-position');
+    const detailDiv = panel.querySelector('.step-through-detail');
+    const highlighters = [createTextHighlighter(inputText), createTextHighlighter(outputText)];
+    
+    let steps = [];
+    let traced = false;
+    let timer = null;
+    let active = false;
+    
+    panel.querySelector('[data-step-action="previous"]').addEventListener('click', () => {
+        pause();
+        show(current() - 1);
+    });
+    panel.querySelector('[data-step-action="next"]').addEventListener('click', () => {
+        pause();
+        show(current() + 1);
+    });
+    playBtn.addEventListener('click', () => timer ? pause() : play());
+    
+    // Trace before the slider moves, so its range covers every step
+    slider.addEventListener('pointerdown', trace);
+    slider.addEventListener('focus', trace);
+    slider.addEventListener('input', () => {
+        pause();
+        show(current());
+    });
+    
+    function current() {
+        return parseInt(slider.value) || 0;
+    }
+    
+    function play() {
+        trace();
+        if (steps.length === 0) return;
+        
+        // Start over once the last step has been reached
+        show(active && current() < steps.length - 1 ? current() : 0);
+        playBtn.textContent = 'Pause';
+        timer = setInterval(() => {
+            if (current() >= steps.length - 1) {
+                pause();
+            } else {
+                show(current() + 1);
+            }
+        }, STEP_PLAYER_INTERVAL_MS);
+    }
+    
+    function pause() {
+        clearInterval(timer);
+        timer = null;
+        playBtn.textContent = 'Play';
+    }
+    
+    function show(index) {
+        trace();
+        if (steps.length === 0) return;
+        
+        slider.value = Math.max(0, Math.min(index, steps.length - 1));
+        active = true;
+        render();
+    }
+    
+    function render() {
+        const index = current();
+        const step = steps[index];
+        
+        positionSpan.textContent = `Step ${index + 1} of ${steps.length}`;
+        detailDiv.innerHTML = '<strong>Input:</strong> <span></span> · <strong>Key:</strong> <span></span> · <span></span> → <strong></strong>';
+        
+        // Steps carry characters of the input text, so they go in as text
+        const [input, key, arithmetic] = detailDiv.querySelectorAll('span');
+        input.textContent = step.input;
+        key.textContent = step.key;
+        arithmetic.textContent = step.arithmetic;
+        detailDiv.lastElementChild.textContent = step.output;
+        highlighters[0].show(...step.inputRange);
+        highlighters[1].show(...step.outputRange);
+        
+        if (onStep) onStep(step, index);
+    }
+    
+    /**
+     * Build the trace of the current text and settings if it is out of date
+     */
+    function trace() {
+        if (traced) return;
+        traced = true;
+        
+        try {
+            steps = inputText.value.trim() ? getTrace().steps : [];
+        } catch (error) {
+            // The tab itself reports invalid settings
+            steps = [];
+        }
+        
+        slider.max = Math.max(steps.length - 1, 0);
+        slider.value = Math.min(current(), Math.max(steps.length - 1, 0));
+        setDisabled(steps.length === 0);
+        
+        if (steps.length === 0) {
+            pause();
+            active = false;
+            positionSpan.textContent = '';
+            detailDiv.textContent = 'Enter text to step through it.';
+            highlighters.forEach(highlighter => highlighter.clear());
+        } else if (!active) {
+            positionSpan.textContent = `${steps.length} steps`;
+        }
+    }
+    
+    function setDisabled(disabled) {
+        panel.querySelectorAll('button, input').forEach(control => {
+            control.disabled = disabled;
+        });
+    }
+    
+    function refresh() {
+        traced = false;
+        
+        // Only a player in use follows every edit; otherwise the trace waits for the controls
+        if (active || !inputText.value.trim()) {
+            trace();
+            if (active) render();
+        } else {
+            steps = [];
+            setDisabled(false);
+            positionSpan.textContent = '';
+            detailDiv.textContent = 'Press Play or drag the slider to follow the whole text step by step.';
+        }
+    }
+    
+    return { refresh };
+}
+
+/**
+ * Highlight a range of characters in a textarea
+ * Textareas cannot style part of their text, so the box is wrapped with a
+ * backdrop that repeats the text in the same font and padding, marks the
+ * range, and shows through the box while a highlight is on
+ * @param {HTMLTextAreaElement} textarea - Box to highlight in
+ * @returns {Object} - {show(start, end), clear()}
+ */
+function createTextHighlighter(textarea) {
+    const wrapper = document.createElement('div');
+    const backdrop = document.createElement('div');
+    wrapper.className = 'highlight-wrapper';
+    backdrop.className = 'highlight-backdrop';
+    backdrop.setAttribute('aria-hidden', 'true');
+    textarea.parentNode.insertBefore(wrapper, textarea);
+    wrapper.append(backdrop, textarea);
+    
+    textarea.addEventListener('scroll', () => {
+        backdrop.scrollTop = textarea.scrollTop;
+    });
+    
+    function show(start, end) {
+        // Copy the text metrics, which change with the theme and screen size
+        const style = getComputedStyle(textarea);
+        ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'paddingTop', 'paddingBottom',
+            'paddingLeft', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'
+        ].forEach(property => {
+            backdrop.style[property] = style[property];
+        });
+        
+        // A scrollbar narrows the textarea's text, so the backdrop leaves the same room
+        const scrollbar = textarea.offsetWidth - textarea.clientWidth
+            - parseFloat(style.borderLeftWidth) - parseFloat(style.borderRightWidth);
+        backdrop.style.paddingRight = `${parseFloat(style.paddingRight) + Math.max(scrollbar, 0)}px`;
+        
+        const text = textarea.value;
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        backdrop.replaceChildren(text.slice(0, start), mark, text.slice(end) + '\n');
+        textarea.classList.add('is-highlighted');
+        
+        // Scroll the mark into view when it lies outside the visible lines
+        if (mark.offsetTop < textarea.scrollTop ||
+            mark.offsetTop + mark.offsetHeight > textarea.scrollTop + textarea.clientHeight) {
+            textarea.scrollTop = mark.offsetTop - textarea.clientHeight / 3;
+        }
+        backdrop.scrollTop = textarea.scrollTop;
+    }
+    
+    function clear() {
+        backdrop.replaceChildren();
+        textarea.classList.remove('is-highlighted');
+    }
+    
+    return { show, clear };
+}
+
+/**
+ * Name of the current language, for passing to the analysis worker
+ * @returns {string} - Key of LANGUAGES
+ */
+function getLanguageName() {
+    return Object.keys(LANGUAGES).find(name => LANGUAGES[name] === getLanguage());
+}
+
+/**
+ * Create a runner for ANALYSIS_TASKS in analysis-worker.js
+ * Each runner owns one worker and runs one task at a time: starting a task
+ * cancels the previous one, and cancelling terminates the worker, which is
+ * recreated on the next run. Where workers are unavailable (index.html opened
+ * from disk) tasks run on the main thread instead
+ * @returns {Object} - {run(task, args, onProgress) → Promise, cancel()}
+ */
+function createAnalysisRunner() {
+    let worker = null;
+    let pending = null;
+    let nextId = 0;
+    
+    function settle(id, fn) {
+        if (!pending || pending.id !== id) return;
+        const { resolve, reject } = pending;
+        pending = null;
+        fn(resolve, reject);
+    }
+    
+    function runOnMainThread(task) {
+        // Yield first so the progress panel is painted before the page blocks
+        setTimeout(() => {
+            if (!pending || pending.id !== task.id) return;
+            try {
+                const result = runAnalysisTask(task.name, task.args, task.onProgress);
+                settle(task.id, resolve => resolve(result));
+            } catch (error) {
+                settle(task.id, (resolve, reject) => reject(error));
+            }
+        }, 0);
+    }
+    
+    function getWorker() {
+        if (worker || createAnalysisRunner.unavailable) return worker;
+        
+        try {
+            worker = new Worker('analysis-worker.js');
+        } catch (error) {
+            createAnalysisRunner.unavailable = true;
+            return null;
+        }
+        
+        worker.addEventListener('message', event => {
+            const { id, type } = event.data;
+            if (type === 'progress') {
+                if (pending?.id === id && pending.onProgress) pending.onProgress(event.data.done, event.data.total);
+            } else if (type === 'result') {
+                settle(id, resolve => resolve(event.data.result));
+            } else {
+                settle(id, (resolve, reject) => reject(new Error(event.data.message)));
+            }
+        });
+        
+        // The worker script failed to load: use the main thread from now on
+        worker.addEventListener('error', event => {
+            event.preventDefault();
+            createAnalysisRunner.unavailable = true;
+            worker.terminate();
+            worker = null;
+            if (pending) runOnMainThread(pending);
+        });
+        
+        return worker;
+    }
+    
+    function run(name, args, onProgress = null) {
+        cancel();
+        
+        return new Promise((resolve, reject) => {
+            pending = { id: ++nextId, name, args, onProgress, resolve, reject };
+            
+            const activeWorker = typeof Worker !== 'undefined' ? getWorker() : null;
+            if (activeWorker) {
+                activeWorker.postMessage({ id: pending.id, task: name, args, language: getLanguageName() });
+            } else {
+                runOnMainThread(pending);
+            }
+        });
+    }
+    
+    function cancel() {
+        if (!pending) return;
+        
+        // A worker stuck in a long task can only be stopped by terminating it
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        
+        const error = new Error('Analysis cancelled');
+        error.name = 'AbortError';
+        settle(pending.id, (resolve, reject) => reject(error));
     }
     
-    AppState.currentCodeView = codeType;
+    return { run, cancel };
+}
+
+/**
+ * Run an analysis task with a progress bar and Cancel button in a results panel
+ * On cancel the panel says so, unless a newer run has taken it over, and the
+ * promise rejects with an AbortError
+ * @param {Object} runner - Runner from createAnalysisRunner
+ * @param {string} task - Task name from ANALYSIS_TASKS
+ * @param {Array} args - Task arguments
+ * @param {HTMLElement} resultsDiv - Panel that will show the results
+ * @param {string} label - What is being computed, e.g. 'Trying every shift'
+ * @returns {Promise} - Resolves with the task's result
+ */
+function runAnalysis(runner, task, args, resultsDiv, label) {
+    resultsDiv.classList.remove('hidden');
+    resultsDiv.innerHTML = `<div class="analysis-progress">
+        <div class="analysis-progress-header">
+            <strong>${label}…</strong>
+            <span class="analysis-progress-value">0%</span>
+        </div>
+        <div class="analysis-progress-track"><div class="analysis-progress-bar"></div></div>
+        <button type="button" class="btn btn--outline btn--sm">Cancel</button>
+    </div>`;
+    
+    // This run's own panel: a newer run that replaced it must not be overwritten on cancel
+    const progress = resultsDiv.querySelector('.analysis-progress');
+    const bar = progress.querySelector('.analysis-progress-bar');
+    const value = progress.querySelector('.analysis-progress-value');
+    progress.querySelector('button').addEventListener('click', () => runner.cancel());
+    
+    const onProgress = (done, total) => {
+        const percent = Math.round((done / total) * 100);
+        bar.style.width = `${percent}%`;
+        value.textContent = `${percent}%`;
+    };
+    
+    return runner.run(task, args, onProgress).catch(error => {
+        if (error.name === 'AbortError' && resultsDiv.contains(progress)) {
+            resultsDiv.innerHTML = `<p><strong>Cancelled:</strong> ${label.toLowerCase()} was stopped before it finished.</p>`;
+            showNotification('Analysis cancelled', 'info');
+        }
+        throw error;
+    });
 }
 
 /**
- * Setup copy to clipboard functionality
+ * Setup analysis tools including frequency analysis
  */
-function setupCopyButtons() {
-    const copyC = document.getElementById('copy-caesar');
-    const copyV = document.getElementById('copy-vigenere');
-    
-    if (copyC) {
-        copyC.addEventListener('click', () => {
-            const text = document.getElementById('caesar-output').value;
-            copyToClipboard(text, 'Caesar result copied to clipboard!');
-        });
+function setupAnalysisTools() {
+    const frequencyBtn = document.getElementById('frequency-analysis');
+    if (frequencyBtn) {
+        frequencyBtn.addEventListener('click', performFrequencyAnalysis);
     }
     
-    if (copyV) {
-        copyV.addEventListener('click', () => {
-            const text = document.getElementById('vigenere-output').value;
-            copyToClipboard(text, 'Vigenère result copied to clipboard!');
-        });
+    setupCipherIdentification();
+    setupColumnAlignment();
+    
+    // Redraw existing charts against the new language's profile
+    document.addEventListener('languagechange', () => {
+        if (AppState.frequencyChart?.data.labels.length) {
+            performFrequencyAnalysis();
+        } else if (AppState.icChart?.analyzedText) {
+            updateIcChart(AppState.icChart.analyzedText);
+        }
+    });
+}
+
+/**
+ * Text from the cipher tabs for the analysis tools
+ * @returns {string} - First non-empty input (or output), '' when all are empty
+ */
+function currentCipherText() {
+    // Try Caesar first, then Vigenère, then the other cipher tabs
+    for (const cipher of ['caesar', 'vigenere', 'substitution', 'affine', 'transposition', 'playfair', 'hill', 'enigma', 'pipeline']) {
+        const input = document.getElementById(`${cipher}-input`);
+        const output = document.getElementById(`${cipher}-output`);
+        if (input?.value?.trim()) return input.value;
+        if (output?.value?.trim()) return output.value;
     }
+    return '';
 }
 
 /**
- * Copy text to clipboard with user feedback
- * @param {string} text - Text to copy
- * @param {string} message - Success message to show
+ * Setup the "What cipher is this?" tool
+ * Candidates link to the tab that attacks their family, with the
+ * ciphertext already loaded for decryption
  */
-function copyToClipboard(text, message) {
-    if (!text.trim()) {
-        showNotification('No text to copy!', 'error');
+function setupCipherIdentification() {
+    const inputText = document.getElementById('identify-input');
+    const identifyBtn = document.getElementById('identify-cipher');
+    const currentBtn = document.getElementById('identify-current');
+    const resultsDiv = document.getElementById('identify-results');
+    
+    if (!inputText || !identifyBtn || !resultsDiv) {
+        console.error('Cipher identification elements not found');
         return;
     }
     
-    navigator.clipboard.writeText(text).then(() => {
-        showNotification(message, 'success');
-    }).catch(() => {
-        // Fallback for older browsers
-        const textArea = document.createElement('textarea');
-        textArea.value = text;
-        document.body.appendChild(textArea);
-        textArea.select();
-        document.execCommand('copy');
-        document.body.removeChild(textArea);
-        showNotification(message, 'success');
+    identifyBtn.addEventListener('click', identify);
+    
+    if (currentBtn) {
+        currentBtn.addEventListener('click', () => {
+            const text = currentCipherText();
+            if (!text.trim()) {
+                showNotification('Please enter some text in the cipher tabs first!', 'error');
+                return;
+            }
+            inputText.value = text;
+            identify();
+        });
+    }
+    
+    document.addEventListener('languagechange', () => {
+        if (!resultsDiv.classList.contains('hidden')) identify();
     });
+    
+    function identify() {
+        const ciphertext = inputText.value;
+        if (!extractLetters(ciphertext)) {
+            showNotification('Please enter a ciphertext to identify!', 'error');
+            return;
+        }
+        
+        const { statistics, candidates, warnings } = identifyCipher(ciphertext);
+        const language = getLanguage();
+        
+        resultsDiv.classList.remove('hidden');
+        resultsDiv.innerHTML = `<p><strong>Statistics:</strong></p>
+            <div class="demo-line">Letters: ${statistics.length} (${statistics.characters.distinctLetters} distinct), 
+                ${statistics.evenLength ? 'even' : 'odd'} length, ${statistics.doubledLetters} doubled letters, 
+                ${statistics.doubledDigraphs} doubled pairs${statistics.characters.digits ? `, ${statistics.characters.digits} digits` : ''}</div>
+            <div class="demo-line">Index of coincidence: ${statistics.ic.toFixed(4)} 
+                (${language.label} ≈ ${statistics.expectedIC.toFixed(3)}, random ≈ ${statistics.randomIC.toFixed(3)})</div>
+            <div class="demo-line">Entropy: ${statistics.entropy.toFixed(2)} bits per letter 
+                (${language.label} ≈ ${statistics.expectedEntropy.toFixed(2)}, random ${statistics.maxEntropy.toFixed(2)})</div>
+            <div class="demo-line">χ² against ${language.label}: ${statistics.chiSquaredPerLetter.toFixed(2)} per letter</div>
+            <div class="demo-line">Periodic IC: ${statistics.periodicIC.slice(1, 10)
+                .map(entry => `${entry.period}: ${entry.ic.toFixed(3)}`).join(', ') || 'text too short'}</div>
+            ${warnings.map(warning => `<p><strong>Warning:</strong> ${warning}</p>`).join('')}
+            <p><strong>Likely cipher families:</strong></p>`;
+        
+        if (candidates.length === 0) {
+            resultsDiv.innerHTML += '<p>No family fits these statistics well.</p>';
+            return;
+        }
+        
+        candidates.forEach((candidate, index) => {
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'brute-force-result crack-result';
+            resultDiv.innerHTML = `<div><strong>${candidate.label}</strong> 
+                <small>(Confidence: ${Math.round(candidate.score * 100)}%)</small>
+                <ul class="identify-reasons">${candidate.reasons.map(reason => `<li>${reason}</li>`).join('')}</ul></div>`;
+            
+            if (index === 0) {
+                resultDiv.style.borderLeftColor = 'var(--color-success)';
+            }
+            
+            const tabButton = document.querySelector(`.tab-btn[data-tab="${candidate.solver}"]`);
+            const openBtn = document.createElement('button');
+            openBtn.className = 'btn btn--secondary btn--sm';
+            openBtn.textContent = `Open ${tabButton ? tabButton.textContent : candidate.solver}`;
+            openBtn.addEventListener('click', () => openSolver(candidate.solver, ciphertext));
+            resultDiv.appendChild(openBtn);
+            
+            resultsDiv.appendChild(resultDiv);
+        });
+    }
 }
 
 /**
- * Show user a notification message
- * @param {string} message - A Message to display
- * @param {string} type - It will show success, error, info (default: info)
+ * Setup manual Vigenère solving by column alignment
+ * Each column gets a frequency chart and a shift slider; a column counts
+ * towards the key once its slider has been moved, so the key and the
+ * partial decryption grow letter by letter
  */
-function showNotification(message, type = 'info') {
-    // Create notification element
-    const notify = document.createElement('div');
-    notify.className = `notification notification--${type}`;
-    notify.textContent = message;
+function setupColumnAlignment() {
+    const inputText = document.getElementById('align-input');
+    const lengthInput = document.getElementById('align-length');
+    const splitBtn = document.getElementById('align-split');
+    const currentBtn = document.getElementById('align-current');
+    const workspace = document.getElementById('align-workspace');
+    const columnsDiv = document.getElementById('align-columns');
+    const keyDisplay = document.getElementById('align-key');
+    const plaintextOutput = document.getElementById('align-plaintext');
+    const applyBtn = document.getElementById('align-apply');
     
-    const bgColor = type === 'success' ? 'var(--color-success)' : 
-                    type === 'error' ? 'var(--color-error)' : 
-                    'var(--color-info)';
+    if (!inputText || !lengthInput || !splitBtn || !workspace || !columnsDiv || !keyDisplay || !plaintextOutput) {
+        console.error('Column alignment elements not found');
+        return;
+    }
     
-    notify.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        padding: var(--space-12) var(--space-20);
-        background: ${bgColor};
-        color: var(--color-btn-primary-text);
-        border-radius: var(--radius-base);
-        z-index: 1000;
-        font-weight: var(--font-weight-medium);
-        box-shadow: var(--shadow-lg);
-        max-width: 300px;
-    `;
+    // Per column: {column, chart, slider, shift (null until aligned)}
+    let columns = [];
+    let ciphertext = '';
     
-    document.body.appendChild(notify);
+    splitBtn.addEventListener('click', split);
     
-    // Remove after 3 seconds
-    setTimeout(() => {
-        if (notify.parentNode) {
-            notify.parentNode.removeChild(notify);
+    if (currentBtn) {
+        currentBtn.addEventListener('click', () => {
+            const text = currentCipherText();
+            if (!text.trim()) {
+                showNotification('Please enter some text in the cipher tabs first!', 'error');
+                return;
+            }
+            inputText.value = text;
+            if (lengthInput.value.trim()) split();
+        });
+    }
+    
+    if (applyBtn) {
+        applyBtn.addEventListener('click', () => {
+            const vigenereKey = document.getElementById('vigenere-key');
+            if (vigenereKey) vigenereKey.value = currentKey();
+            openSolver('vigenere', ciphertext, `Decrypting with key "${currentKey()}"`);
+        });
+    }
+    
+    // The alphabet and expected frequencies change with the language
+    document.addEventListener('languagechange', () => {
+        if (columns.length) split();
+    });
+    
+    function split() {
+        const keyLength = parseInt(lengthInput.value);
+        if (!(keyLength >= 1 && keyLength <= 20)) {
+            showNotification('Please enter a key length from 1 to 20!', 'error');
+            return;
         }
-    }, 3000);
+        if (extractLetters(inputText.value).length < 2 * keyLength) {
+            showNotification('Please enter a longer ciphertext: each column needs at least two letters!', 'error');
+            return;
+        }
+        
+        columns.forEach(entry => entry.chart?.destroy());
+        columnsDiv.innerHTML = '';
+        ciphertext = inputText.value;
+        columns = vigenereColumns(ciphertext, keyLength).map(renderColumn);
+        
+        workspace.classList.remove('hidden');
+        update();
+    }
+    
+    function renderColumn(column) {
+        const alphabet = getLanguage().alphabet;
+        const card = document.createElement('div');
+        card.className = 'align-column';
+        card.innerHTML = `<div class="align-column-header">
+                <strong>Column ${column.column + 1}</strong>
+                <span class="align-fit"></span>
+            </div>
+            <div class="align-chart"><canvas></canvas></div>
+            <div class="align-controls">
+                <input type="range" class="align-slider" min="0" max="${alphabet.length - 1}" value="0" 
+                    aria-label="Key letter of column ${column.column + 1}">
+                <span class="align-letter">?</span>
+                <button class="btn btn--outline btn--sm">Best Fit</button>
+            </div>`;
+        columnsDiv.appendChild(card);
+        
+        const entry = { column: column, slider: card.querySelector('.align-slider'), shift: null, chart: null, card: card };
+        
+        entry.slider.addEventListener('input', () => setShift(entry, parseInt(entry.slider.value)));
+        card.querySelector('button').addEventListener('click', () => setShift(entry, column.bestShift));
+        
+        try {
+            entry.chart = new Chart(card.querySelector('canvas'), {
+                type: 'bar',
+                data: {
+                    labels: alphabet.split(''),
+                    datasets: [{
+                        label: 'Column (%)',
+                        data: shiftedFrequencies(column, 0),
+                        backgroundColor: '#1FB8CD'
+                    }, {
+                        label: `Expected ${getLanguage().label} (%)`,
+                        data: alphabet.split('').map(letter => getLanguage().frequencies[letter] || 0),
+                        backgroundColor: '#FFC185'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    scales: {
+                        y: { beginAtZero: true },
+                        x: { ticks: { autoSkip: false, font: { size: 9 } } }
+                    },
+                    plugins: {
+                        legend: { display: false }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error initializing column chart:', error);
+        }
+        
+        renderFit(entry);
+        return entry;
+    }
+    
+    function setShift(entry, shift) {
+        entry.shift = shift;
+        entry.slider.value = shift;
+        
+        if (entry.chart) {
+            entry.chart.data.datasets[0].data = shiftedFrequencies(entry.column, shift);
+            entry.chart.update();
+        }
+        renderFit(entry);
+        update();
+    }
+    
+    function renderFit(entry) {
+        const fit = entry.column.fit[entry.shift ?? 0];
+        entry.card.querySelector('.align-letter').textContent = entry.shift === null ? '?' : getLanguage().alphabet[entry.shift];
+        entry.card.querySelector('.align-fit').textContent = `χ² ${fit.toFixed(1)}`;
+        entry.card.classList.toggle('align-column--aligned', entry.shift !== null);
+    }
+    
+    function currentKey() {
+        const alphabet = getLanguage().alphabet;
+        return columns.map(entry => entry.shift === null ? '?' : alphabet[entry.shift]).join('');
+    }
+    
+    function update() {
+        const key = currentKey();
+        keyDisplay.textContent = key;
+        plaintextOutput.value = partialVigenereDecrypt(ciphertext, key);
+        if (applyBtn) applyBtn.disabled = key.includes('?');
+    }
 }
 
 /**
- * Setup analysis tools including frequency analysis
+ * Letter frequencies of a column decrypted with one shift
+ * @param {Object} column - Entry of vigenereColumns
+ * @param {number} shift - Key letter index
+ * @returns {Array} - Percentage per letter of the alphabet
  */
-function setupAnalysisTools() {
-    const frequencyBtn = document.getElementById('frequency-analysis');
-    if (frequencyBtn) {
-        frequencyBtn.addEventListener('click', performFrequencyAnalysis);
-    }
+function shiftedFrequencies(column, shift) {
+    const size = column.counts.length;
+    return column.counts.map((_, index) => 100 * column.counts[(index + shift) % size] / column.text.length);
 }
 
 /**
- * Perform frequency analysis on current text
+ * Load a ciphertext into a cipher tab in decrypt mode and switch to it
+ * @param {string} solver - Tab name, e.g. 'vigenere'
+ * @param {string} ciphertext - Text to load
+ * @param {string} message - Notification shown after switching
  */
-function performFrequencyAnalysis() {
-    // Get text from currently active cipher
-    let text = '';
+function openSolver(solver, ciphertext, message = 'Ciphertext loaded for decryption; the attacks are further down the tab') {
+    const solverInput = document.getElementById(`${solver}-input`);
+    const decryptInput = document.querySelector(`input[name="${solver}-mode"][value="decrypt"]`);
     
-    // Try to get text from Caesar cipher first
-    const cInput = document.getElementById('caesar-input');
-    const cOutput = document.getElementById('caesar-output');
-    if (cInput?.value?.trim()) {
-        text = cInput.value;
-    } else if (cOutput?.value?.trim()) {
-        text = cOutput.value;
+    if (decryptInput && !decryptInput.checked) {
+        decryptInput.checked = true;
+        decryptInput.dispatchEvent(new Event('change', { bubbles: true }));
     }
-    
-    // If no Caesar text, try Vigenère
-    if (!text) {
-        const vInput = document.getElementById('vigenere-input');
-        const vOutput = document.getElementById('vigenere-output');
-        if (vInput?.value?.trim()) {
-            text = vInput.value;
-        } else if (vOutput?.value?.trim()) {
-            text = vOutput.value;
-        }
+    if (solverInput) {
+        solverInput.value = ciphertext;
+        solverInput.dispatchEvent(new Event('input', { bubbles: true }));
     }
     
+    switchTab(solver);
+    showNotification(message, 'info');
+}
+
+/**
+ * Perform frequency analysis on current text
+ */
+function performFrequencyAnalysis() {
+    const text = currentCipherText();
+    
     if (!text.trim()) {
         showNotification('Please enter some text in the cipher tabs first!', 'error');
         return;
@@ -839,6 +3786,145 @@ function performFrequencyAnalysis() {
     
     const analysis = frequencyAnalysis(text);
     updateFrequencyChart(analysis);
+    updateIcChart(text);
+    renderNgramAnalysis(text);
+    
+    // Transposition keeps plaintext letter frequencies, so point that out
+    const hint = document.getElementById('frequency-hint');
+    if (hint) {
+        hint.classList.toggle('hidden', !hasPlaintextFrequencies(text));
+    }
+}
+
+/**
+ * Render bigram/trigram tables, the bigram heatmap and the contact table
+ * for the analyzed text
+ * @param {string} text - Text being analyzed
+ */
+function renderNgramAnalysis(text) {
+    const container = document.getElementById('ngram-analysis');
+    if (!container) return;
+    
+    const language = getLanguage();
+    const bigrams = ngramFrequencies(text, 2);
+    
+    if (bigrams.total === 0) {
+        container.innerHTML = '<p class="ngram-empty">The text needs at least two letters for pair statistics.</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="ngram-tables">
+            ${ngramComparisonTable('Bigrams', bigrams, language.bigrams)}
+            ${ngramComparisonTable('Trigrams', ngramFrequencies(text, 3), language.trigrams)}
+        </div>
+        <h4>Bigram Heatmap</h4>
+        <p>Rows are the first letter of a pair, columns the second; darker cells are more frequent. 
+        Hover a cell for its count.</p>
+        ${bigramHeatmap(bigramMatrix(text))}
+        <h4>Contact Table</h4>
+        <p>The letters seen directly before and after each letter, with counts. Vowels touch many different 
+        letters, so a high <strong>variety</strong> marks a likely vowel even under substitution.</p>
+        ${contactTableHtml(contactTable(text))}`;
+}
+
+/**
+ * Side-by-side table: the text's most frequent n-grams next to the
+ * language's reference list; n-grams found in both lists are highlighted
+ * @param {string} title - Table heading
+ * @param {Object} analysis - Result of ngramFrequencies
+ * @param {Object} referenceTable - The current language's n-gram percentages
+ * @param {number} rows - Rows to show (default: 15)
+ * @returns {string} - HTML
+ */
+function ngramComparisonTable(title, analysis, referenceTable, rows = 15) {
+    const reference = Object.entries(referenceTable).sort((a, b) => b[1] - a[1]);
+    const counted = new Map(analysis.data.map(entry => [entry.ngram, entry]));
+    const topReference = new Set(reference.slice(0, rows).map(([ngram]) => ngram));
+    const topText = new Set(analysis.data.slice(0, rows).map(entry => entry.ngram));
+    
+    const body = Array.from({ length: rows }, (_, i) => {
+        const entry = analysis.data[i];
+        const [refNgram, refFrequency] = reference[i] || [];
+        const seen = refNgram ? counted.get(refNgram) : null;
+        
+        return `<tr>
+            <td>${i + 1}</td>
+            ${entry
+                ? `<td class="${topReference.has(entry.ngram) ? 'ngram-match' : ''}">${entry.ngram}</td>
+                   <td>${entry.count}</td><td>${entry.frequency}%</td>`
+                : '<td></td><td></td><td></td>'}
+            ${refNgram
+                ? `<td class="${topText.has(refNgram) ? 'ngram-match' : ''}">${refNgram}</td>
+                   <td>${refFrequency.toFixed(2)}%</td><td>${seen ? seen.frequency : '0.00'}%</td>`
+                : '<td></td><td></td><td></td>'}
+        </tr>`;
+    }).join('');
+    
+    return `<div class="vulnerability-table">
+        <table class="ngram-table">
+            <caption>${title} (${analysis.total} in the text)</caption>
+            <thead>
+                <tr>
+                    <th>#</th><th>Text</th><th>Count</th><th>%</th>
+                    <th>${getLanguage().label}</th><th>Expected</th><th>In text</th>
+                </tr>
+            </thead>
+            <tbody>${body}</tbody>
+        </table>
+    </div>`;
+}
+
+/**
+ * Bigram heatmap as a table, shaded by count relative to the most frequent pair
+ * @param {Object} matrix - Result of bigramMatrix
+ * @returns {string} - HTML
+ */
+function bigramHeatmap(matrix) {
+    const { alphabet, counts, max } = matrix;
+    const letters = [...alphabet];
+    
+    const rows = letters.map((first, i) => `<tr>
+        <th scope="row">${first}</th>
+        ${letters.map((second, j) => {
+            const count = counts[i][j];
+            return `<td style="--heat: ${max ? (count / max).toFixed(2) : 0}" title="${first}${second}: ${count}">${count || ''}</td>`;
+        }).join('')}
+    </tr>`).join('');
+    
+    return `<div class="heatmap-scroll">
+        <table class="bigram-heatmap">
+            <thead><tr><th></th>${letters.map(letter => `<th scope="col">${letter}</th>`).join('')}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    </div>`;
+}
+
+/**
+ * Contact table rows, most frequent letter first
+ * @param {Array} table - Result of contactTable
+ * @returns {string} - HTML
+ */
+function contactTableHtml(table) {
+    const contacts = list => list.slice(0, 8).map(entry => `${entry.letter}${entry.count}`).join(' ') +
+        (list.length > 8 ? ' …' : '');
+    
+    return `<div class="vulnerability-table">
+        <table class="contact-table">
+            <thead>
+                <tr><th>Letter</th><th>Count</th><th>Preceded by</th><th>Followed by</th><th>Variety</th></tr>
+            </thead>
+            <tbody>
+                ${table.map(row => `<tr>
+                    <td><strong>${row.letter}</strong></td>
+                    <td>${row.count}</td>
+                    <td>${contacts(row.before)}</td>
+                    <td>${contacts(row.after)}</td>
+                    <td>${row.variety}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </div>`;
 }
 
 /**
@@ -868,7 +3954,7 @@ function initializeFrequencyChart() {
                     borderColor: '#1FB8CD',
                     borderWidth: 1
                 }, {
-                    label: 'Expected English (%)',
+                    label: `Expected ${getLanguage().label} (%)`,
                     data: [],
                     backgroundColor: '#FFC185',
                     borderColor: '#FFC185',
@@ -926,21 +4012,23 @@ function updateFrequencyChart(analysis) {
     }
     
     try {
-        // Prepare data for all 26 letters
-        const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+        // Prepare data for every letter of the current alphabet
+        const language = getLanguage();
+        const letters = language.alphabet.split('');
         const textFrequencies = [];
-        const englishFrequencies = [];
+        const expectedFrequencies = [];
         
         letters.forEach(letter => {
             const textData = analysis.data.find(d => d.letter === letter);
             textFrequencies.push(textData ? parseFloat(textData.frequency) : 0);
-            englishFrequencies.push(ENGLISH_FREQUENCIES[letter] || 0);
+            expectedFrequencies.push(language.frequencies[letter] || 0);
         });
         
         // Update chart
         AppState.frequencyChart.data.labels = letters;
         AppState.frequencyChart.data.datasets[0].data = textFrequencies;
-        AppState.frequencyChart.data.datasets[1].data = englishFrequencies;
+        AppState.frequencyChart.data.datasets[1].data = expectedFrequencies;
+        AppState.frequencyChart.data.datasets[1].label = `Expected ${language.label} (%)`;
         AppState.frequencyChart.update();
         
         showNotification(`Analyzed ${analysis.totalLetters} letters`, 'success');
@@ -950,6 +4038,149 @@ function updateFrequencyChart(analysis) {
     }
 }
 
+/**
+ * Initialize the index of coincidence periodogram
+ * Bars are the average column IC per period; the language and random
+ * levels are drawn as dashed lines. Clicking a period hands it to the
+ * Vigenère solver as the key length
+ */
+function initializeIcChart() {
+    const ctx = document.getElementById('ic-chart');
+    
+    if (!ctx) {
+        console.error('IC chart canvas not found');
+        return;
+    }
+    
+    if (AppState.icChart) {
+        AppState.icChart.destroy();
+    }
+    
+    const referenceLine = color => ({
+        type: 'line',
+        data: [],
+        borderColor: color,
+        borderDash: [6, 4],
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false
+    });
+    
+    try {
+        AppState.icChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Average Column IC',
+                    data: [],
+                    backgroundColor: [],
+                    borderWidth: 1,
+                    order: 1
+                }, {
+                    ...referenceLine('#FFC185'),
+                    label: getLanguage().label,
+                    order: 0
+                }, {
+                    ...referenceLine('#B4413C'),
+                    label: 'Random',
+                    order: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                onClick: (event, elements) => {
+                    const period = AppState.icChart.data.labels[elements[0]?.index];
+                    if (period) useKeyLength(period);
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Index of Coincidence'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Period (key length)'
+                        }
+                    }
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'IC Periodogram'
+                    },
+                    legend: {
+                        display: true
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error initializing IC chart:', error);
+    }
+    
+    function useKeyLength(period) {
+        const lengthInput = document.getElementById('vigenere-crack-length');
+        if (lengthInput) lengthInput.value = period;
+        
+        openSolver('vigenere', AppState.icChart.analyzedText,
+            `Key length ${period} set; press Crack It in the attacks further down the tab`);
+    }
+}
+
+/**
+ * Plot the IC periodogram of a text and name the likely key length:
+ * the first period whose columns are nearer plaintext than random
+ * @param {string} text - Text being analyzed
+ */
+function updateIcChart(text) {
+    if (!AppState.icChart) {
+        initializeIcChart();
+        if (!AppState.icChart) return;
+    }
+    
+    const { periods, languageIC, randomIC } = icPeriodogram(text);
+    const threshold = (languageIC + randomIC) / 2;
+    const language = getLanguage();
+    const chart = AppState.icChart;
+    
+    chart.analyzedText = text;
+    chart.data.labels = periods.map(entry => entry.period);
+    chart.data.datasets[0].data = periods.map(entry => entry.ic);
+    chart.data.datasets[0].backgroundColor = periods.map(entry => entry.ic >= threshold ? '#1FB8CD' : '#5D878F');
+    chart.data.datasets[1].data = periods.map(() => languageIC);
+    chart.data.datasets[1].label = `${language.label} (${languageIC.toFixed(3)})`;
+    chart.data.datasets[2].data = periods.map(() => randomIC);
+    chart.data.datasets[2].label = `Random (${randomIC.toFixed(3)})`;
+    chart.update();
+    
+    const summary = document.getElementById('ic-summary');
+    if (!summary) return;
+    
+    const peaks = periods.filter(entry => entry.ic >= threshold).map(entry => entry.period);
+    if (periods.length === 0) {
+        summary.textContent = 'The text needs at least two letters for an index of coincidence.';
+    } else if (peaks[0] === 1) {
+        summary.textContent = `The whole text is already at ${language.label} level, so it is not a periodic ` +
+            'cipher: try the single-alphabet and transposition attacks instead.';
+    } else if (peaks.length > 0) {
+        summary.textContent = `Peaks at ${peaks.slice(0, 5).join(', ')}: the key is probably ${peaks[0]} letters long. ` +
+            'Click a bar to crack with that key length in the Vigenère tab.';
+    } else {
+        summary.textContent = `No period reaches ${language.label} level up to ${periods.length}: the key may be longer, ` +
+            'or the text too short. Click a bar to try a key length anyway.';
+    }
+}
+
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM loaded, initializing app...');
@@ -957,11 +4188,4 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // Export functions for potential external use or testing
-window.CryptographySuite = {
-    caesarCipher,
-    vigenereCipher,
-    bruteForceCaesar,
-    frequencyAnalysis,
-    kasiskiExamination,
-    indexOfCoincidence
-};           
\ No newline at end of file
+window.CryptographySuite = CryptographyCore;
@@ -0,0 +1,3882 @@
+/**
+ * Classical Cryptography Suite - core library
+ * The ciphers and cryptanalysis routines, free of any DOM access so they run
+ * in Node as well as in the page. This UMD build registers
+ * window.CryptographyCore for plain <script> tags and module.exports for
+ * CommonJS and AMD; cryptography-core.mjs re-exports it as an ES module.
+ */
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], () => factory({ exports: {} }));
+    } else if (typeof module === 'object' && module.exports) {
+        factory(module);
+    } else {
+        root.CryptographyCore = factory({ exports: {} });
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (module) {
+    'use strict';
+    
+    // English letter frequencies for comparison
+    const ENGLISH_FREQUENCIES = {
+        'A': 8.2, 'B': 1.3, 'C': 2.8, 'D': 4.3, 'E': 12.7, 'F': 2.2, 'G': 2.0, 'H': 6.1, 'I': 7.0,
+        'J': 0.15, 'K': 0.8, 'L': 4.0, 'M': 2.4, 'N': 6.7, 'O': 7.5, 'P': 1.9, 'Q': 0.10, 'R': 6.0,
+        'S': 6.3, 'T': 9.1, 'U': 2.8, 'V': 1.0, 'W': 2.4, 'X': 0.15, 'Y': 2.0, 'Z': 0.07
+    };
+
+    // Plain alphabet used by the substitution-style ciphers
+    const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    // Index of Coincidence reference value for English text
+    const ENGLISH_IC = 0.067;
+
+    // Most common English bigrams (%), used for bigram fitness scoring
+    const ENGLISH_BIGRAMS = {
+        'TH': 3.56, 'HE': 3.07, 'IN': 2.43, 'ER': 2.05, 'AN': 1.99, 'RE': 1.85, 'ON': 1.76, 'AT': 1.49,
+        'EN': 1.45, 'ND': 1.35, 'TI': 1.34, 'ES': 1.34, 'OR': 1.28, 'TE': 1.20, 'OF': 1.17, 'ED': 1.17,
+        'IS': 1.13, 'IT': 1.12, 'AL': 1.09, 'AR': 1.07, 'ST': 1.05, 'TO': 1.04, 'NT': 1.04, 'NG': 0.95,
+        'SE': 0.93, 'HA': 0.93, 'AS': 0.87, 'OU': 0.87, 'IO': 0.83, 'LE': 0.83, 'VE': 0.83, 'CO': 0.79,
+        'ME': 0.79, 'DE': 0.76, 'HI': 0.76, 'RI': 0.73, 'RO': 0.73, 'IC': 0.70, 'NE': 0.69, 'EA': 0.69,
+        'RA': 0.69, 'CE': 0.65, 'LI': 0.62, 'CH': 0.60, 'LL': 0.58, 'BE': 0.58, 'MA': 0.57, 'SI': 0.55,
+        'OM': 0.55, 'UR': 0.54, 'CA': 0.54, 'EL': 0.53, 'TA': 0.53, 'LA': 0.53, 'NS': 0.51, 'DI': 0.49,
+        'FO': 0.49, 'HO': 0.48, 'PE': 0.48, 'EC': 0.48, 'PR': 0.47, 'NO': 0.47, 'CT': 0.46, 'US': 0.45,
+        'AC': 0.45, 'OT': 0.44, 'IL': 0.43, 'TR': 0.43, 'LY': 0.43, 'NC': 0.42, 'ET': 0.42, 'UT': 0.42,
+        'SS': 0.41, 'SO': 0.40, 'RS': 0.40, 'UN': 0.39, 'LO': 0.39, 'WA': 0.38, 'GE': 0.38, 'IE': 0.38,
+        'WH': 0.38, 'EE': 0.38, 'WI': 0.37, 'EM': 0.37, 'AD': 0.37, 'OL': 0.37, 'RT': 0.37, 'PO': 0.37,
+        'WE': 0.36, 'NA': 0.35, 'UL': 0.35, 'NI': 0.34, 'TS': 0.34, 'MO': 0.33, 'OW': 0.33, 'PA': 0.32,
+        'IM': 0.32, 'MI': 0.32, 'AI': 0.32, 'SH': 0.31, 'IR': 0.31, 'SU': 0.31, 'ID': 0.30, 'OS': 0.29,
+        'IV': 0.29, 'IA': 0.29, 'AM': 0.28, 'FI': 0.28, 'CI': 0.27, 'VI': 0.27, 'PL': 0.26, 'IG': 0.26,
+        'TU': 0.26, 'EV': 0.25, 'LD': 0.25, 'RY': 0.25, 'MP': 0.24, 'FE': 0.23, 'BL': 0.23, 'AB': 0.23,
+        'GH': 0.23, 'TY': 0.23, 'OP': 0.22, 'WO': 0.22, 'SA': 0.22, 'AY': 0.21, 'EX': 0.21, 'KE': 0.21,
+        'FR': 0.21, 'OO': 0.21, 'AV': 0.21, 'AG': 0.21, 'IF': 0.20, 'AP': 0.20, 'GR': 0.20, 'OD': 0.20,
+        'BO': 0.20, 'SP': 0.19, 'RD': 0.19, 'DO': 0.19, 'UC': 0.19, 'BU': 0.19, 'EI': 0.18, 'OV': 0.18,
+        'BY': 0.18, 'RM': 0.18, 'EP': 0.17, 'TT': 0.17, 'OC': 0.17, 'FA': 0.17, 'EF': 0.17, 'CU': 0.17,
+        'RN': 0.16, 'SC': 0.16, 'GI': 0.16, 'DA': 0.16, 'YO': 0.16, 'CR': 0.16, 'CL': 0.16, 'DU': 0.16,
+        'GA': 0.15, 'QU': 0.15, 'UE': 0.15, 'FF': 0.15, 'BA': 0.15, 'EY': 0.14, 'LS': 0.14, 'VA': 0.14,
+        'UM': 0.14, 'PP': 0.14, 'UA': 0.14, 'UP': 0.14, 'LU': 0.14, 'GO': 0.14, 'HT': 0.14, 'RU': 0.13,
+        'UG': 0.13, 'DS': 0.13, 'LT': 0.12, 'PI': 0.12, 'RC': 0.12, 'RR': 0.12, 'EG': 0.12, 'AU': 0.12,
+        'CK': 0.12, 'EW': 0.11, 'MU': 0.11, 'BR': 0.11, 'BI': 0.11, 'PT': 0.11, 'AK': 0.11, 'PU': 0.11
+    };
+
+    // Most common English trigrams (%), spaces removed
+    const ENGLISH_TRIGRAMS = {
+        'THE': 1.81, 'AND': 0.73, 'ING': 0.72, 'ENT': 0.42, 'ION': 0.42, 'HER': 0.36, 'FOR': 0.34, 'THA': 0.33,
+        'NTH': 0.33, 'INT': 0.32, 'ERE': 0.31, 'TIO': 0.31, 'TER': 0.30, 'EST': 0.28, 'ERS': 0.28, 'ATI': 0.26,
+        'HAT': 0.26, 'ATE': 0.25, 'ALL': 0.25, 'ETH': 0.24, 'HES': 0.24, 'VER': 0.24, 'HIS': 0.24, 'OFT': 0.22,
+        'ITH': 0.21, 'FTH': 0.21, 'STH': 0.21, 'OTH': 0.21, 'RES': 0.21, 'ONT': 0.20, 'DTH': 0.18, 'ARE': 0.18,
+        'REA': 0.18, 'EAR': 0.17, 'WAS': 0.17, 'SIN': 0.17, 'STO': 0.17, 'TTH': 0.17, 'STA': 0.16, 'THI': 0.16,
+        'TIN': 0.16, 'TED': 0.16, 'ONS': 0.16, 'EDT': 0.16, 'WIT': 0.16, 'SAN': 0.16, 'DIN': 0.15, 'ORT': 0.15,
+        'CON': 0.15, 'RTH': 0.15, 'NDT': 0.15, 'OUR': 0.14, 'YOU': 0.14, 'NOT': 0.13, 'AVE': 0.12, 'EVE': 0.12,
+        'MEN': 0.12, 'BUT': 0.11, 'HAD': 0.11, 'HAV': 0.11, 'WHI': 0.11, 'HEN': 0.11, 'ONE': 0.11, 'NCE': 0.11,
+        'OUL': 0.10, 'ULD': 0.10, 'ICH': 0.10, 'WER': 0.10, 'OME': 0.10, 'IGH': 0.10, 'GHT': 0.10, 'OVE': 0.10,
+        'RED': 0.10, 'COM': 0.10, 'ESS': 0.10, 'ERA': 0.10, 'AST': 0.10, 'HIC': 0.09, 'PRO': 0.09, 'OUN': 0.09,
+        'HEA': 0.09, 'ITI': 0.09, 'NDE': 0.09, 'ESA': 0.09, 'ETO': 0.09, 'TOT': 0.09, 'ERT': 0.09, 'UND': 0.08,
+        'ENS': 0.08, 'OUT': 0.08, 'NGT': 0.08, 'LLY': 0.08, 'ITS': 0.08, 'TOB': 0.08, 'ARD': 0.08, 'EOF': 0.08,
+        'ASA': 0.07, 'IST': 0.07, 'LIN': 0.07, 'OMA': 0.07, 'ONA': 0.07, 'ECT': 0.07, 'ART': 0.07, 'SHE': 0.07
+    };
+
+    // Approximate counts per 100,000 of the most common English quadgrams
+    // (spaces removed, so word boundaries such as OFTH and NTHE are included)
+    const ENGLISH_QUADGRAMS = {
+        'TION': 313, 'NTHE': 267, 'THER': 243, 'THAT': 213, 'OFTH': 193, 'FTHE': 192, 'THES': 183, 'WITH': 181,
+        'INTH': 172, 'ATIO': 169, 'OTHE': 167, 'TTHE': 166, 'DTHE': 165, 'INGT': 162, 'ETHE': 161, 'SAND': 158,
+        'STHE': 155, 'HERE': 152, 'THEC': 152, 'MENT': 148, 'THEM': 144, 'RTHE': 143, 'THEP': 143, 'FROM': 142,
+        'THIS': 140, 'TING': 138, 'THEI': 138, 'NGTH': 137, 'IONS': 137, 'ANDT': 136, 'ERTH': 120, 'OULD': 120,
+        'ONTH': 115, 'ESTH': 110, 'TOTH': 110, 'THEA': 110, 'IGHT': 110, 'HAVE': 105, 'ATTH': 105, 'NTER': 105,
+        'HICH': 100, 'WHIC': 100, 'ANDS': 100, 'ENTH': 100, 'NDTH': 100, 'EOFT': 100, 'EVER': 98, 'OUGH': 95,
+        'WERE': 95, 'HING': 95, 'INGS': 95, 'HATT': 95, 'THEW': 95, 'THEY': 90, 'THEB': 90, 'TERS': 90,
+        'ALLY': 85, 'ETHA': 85, 'ERED': 85, 'ATED': 85, 'ECTI': 85, 'ABLE': 85, 'ONOF': 85, 'THET': 85,
+        'REAT': 80, 'EDTO': 80, 'HEIR': 80, 'THEF': 80, 'RATI': 80, 'EINT': 80, 'IONA': 80, 'INTO': 78,
+        'TOBE': 75, 'ANCE': 75, 'ENCE': 75, 'ETHI': 72, 'SAID': 70, 'EDTH': 70, 'STAT': 70, 'COUN': 68,
+        'WHEN': 68, 'ERAN': 65, 'THEH': 65, 'OVER': 65, 'ITIS': 65, 'THED': 62, 'SION': 62, 'ESTA': 60
+    };
+
+    // Languages the suite can analyze: alphabet, letter frequencies (%), the Index of
+    // Coincidence of normal text, and n-gram tables in the same units as the English ones.
+    // Accented letters missing from an alphabet are read as their base letter (é → E)
+    const LANGUAGES = {
+        english: {
+            label: 'English',
+            alphabet: ALPHABET,
+            frequencies: ENGLISH_FREQUENCIES,
+            ic: ENGLISH_IC,
+            bigrams: ENGLISH_BIGRAMS,
+            trigrams: ENGLISH_TRIGRAMS,
+            quadgrams: ENGLISH_QUADGRAMS
+        },
+        german: {
+            label: 'German',
+            alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÜ',
+            frequencies: {
+                'A': 6.52, 'B': 1.89, 'C': 2.73, 'D': 5.08, 'E': 16.40, 'F': 1.66, 'G': 3.01, 'H': 4.58, 'I': 6.55,
+                'J': 0.27, 'K': 1.42, 'L': 3.44, 'M': 2.53, 'N': 9.78, 'O': 2.59, 'P': 0.67, 'Q': 0.02, 'R': 7.00,
+                'S': 7.27, 'T': 6.15, 'U': 4.17, 'V': 0.85, 'W': 1.92, 'X': 0.03, 'Y': 0.04, 'Z': 1.13,
+                'Ä': 0.58, 'Ö': 0.44, 'Ü': 0.65
+            },
+            ic: 0.0762,
+            bigrams: {
+                'ER': 4.09, 'EN': 4.00, 'CH': 2.42, 'DE': 2.27, 'EI': 1.93, 'TE': 1.85, 'IN': 1.68, 'ND': 1.62,
+                'IE': 1.48, 'GE': 1.45, 'ST': 1.21, 'NE': 1.19, 'BE': 1.17, 'ES': 1.17, 'UN': 1.13, 'RE': 1.12,
+                'AN': 1.07, 'HE': 0.89, 'AU': 0.89, 'NG': 0.87, 'SE': 0.86, 'IT': 0.85, 'DI': 0.84, 'IC': 0.82,
+                'SC': 0.79, 'LE': 0.77, 'DA': 0.72, 'NS': 0.71, 'IS': 0.70, 'RA': 0.68, 'NT': 0.66, 'EL': 0.65,
+                'HT': 0.64, 'ET': 0.62, 'EM': 0.60, 'AS': 0.58, 'AL': 0.57, 'ED': 0.56, 'US': 0.55, 'TS': 0.53,
+                'SI': 0.52, 'LI': 0.50, 'RD': 0.49, 'WE': 0.48, 'EG': 0.47, 'UF': 0.45, 'AC': 0.44, 'IG': 0.43,
+                'NU': 0.42, 'ZU': 0.40, 'OR': 0.39, 'VE': 0.38, 'RU': 0.36, 'HA': 0.35, 'WI': 0.34, 'SS': 0.33,
+                'ÜB': 0.20, 'FÜ': 0.18, 'ÄN': 0.10, 'ÖR': 0.08
+            },
+            trigrams: {
+                'EIN': 1.22, 'ICH': 1.11, 'NDE': 0.89, 'DIE': 0.87, 'UND': 0.87, 'DER': 0.86, 'CHE': 0.75, 'END': 0.75,
+                'GEN': 0.71, 'SCH': 0.66, 'CHT': 0.61, 'DEN': 0.57, 'INE': 0.53, 'NGE': 0.52, 'NUN': 0.48, 'UNG': 0.48,
+                'DAS': 0.47, 'HEN': 0.47, 'IND': 0.46, 'ENW': 0.45, 'ENS': 0.44, 'IES': 0.44, 'STE': 0.43, 'TEN': 0.42,
+                'ERD': 0.41, 'ERE': 0.40, 'IST': 0.40, 'BER': 0.39, 'ENE': 0.38, 'ACH': 0.37, 'EDE': 0.36, 'TER': 0.35,
+                'ERS': 0.35, 'NEN': 0.34, 'SIE': 0.33, 'LIC': 0.32, 'AUF': 0.30, 'ENA': 0.29, 'ERN': 0.28, 'AUS': 0.27
+            },
+            quadgrams: {
+                'ICHT': 260, 'SCHE': 250, 'EINE': 240, 'CHEN': 230, 'NDER': 220, 'TSCH': 200, 'UNDE': 190, 'ISCH': 180,
+                'DIES': 160, 'ENDE': 160, 'ICHE': 150, 'LICH': 150, 'ERDE': 140, 'NUND': 140, 'SICH': 130, 'DASS': 120,
+                'NICH': 120, 'INDE': 120, 'ENDI': 110, 'CHTE': 110, 'ENGE': 100, 'EDER': 100, 'GEND': 100, 'AUCH': 100,
+                'UNGE': 95, 'WERD': 90, 'RDEN': 90, 'TEIN': 85, 'SEIN': 85, 'HABE': 80, 'SIND': 80, 'ERST': 75
+            }
+        },
+        spanish: {
+            label: 'Spanish',
+            alphabet: 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ',
+            frequencies: {
+                'A': 11.53, 'B': 2.22, 'C': 4.02, 'D': 5.01, 'E': 12.18, 'F': 0.69, 'G': 1.77, 'H': 0.70, 'I': 6.25,
+                'J': 0.49, 'K': 0.01, 'L': 4.97, 'M': 3.16, 'N': 6.71, 'Ñ': 0.31, 'O': 8.68, 'P': 2.51, 'Q': 0.88,
+                'R': 6.87, 'S': 7.98, 'T': 4.63, 'U': 2.93, 'V': 1.14, 'W': 0.02, 'X': 0.22, 'Y': 1.01, 'Z': 0.47
+            },
+            ic: 0.0775,
+            bigrams: {
+                'DE': 2.57, 'ES': 2.29, 'EN': 2.13, 'EL': 2.07, 'LA': 1.87, 'OS': 1.76, 'AR': 1.72, 'UE': 1.68,
+                'RA': 1.62, 'RE': 1.58, 'ER': 1.57, 'AS': 1.52, 'ON': 1.44, 'ST': 1.38, 'AD': 1.34, 'AL': 1.34,
+                'OR': 1.30, 'TA': 1.25, 'CO': 1.23, 'TE': 1.15, 'SE': 1.12, 'NT': 1.10, 'QU': 1.09, 'AN': 1.07,
+                'DO': 1.05, 'LO': 1.02, 'CI': 0.98, 'NA': 0.90, 'RO': 0.89, 'IO': 0.87, 'IE': 0.86, 'MA': 0.82,
+                'ME': 0.80, 'NO': 0.78, 'SA': 0.77, 'PO': 0.75, 'TO': 0.72, 'IA': 0.70, 'ND': 0.68, 'CA': 0.67,
+                'EM': 0.60, 'UN': 0.60, 'RI': 0.58, 'LE': 0.57, 'NE': 0.55, 'DA': 0.54, 'PA': 0.53, 'SI': 0.52,
+                'MO': 0.48, 'CU': 0.40, 'ÑO': 0.15, 'ÑA': 0.12
+            },
+            trigrams: {
+                'QUE': 1.34, 'DEL': 0.68, 'ENT': 0.67, 'ELA': 0.58, 'ADE': 0.57, 'LOS': 0.56, 'EDE': 0.55, 'CON': 0.53,
+                'NTE': 0.52, 'ION': 0.50, 'ESE': 0.48, 'LAS': 0.47, 'EST': 0.47, 'ODE': 0.45, 'ARA': 0.43, 'ADO': 0.42,
+                'POR': 0.41, 'ESA': 0.40, 'CIO': 0.38, 'ENE': 0.37, 'STA': 0.37, 'RES': 0.35, 'NDE': 0.34, 'IEN': 0.34,
+                'ERA': 0.33, 'PAR': 0.32, 'ONE': 0.32, 'TRA': 0.30, 'UNA': 0.30, 'SDE': 0.29, 'ASE': 0.28, 'ELO': 0.27
+            },
+            quadgrams: {
+                'CION': 250, 'IENT': 180, 'ENTE': 170, 'ESTA': 150, 'MENT': 140, 'PARA': 130, 'ADEL': 120, 'ODEL': 120,
+                'QUEL': 110, 'EQUE': 110, 'DELA': 105, 'ONES': 100, 'OQUE': 100, 'ANDO': 95, 'ENLA': 95, 'ESDE': 90,
+                'ADOS': 90, 'PORE': 85, 'LOSE': 80, 'ASDE': 80, 'NTRE': 75, 'ESTE': 75, 'ACIO': 75, 'AQUE': 75
+            }
+        },
+        french: {
+            label: 'French',
+            alphabet: ALPHABET,
+            frequencies: {
+                'A': 7.64, 'B': 0.90, 'C': 3.26, 'D': 3.67, 'E': 14.72, 'F': 1.07, 'G': 0.87, 'H': 0.74, 'I': 7.53,
+                'J': 0.61, 'K': 0.07, 'L': 5.46, 'M': 2.97, 'N': 7.10, 'O': 5.80, 'P': 2.52, 'Q': 1.36, 'R': 6.69,
+                'S': 7.95, 'T': 7.24, 'U': 6.31, 'V': 1.84, 'W': 0.05, 'X': 0.43, 'Y': 0.13, 'Z': 0.33
+            },
+            ic: 0.0778,
+            bigrams: {
+                'ES': 3.15, 'LE': 2.22, 'DE': 2.17, 'EN': 2.12, 'RE': 2.09, 'NT': 1.97, 'ON': 1.64, 'ER': 1.63,
+                'TE': 1.63, 'ET': 1.43, 'EL': 1.41, 'SE': 1.36, 'QU': 1.34, 'AN': 1.30, 'NE': 1.24, 'OU': 1.18,
+                'AI': 1.17, 'EM': 1.13, 'IT': 1.12, 'ME': 1.04, 'IS': 1.03, 'LA': 1.01, 'EC': 1.00, 'TI': 0.99,
+                'CE': 0.98, 'ED': 0.96, 'IE': 0.94, 'RA': 0.92, 'IN': 0.90, 'EU': 0.89, 'UR': 0.88, 'CO': 0.87,
+                'AR': 0.86, 'TR': 0.86, 'UE': 0.85, 'TA': 0.85, 'EP': 0.82, 'ND': 0.80, 'NS': 0.79, 'PA': 0.78,
+                'US': 0.76, 'SA': 0.75, 'SS': 0.73, 'UI': 0.68, 'AU': 0.65, 'IR': 0.64, 'LL': 0.63, 'MA': 0.62,
+                'PO': 0.60, 'RI': 0.58, 'RT': 0.57, 'DA': 0.55, 'ST': 0.55
+            },
+            trigrams: {
+                'ENT': 0.90, 'LES': 0.80, 'EDE': 0.63, 'DES': 0.61, 'QUE': 0.61, 'AIT': 0.54, 'LLE': 0.53, 'SDE': 0.51,
+                'ION': 0.48, 'EME': 0.47, 'ELA': 0.44, 'RES': 0.43, 'MEN': 0.42, 'ESE': 0.42, 'DEL': 0.40, 'ANT': 0.40,
+                'TIO': 0.38, 'PAR': 0.36, 'ESD': 0.35, 'TDE': 0.35, 'ONT': 0.34, 'OUR': 0.33, 'QUI': 0.32, 'ETA': 0.32,
+                'ETE': 0.31, 'SLE': 0.30, 'NTE': 0.30, 'EST': 0.30, 'ESP': 0.29, 'ERE': 0.28, 'UNE': 0.28, 'DEN': 0.28,
+                'ONS': 0.27, 'ELE': 0.27, 'AVA': 0.26
+            },
+            quadgrams: {
+                'MENT': 280, 'TION': 230, 'EDES': 170, 'ENTE': 150, 'ESDE': 150, 'ELLE': 140, 'DELA': 130, 'IENT': 110,
+                'IQUE': 110, 'ANTE': 100, 'AIEN': 100, 'ESLE': 95, 'ESTE': 90, 'SQUE': 90, 'EDEL': 90, 'ETAI': 85,
+                'ESPA': 80, 'PLUS': 80, 'DANS': 80, 'NTDE': 75, 'TAIT': 75, 'ONDE': 75, 'ASSE': 75
+            }
+        },
+        russian: {
+            label: 'Russian',
+            alphabet: 'АБВГДЕЁЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ',
+            frequencies: {
+                'А': 8.01, 'Б': 1.59, 'В': 4.54, 'Г': 1.70, 'Д': 2.98, 'Е': 8.45, 'Ё': 0.04, 'Ж': 0.94, 'З': 1.65,
+                'И': 7.35, 'Й': 1.21, 'К': 3.49, 'Л': 4.40, 'М': 3.21, 'Н': 6.70, 'О': 10.97, 'П': 2.81, 'Р': 4.73,
+                'С': 5.47, 'Т': 6.26, 'У': 2.62, 'Ф': 0.26, 'Х': 0.97, 'Ц': 0.48, 'Ч': 1.44, 'Ш': 0.73, 'Щ': 0.36,
+                'Ъ': 0.04, 'Ы': 1.90, 'Ь': 1.74, 'Э': 0.32, 'Ю': 0.64, 'Я': 2.01
+            },
+            ic: 0.0529,
+            bigrams: {
+                'СТ': 1.75, 'НО': 1.45, 'ТО': 1.40, 'НА': 1.38, 'ЕН': 1.36, 'ОВ': 1.30, 'НИ': 1.26, 'РА': 1.20,
+                'ВО': 1.16, 'КО': 1.13, 'ЛО': 1.05, 'ПО': 1.04, 'ЕР': 1.00, 'ОР': 0.98, 'ОС': 0.95, 'ЕТ': 0.94,
+                'ОЛ': 0.92, 'ПР': 0.91, 'ТА': 0.90, 'ЛИ': 0.88, 'ЛА': 0.87, 'ОГ': 0.85, 'ОТ': 0.84, 'ГО': 0.82,
+                'ОМ': 0.80, 'ЕЛ': 0.79, 'АЛ': 0.78, 'РО': 0.77, 'ВА': 0.76, 'ЕС': 0.74, 'ИЕ': 0.73, 'НЕ': 0.72,
+                'ТЬ': 0.71, 'ИТ': 0.70, 'ДЕ': 0.69, 'ОД': 0.68, 'ВЕ': 0.66, 'АН': 0.65, 'ТЕ': 0.64, 'ЛЬ': 0.62,
+                'ЧТ': 0.55, 'ИЗ': 0.50, 'ЫЙ': 0.45, 'АЯ': 0.40
+            },
+            trigrams: {
+                'СТО': 0.56, 'ЕНИ': 0.52, 'ОВА': 0.45, 'ОГО': 0.44, 'ПРО': 0.43, 'ЧТО': 0.40, 'ОСТ': 0.40, 'СТВ': 0.39,
+                'ЕГО': 0.35, 'АНИ': 0.33, 'ЕСТ': 0.32, 'ПОЛ': 0.30, 'НИЕ': 0.30, 'ПРИ': 0.28, 'ТОР': 0.28, 'ТЕЛ': 0.27,
+                'ЛЬН': 0.26, 'ОЛЬ': 0.26, 'РАЗ': 0.25, 'ВЕР': 0.25, 'КАК': 0.25, 'ЕНН': 0.24, 'НАЯ': 0.22, 'ТОЛ': 0.22
+            },
+            quadgrams: {
+                'ЕНИЕ': 200, 'ОСТЬ': 170, 'СТВО': 150, 'ЕНИЯ': 140, 'ТЕЛЬ': 130, 'КОТО': 120, 'ОТОР': 120, 'ЕСТЬ': 110,
+                'ПРЕД': 100, 'ТОРЫ': 100, 'ЛЬНО': 100, 'ТОЛЬ': 100, 'ОЛЬК': 90, 'ЛЬКО': 90, 'ВАНИ': 90, 'ОВАН': 90,
+                'АНИЯ': 90, 'ТЬСЯ': 90, 'ЕТСЯ': 90, 'ОГДА': 80, 'КОГД': 80, 'ЧТОБ': 80, 'БЫЛО': 80
+            }
+        }
+    };
+
+    // Language used by every alphabet-aware function (see setLanguage)
+    let currentLanguage = 'english';
+
+    /**
+     * Select the language whose alphabet, frequencies, IC target and n-gram
+     * tables the ciphers, statistics and attacks use
+     * 
+     * @param {string} name - Language name from LANGUAGES
+     */
+    function setLanguage(name) {
+        if (!LANGUAGES[name]) {
+            throw new Error(`Unknown language: ${name}`);
+        }
+        currentLanguage = name;
+    }
+
+    /**
+     * Profile of the current language
+     * 
+     * @returns {Object} - {label, alphabet, frequencies, ic, bigrams, trigrams, quadgrams}
+     */
+    function getLanguage() {
+        return LANGUAGES[currentLanguage];
+    }
+
+    /**
+     * Run a function with another language selected, then restore the current one
+     * 
+     * @param {string} name - Language name from LANGUAGES
+     * @param {Function} fn - Function to run
+     * @returns {*} - The function's result
+     */
+    function withLanguage(name, fn) {
+        if (!LANGUAGES[name]) {
+            throw new Error(`Unknown language: ${name}`);
+        }
+        
+        const previous = currentLanguage;
+        currentLanguage = name;
+        try {
+            return fn();
+        } finally {
+            currentLanguage = previous;
+        }
+    }
+
+    /**
+     * Position of a character in the current alphabet
+     * Lowercase counts as uppercase, and an accented letter the alphabet lacks
+     * falls back to its base letter (é → E), while Ñ or Ä stay letters of their own
+     * 
+     * @param {string} char - Single character
+     * @returns {number} - Index 0 to alphabet length - 1, or -1 if it is not a letter
+     */
+    function letterIndex(char) {
+        const lookups = letterIndex.lookups || (letterIndex.lookups = {});
+        const lookup = lookups[currentLanguage] || (lookups[currentLanguage] = new Map());
+        
+        if (!lookup.has(char)) {
+            const alphabet = getLanguage().alphabet;
+            const upper = char.toUpperCase();
+            let index = upper.length === 1 ? alphabet.indexOf(upper) : -1;
+            
+            if (index < 0 && upper.length === 1) {
+                const base = upper.normalize('NFD').replace(/[̀-ͯ]/g, '');
+                index = base.length === 1 ? alphabet.indexOf(base) : -1;
+            }
+            lookup.set(char, index);
+        }
+        
+        return lookup.get(char);
+    }
+
+    /**
+     * Check whether a character is a letter of the current alphabet
+     * 
+     * @param {string} char - Single character
+     * @returns {boolean} - Whether letterIndex finds it
+     */
+    function isLetter(char) {
+        return letterIndex(char) >= 0;
+    }
+
+    /**
+     * Letters of a text in the current alphabet, uppercase, everything else dropped
+     * 
+     * @param {string} text - Input text
+     * @returns {string} - Letters only
+     */
+    function extractLetters(text) {
+        const alphabet = getLanguage().alphabet;
+        let letters = '';
+        for (const char of text) {
+            const index = letterIndex(char);
+            if (index >= 0) letters += alphabet[index];
+        }
+        return letters;
+    }
+
+    /**
+     * Traditional telegraph layout for ciphertext: letters only, uppercase, in
+     * blocks of five so word lengths give nothing away
+     * 
+     * @param {string} text - Input text
+     * @param {number} size - Letters per group (default: 5)
+     * @param {number} groupsPerLine - Groups per line (default: 10)
+     * @returns {string} - e.g. "LXFOP VEFRN HR"
+     */
+    function groupLetters(text, size = 5, groupsPerLine = 10) {
+        const groups = extractLetters(text).match(new RegExp(`.{1,${size}}`, 'gu')) || [];
+        const lines = [];
+        for (let i = 0; i < groups.length; i += groupsPerLine) {
+            lines.push(groups.slice(i, i + groupsPerLine).join(' '));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Give an output letter the case of the input character it replaces
+     * 
+     * @param {string} original - Input character
+     * @param {string} letter - Uppercase output letter
+     * @returns {string} - Output letter in the original's case
+     */
+    function matchCase(original, letter) {
+        return original === original.toLowerCase() ? letter.toLowerCase() : letter;
+    }
+
+    /**
+     * Reject key letters outside A–Z for the ciphers built on the Latin alphabet
+     * (columnar, Playfair, Hill, Enigma), instead of silently dropping Ä, Ñ or Cyrillic
+     * 
+     * @param {string} key - Key as entered; non-letters are left to the caller
+     * @param {string} label - Key name used in the error message
+     */
+    function requireLatinKey(key, label) {
+        const foreign = [...new Set(String(key).toUpperCase().match(/[^\P{L}A-Z]/gu) || [])];
+        if (foreign.length > 0) {
+            throw new Error(`${label} takes the letters A–Z only, not ${foreign.join(', ')}`);
+        }
+    }
+
+    /**
+     * Caesar Cipher Implementation
+     * Simple substitution cipher with fixed shift value
+     * Time Complexity: O(n) where n is the length of input text
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {number} shift - Shift value (1-25)
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {string} - Processed text
+     */
+    function caesarCipher(text, shift, decrypt = false) {
+        const alphabet = getLanguage().alphabet;
+        const size = alphabet.length;
+        
+        // Normalize shift value and handle decryption
+        shift = ((parseInt(shift) % size) + size) % size;
+        if (decrypt) shift = (size - shift) % size;
+        
+        return text.split('').map(char => {
+            // Only process letters of the current alphabet (index 0 to size - 1)
+            const code = letterIndex(char);
+            if (code >= 0) {
+                // Apply Caesar shift with modulo arithmetic for wrap-around
+                const shifted = (code + shift) % size;
+                
+                // Convert back to character, preserving original case
+                return matchCase(char, alphabet[shifted]);
+            }
+            
+            // Return non-alphabetic characters unchanged (spaces, punctuation, etc.)
+            return char;
+        }).join('');
+    }
+
+    // Vigenère-family variants: how each letter is combined with its key letter
+    // (alphabet positions, reduced mod the alphabet size by the caller) and how the key is extended
+    const VIGENERE_VARIANTS = {
+        vigenere: {
+            label: 'Vigenère (repeating key)',
+            formula: 'E(i) = (P(i) + K(i mod m)) mod 26',
+            encrypt: (p, k) => p + k,
+            decrypt: (c, k) => c - k,
+            key: 'repeating'
+        },
+        autokey: {
+            label: 'Autokey (keyword, then plaintext)',
+            formula: 'E(i) = (P(i) + K(i)) mod 26 with K = keyword followed by the plaintext',
+            encrypt: (p, k) => p + k,
+            decrypt: (c, k) => c - k,
+            key: 'autokey'
+        },
+        beaufort: {
+            label: 'Beaufort',
+            formula: 'E(i) = (K(i mod m) - P(i)) mod 26, its own inverse',
+            encrypt: (p, k) => k - p,
+            decrypt: (c, k) => k - c,
+            key: 'repeating'
+        },
+        'variant-beaufort': {
+            label: 'Variant Beaufort',
+            formula: 'E(i) = (P(i) - K(i mod m)) mod 26, Vigenère decryption used to encrypt',
+            encrypt: (p, k) => p - k,
+            decrypt: (c, k) => c + k,
+            key: 'repeating'
+        },
+        'running-key': {
+            label: 'Running key (long passage)',
+            formula: 'E(i) = (P(i) + K(i)) mod 26 with K a passage at least as long as the text',
+            encrypt: (p, k) => p + k,
+            decrypt: (c, k) => c - k,
+            key: 'running'
+        }
+    };
+
+    /**
+     * Vigenère-family step-by-step trace
+     * Lists each letter with the key letter it was combined with
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {string} key - Keyword, or the key passage for running-key
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @param {string} variant - Variant name from VIGENERE_VARIANTS (default: vigenere)
+     * @returns {Array} - [{input, key, output}] for every letter, uppercase
+     */
+    function vigenereSteps(text, key, decrypt = false, variant = 'vigenere') {
+        const cipher = VIGENERE_VARIANTS[variant];
+        if (!cipher) {
+            throw new Error(`Unknown Vigenère variant: ${variant}`);
+        }
+        
+        const alphabet = getLanguage().alphabet;
+        const letters = extractLetters(text);
+        const keyLetters = extractLetters(key);
+        if (keyLetters.length === 0) return [];
+        
+        if (cipher.key === 'running' && keyLetters.length < letters.length) {
+            throw new Error(`Running key is too short: ${keyLetters.length} key letters for ${letters.length} text letters`);
+        }
+        
+        // Autokey extends the keyword with the plaintext as it becomes known
+        let keyStream = keyLetters;
+        
+        return letters.split('').map((char, i) => {
+            const keyChar = cipher.key === 'repeating' ? keyLetters[i % keyLetters.length] : keyStream[i];
+            const textCode = alphabet.indexOf(char);
+            const keyCode = alphabet.indexOf(keyChar);
+            const combined = decrypt ? cipher.decrypt(textCode, keyCode) : cipher.encrypt(textCode, keyCode);
+            const output = alphabet[((combined % alphabet.length) + alphabet.length) % alphabet.length];
+            
+            if (cipher.key === 'autokey') {
+                keyStream += decrypt ? output : char;
+            }
+            
+            return { input: char, key: keyChar, output: output };
+        });
+    }
+
+    /**
+     * Vigenère Cipher Implementation
+     * Polyalphabetic substitution cipher using a repeating keyword, or one of the
+     * VIGENERE_VARIANTS (autokey, Beaufort, variant Beaufort, running key)
+     * Time Complexity: O(n) where n is the length of input text
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {string} key - Encryption key (letters only)
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @param {string} variant - Variant name from VIGENERE_VARIANTS (default: vigenere)
+     * @returns {string} - Processed text
+     */
+    function vigenereCipher(text, key, decrypt = false, variant = 'vigenere') {
+        const steps = vigenereSteps(text, key, decrypt, variant);
+        
+        // Return original text if key is empty
+        if (steps.length === 0) return text;
+        
+        let stepIndex = 0;
+        
+        return text.split('').map(char => {
+            // Only process letters of the current alphabet
+            if (isLetter(char)) {
+                // Convert back to character, preserving original case
+                return matchCase(char, steps[stepIndex++].output);
+            }
+            
+            // Return non-alphabetic characters unchanged
+            return char;
+        }).join('');
+    }
+
+    /**
+     * Brute Force Attack Simulation for Caesar Cipher
+     * Tries all possible shift values (1-25) to break the cipher
+     * Demonstrates the weakness of Caesar cipher due to small key space
+     * 
+     * @param {string} ciphertext - Text to attack
+     * @param {string} method - Scoring method name from SCORING_METHODS (default: quadgram)
+     * @param {Function} onProgress - Optional callback(done, total) after each shift
+     * @returns {Array} - Array of all possible decryptions, most English-like first
+     */
+    function bruteForceCaesar(ciphertext, method = DEFAULT_SCORING_METHOD, onProgress = null) {
+        const results = [];
+        const size = getLanguage().alphabet.length;
+        
+        // Try all possible shift values (1-25 for A–Z)
+        for (let shift = 1; shift < size; shift++) {
+            const decrypted = caesarCipher(ciphertext, shift, true);
+            results.push({
+                shift: shift,
+                text: decrypted,
+                method: method,
+                score: scoreText(decrypted, method)
+            });
+            if (onProgress) onProgress(shift, size - 1);
+        }
+        
+        // Sort by fitness score (highest first)
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Frequency Analysis Function
+     * Analyzes letter frequencies in text for cryptanalysis
+     * Essential for breaking substitution ciphers
+     * 
+     * @param {string} text - Text to analyze
+     * @returns {Object} - Frequency analysis results
+     */
+    function frequencyAnalysis(text) {
+        const frequencies = {};
+        let totalLetters = 0;
+        
+        // Count each letter occurrence
+        for (const char of extractLetters(text)) {
+            frequencies[char] = (frequencies[char] || 0) + 1;
+            totalLetters++;
+        }
+        
+        // Convert counts to percentages and create analysis array
+        const analysis = [];
+        for (const [letter, count] of Object.entries(frequencies)) {
+            analysis.push({
+                letter: letter,
+                count: count,
+                frequency: totalLetters > 0 ? ((count / totalLetters) * 100).toFixed(2) : 0
+            });
+        }
+        
+        // Sort by frequency (descending order)
+        return {
+            data: analysis.sort((a, b) => b.count - a.count),
+            totalLetters: totalLetters
+        };
+    }
+
+    /**
+     * N-gram Frequency Analysis
+     * Counts overlapping letter groups across word boundaries, the way the
+     * reference tables were built, so digraph ciphers such as Playfair and
+     * the vowel/consonant structure of a substitution show up
+     * 
+     * @param {string} text - Text to analyze
+     * @param {number} n - Group length, 2 for bigrams or 3 for trigrams (default: 2)
+     * @returns {Object} - {data: [{ngram, count, frequency, expected}], total}, most frequent first;
+     *                     expected is the language's reference % or null when it is not listed
+     */
+    function ngramFrequencies(text, n = 2) {
+        const letters = extractLetters(text);
+        const language = getLanguage();
+        const reference = n === 2 ? language.bigrams : n === 3 ? language.trigrams : {};
+        const counts = {};
+        const total = Math.max(letters.length - n + 1, 0);
+        
+        for (let i = 0; i < total; i++) {
+            const ngram = letters.substring(i, i + n);
+            counts[ngram] = (counts[ngram] || 0) + 1;
+        }
+        
+        const data = Object.entries(counts).map(([ngram, count]) => ({
+            ngram: ngram,
+            count: count,
+            frequency: ((count / total) * 100).toFixed(2),
+            expected: reference[ngram] ?? null
+        }));
+        
+        return {
+            data: data.sort((a, b) => b.count - a.count || a.ngram.localeCompare(b.ngram)),
+            total: total
+        };
+    }
+
+    /**
+     * Bigram count matrix for heatmaps: counts[i][j] is how often alphabet
+     * letter i is directly followed by letter j
+     * 
+     * @param {string} text - Text to analyze
+     * @returns {Object} - {alphabet, counts, total, max}
+     */
+    function bigramMatrix(text) {
+        const alphabet = getLanguage().alphabet;
+        const letters = extractLetters(text);
+        const counts = Array.from({ length: alphabet.length }, () => new Array(alphabet.length).fill(0));
+        let max = 0;
+        
+        for (let i = 0; i < letters.length - 1; i++) {
+            const row = alphabet.indexOf(letters[i]);
+            const column = alphabet.indexOf(letters[i + 1]);
+            counts[row][column]++;
+            max = Math.max(max, counts[row][column]);
+        }
+        
+        return { alphabet: alphabet, counts: counts, total: Math.max(letters.length - 1, 0), max: max };
+    }
+
+    /**
+     * Contact Table
+     * For every letter in the text, the letters seen directly before and after
+     * it. Vowels touch many different letters while most consonants keep to a
+     * few, so variety (distinct neighbours on either side) separates them even
+     * when the letters themselves are disguised
+     * 
+     * @param {string} text - Text to analyze
+     * @returns {Array} - [{letter, count, before: [{letter, count}], after: [{letter, count}], variety}],
+     *                    most frequent letter first
+     */
+    function contactTable(text) {
+        const { alphabet, counts } = bigramMatrix(text);
+        const totals = {};
+        for (const letter of extractLetters(text)) {
+            totals[letter] = (totals[letter] || 0) + 1;
+        }
+        
+        const neighbours = pick => [...alphabet]
+            .map((letter, index) => ({ letter: letter, count: pick(index) }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count);
+        
+        return [...alphabet]
+            .map((letter, i) => {
+                const before = neighbours(j => counts[j][i]);
+                const after = neighbours(j => counts[i][j]);
+                const contacts = new Set([...before, ...after].map(entry => entry.letter));
+                return { letter: letter, count: totals[letter] || 0, before: before, after: after, variety: contacts.size };
+            })
+            .filter(row => row.count > 0)
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Kasiski Examination for Vigenère Cipher
+     * Finds repeated sequences to estimate key length
+     * Critical method for breaking Vigenère encryption
+     * 
+     * @param {string} ciphertext - Encrypted text to analyze
+     * @param {number} maxKeyLength - Longest key length to consider (default: 20)
+     * @returns {Object} - Analysis results with suggested key lengths
+     */
+    function kasiskiExamination(ciphertext, maxKeyLength = 20) {
+        const text = extractLetters(ciphertext);
+        const trigrams = {};
+        const distances = [];
+        const repeatedSequences = [];
+        
+        // Find all trigrams (3-letter sequences) and their positions
+        for (let i = 0; i <= text.length - 3; i++) {
+            const trigram = text.substr(i, 3);
+            if (!trigrams[trigram]) {
+                trigrams[trigram] = [];
+            }
+            trigrams[trigram].push(i);
+        }
+        
+        // Calculate distances between repeated trigrams
+        for (const [trigram, positions] of Object.entries(trigrams)) {
+            if (positions.length > 1) {
+                const sequenceDistances = [];
+                for (let i = 1; i < positions.length; i++) {
+                    const distance = positions[i] - positions[i-1];
+                    distances.push(distance);
+                    sequenceDistances.push(distance);
+                }
+                
+                repeatedSequences.push({
+                    sequence: trigram,
+                    positions: positions,
+                    distances: sequenceDistances
+                });
+            }
+        }
+        
+        // Vote for every factor of every distance. The true key length divides
+        // most distances, while a coincidental repeat only adds a few stray votes
+        // (a single GCD over all distances collapses to 1 on one such repeat)
+        const factorVotes = {};
+        distances.forEach(distance => {
+            for (let i = 2; i <= Math.min(distance, maxKeyLength); i++) {
+                if (distance % i === 0) {
+                    factorVotes[i] = (factorVotes[i] || 0) + 1;
+                }
+            }
+        });
+        
+        // Keep lengths with at least half the top vote count, most votes first
+        // (on a tie the longer length is the more specific explanation)
+        const topVotes = Math.max(0, ...Object.values(factorVotes));
+        const possibleKeyLengths = Object.keys(factorVotes)
+            .map(Number)
+            .filter(length => factorVotes[length] >= topVotes / 2)
+            .sort((a, b) => factorVotes[b] - factorVotes[a] || b - a);
+        
+        return {
+            repeatedSequences: repeatedSequences.slice(0, 10), // Show top 10
+            distances: distances,
+            factorVotes: factorVotes,
+            possibleKeyLengths: possibleKeyLengths,
+            suggestedKeyLength: possibleKeyLengths[0] || null
+        };
+    }
+
+    /**
+     * Greatest Common Divisor calculation using Euclidean algorithm
+     * Helper function for coprimality checks (affine keys)
+     * 
+     * @param {number} a - First number
+     * @param {number} b - Second number
+     * @returns {number} - GCD of a and b
+     */
+    function gcd(a, b) {
+        return b === 0 ? a : gcd(b, a % b);
+    }
+
+    /**
+     * Index of Coincidence calculation
+     * Statistical measure for determining if text is encrypted with polyalphabetic cipher
+     * 
+     * @param {string} text - Text to analyze
+     * @returns {number} - Index of Coincidence value
+     */
+    function indexOfCoincidence(text) {
+        const counts = {};
+        let total = 0;
+        
+        // Count letter frequencies
+        for (const char of extractLetters(text)) {
+            counts[char] = (counts[char] || 0) + 1;
+            total++;
+        }
+        
+        // Calculate IC = Σ(ni * (ni-1)) / (N * (N-1))
+        let sum = 0;
+        for (const count of Object.values(counts)) {
+            sum += count * (count - 1);
+        }
+        
+        return total > 1 ? sum / (total * (total - 1)) : 0;
+    }
+
+    /**
+     * Friedman Test
+     * Estimates the Vigenère key length from the overall Index of Coincidence:
+     * L ≈ N(κp - κr) / ((N - 1)·IC - N·κr + κp)
+     * 
+     * @param {string} text - Ciphertext to analyze
+     * @returns {number|null} - Estimated key length (null if text is too short)
+     */
+    function friedmanTest(text) {
+        const total = extractLetters(text).length;
+        if (total < 2) return null;
+        
+        // κp is the current language's IC, κr that of uniformly random letters
+        const language = getLanguage();
+        const randomIC = 1 / language.alphabet.length;
+        const ic = indexOfCoincidence(text);
+        const denominator = (total - 1) * ic - total * randomIC + language.ic;
+        
+        // An IC at or above plaintext level means no polyalphabetic spreading
+        if (denominator <= 0) return null;
+        
+        return Math.max(1, total * (language.ic - randomIC) / denominator);
+    }
+
+    /**
+     * Average Index of Coincidence of the columns for a given period
+     * With the correct key length every column is a Caesar cipher, so its IC
+     * rises to plaintext level (≈ 0.067 for English) instead of random level (≈ 0.038)
+     * 
+     * @param {string} text - Ciphertext letters only (see extractLetters)
+     * @param {number} period - Assumed key length
+     * @returns {number} - Average column IC
+     */
+    function averageColumnIC(text, period) {
+        let sum = 0;
+        
+        for (let column = 0; column < period; column++) {
+            let columnText = '';
+            for (let i = column; i < text.length; i += period) {
+                columnText += text[i];
+            }
+            sum += indexOfCoincidence(columnText);
+        }
+        
+        return sum / period;
+    }
+
+    /**
+     * Index of Coincidence periodogram
+     * The average column IC for every period from 1 up. For a periodic cipher the
+     * key length and its multiples rise to plaintext level; every other period
+     * stays near random, so the key length shows as the first peak
+     * 
+     * @param {string} ciphertext - Encrypted text to analyze
+     * @param {number} maxPeriod - Longest period to compute (default: 30)
+     * @returns {Object} - {periods: [{period, ic}], languageIC, randomIC}
+     */
+    function icPeriodogram(ciphertext, maxPeriod = 30) {
+        const text = extractLetters(ciphertext);
+        const language = getLanguage();
+        const periods = [];
+        
+        // Every column needs two letters before it has an IC
+        for (let period = 1; period <= Math.min(maxPeriod, Math.floor(text.length / 2)); period++) {
+            periods.push({ period: period, ic: averageColumnIC(text, period) });
+        }
+        
+        return { periods: periods, languageIC: language.ic, randomIC: 1 / language.alphabet.length };
+    }
+
+    // A multiple of the key length reaches about the same column IC as the key
+    // length; a period needs this much more than its divisor to be a key length
+    const MULTIPLE_IC_MARGIN = 1.1;
+
+    /**
+     * Key Length Estimation for Vigenère Cipher
+     * Combines Kasiski factor votes, the average column IC for every period
+     * and the Friedman estimate into one ranked list of key lengths
+     * 
+     * @param {string} ciphertext - Encrypted text to analyze
+     * @param {number} maxKeyLength - Longest key length to consider (default: 20)
+     * @param {Function} onProgress - Optional callback(done, total) after each period
+     * @returns {Object} - Per-period statistics, ranked candidates with confidence and the Friedman estimate
+     */
+    function estimateKeyLength(ciphertext, maxKeyLength = 20, onProgress = null) {
+        const text = extractLetters(ciphertext);
+        const language = getLanguage();
+        const randomIC = 1 / language.alphabet.length;
+        const kasiski = kasiskiExamination(ciphertext, maxKeyLength);
+        const friedman = friedmanTest(text);
+        
+        const votes = kasiski.factorVotes;
+        const topVotes = Math.max(0, ...Object.values(votes));
+        
+        // Each column needs at least two letters for a meaningful IC
+        const maxPeriod = Math.min(maxKeyLength, Math.floor(text.length / 2));
+        const periods = [];
+        
+        for (let length = 1; length <= maxPeriod; length++) {
+            const averageIC = averageColumnIC(text, length);
+            
+            // Scale each signal to 0-1: IC between random and plaintext level,
+            // share of the top vote count, and closeness to the Friedman estimate
+            const icScore = Math.min(1, Math.max(0, (averageIC - randomIC) / (language.ic - randomIC)));
+            const voteScore = topVotes > 0 ? (votes[length] || 0) / topVotes : 0;
+            const friedmanScore = friedman ? Math.max(0, 1 - Math.abs(length - friedman) / friedman) : 0;
+            
+            periods.push({
+                length: length,
+                averageIC: averageIC,
+                kasiskiVotes: votes[length] || 0,
+                score: 0.55 * icScore + 0.35 * voteScore + 0.1 * friedmanScore
+            });
+            if (onProgress) onProgress(length, maxPeriod);
+        }
+        
+        // Multiples of the key length score as well as the key length itself,
+        // so halve a period when one of its divisors explains the text about as well.
+        // The key length itself has a clearly higher column IC than its divisors
+        const rawScores = periods.map(period => period.score);
+        periods.forEach(period => {
+            for (let divisor = 1; divisor < period.length; divisor++) {
+                if (period.length % divisor === 0 && rawScores[divisor - 1] >= 0.9 * rawScores[period.length - 1] &&
+                    period.averageIC < MULTIPLE_IC_MARGIN * periods[divisor - 1].averageIC) {
+                    period.score /= 2;
+                    break;
+                }
+            }
+        });
+        
+        // Confidence is each period's share of the total score
+        const totalScore = periods.reduce((sum, period) => sum + period.score, 0);
+        periods.forEach(period => {
+            period.confidence = totalScore > 0 ? period.score / totalScore : 0;
+        });
+        
+        const ranked = periods.slice().sort((a, b) => b.score - a.score);
+        
+        return {
+            periods: periods,
+            ranked: ranked,
+            friedman: friedman,
+            kasiski: kasiski,
+            suggestedKeyLength: ranked.length > 0 ? ranked[0].length : null
+        };
+    }
+
+    /**
+     * Key lengths worth trying, best first
+     * A multiple of a better-ranked length only lets each column overfit, so it
+     * is skipped unless its column IC is clearly higher, in which case the
+     * shorter length was a divisor of the key. The top-ranked length is always kept
+     * 
+     * @param {Array} ranked - Ranked periods from estimateKeyLength
+     * @param {number} count - How many ranked periods to consider (default: 6)
+     * @returns {Array} - Key lengths
+     */
+    function distinctKeyLengths(ranked, count = 6) {
+        const chosen = [];
+        
+        ranked.slice(0, count).forEach(period => {
+            const explained = chosen.some(shorter => shorter.length > 1 && period.length % shorter.length === 0 &&
+                period.averageIC < MULTIPLE_IC_MARGIN * shorter.averageIC);
+            if (!explained) chosen.push(period);
+        });
+        
+        return chosen.map(period => period.length);
+    }
+
+    /**
+     * Shannon entropy of the letter distribution, in bits per letter
+     * Plaintext sits well below the log2(alphabet size) of uniformly random letters
+     * 
+     * @param {Object|Array} counts - Letter counts or percentages
+     * @returns {number} - Entropy in bits
+     */
+    function letterEntropy(counts) {
+        const values = Object.values(counts).filter(value => value > 0);
+        const total = values.reduce((sum, value) => sum + value, 0);
+        return values.reduce((sum, value) => sum - (value / total) * Math.log2(value / total), 0);
+    }
+
+    /**
+     * Cipher Identification
+     * Classifies an unknown ciphertext by its statistics alone: IC and entropy
+     * separate one cipher alphabet from many, plaintext-like frequencies point
+     * to transposition, periodic IC to a repeating key, and even length with
+     * no doubled digraphs and no J to Playfair. The rules are heuristics, so
+     * every candidate carries the reasons behind its score
+     * 
+     * @param {string} ciphertext - Text to classify
+     * @returns {Object} - {statistics, candidates: [{family, label, score, reasons, solver}], warnings},
+     *                     candidates ranked by score (0-1); solver is the tab that attacks that family
+     */
+    function identifyCipher(ciphertext) {
+        const language = getLanguage();
+        const text = extractLetters(ciphertext);
+        const size = language.alphabet.length;
+        const randomIC = 1 / size;
+        const warnings = [];
+        
+        const counts = {};
+        for (const char of text) counts[char] = (counts[char] || 0) + 1;
+        
+        // How far the IC is from random (0) towards plaintext (1)
+        const ic = indexOfCoincidence(text);
+        const icLevel = (ic - randomIC) / (language.ic - randomIC);
+        const levelOf = value => (value - randomIC) / (language.ic - randomIC);
+        
+        // Column IC for every period that leaves at least five letters per column
+        const periodicIC = [];
+        for (let period = 1; period <= Math.min(20, Math.floor(text.length / 5)); period++) {
+            periodicIC.push({ period: period, ic: averageColumnIC(text, period) });
+        }
+        // Only meaningful when the text as a whole is below plaintext level
+        const period = icLevel < 0.6
+            ? periodicIC.find(entry => entry.period > 1 && levelOf(entry.ic) >= 0.6)?.period ?? null
+            : null;
+        
+        // A repeating key lifts its period and every multiple well above the other
+        // periods. Autokey text hovers just below the line everywhere, so a lone
+        // period crossing it there is chance
+        const meanLevel = entries => entries.reduce((sum, entry) => sum + levelOf(entry.ic), 0) / Math.max(1, entries.length);
+        const periodContrast = period
+            ? meanLevel(periodicIC.filter(entry => entry.period % period === 0)) -
+                meanLevel(periodicIC.filter(entry => entry.period > 1 && entry.period % period !== 0))
+            : null;
+        const flatPeriod = period !== null && periodContrast < 0.42;
+        
+        // Playfair encrypts pairs, and a pair never holds the same letter twice
+        let doubledDigraphs = 0;
+        for (let i = 0; i + 1 < text.length; i += 2) {
+            if (text[i] === text[i + 1]) doubledDigraphs++;
+        }
+        
+        // Best shift and affine decryption of a sample, by χ² per letter
+        const sample = text.substring(0, 2000);
+        let bestShift = { a: 1, b: 0, fit: Infinity };
+        let bestAffine = { a: 1, b: 0, fit: Infinity };
+        if (sample.length > 0) {
+            affineMultipliers(size).forEach(a => {
+                for (let b = 0; b < size; b++) {
+                    const fit = chiSquared(affineCipher(sample, a, b, true)) / sample.length;
+                    if (fit < bestAffine.fit) bestAffine = { a: a, b: b, fit: fit };
+                    if (a === 1 && fit < bestShift.fit) bestShift = { a: a, b: b, fit: fit };
+                }
+            });
+        }
+        
+        const statistics = {
+            length: text.length,
+            characters: {
+                letters: text.length,
+                digits: (ciphertext.match(/\d/g) || []).length,
+                other: [...ciphertext].filter(char => !/\d|\s/.test(char) && letterIndex(char) < 0).length,
+                distinctLetters: Object.keys(counts).length,
+                latinOnly: /^[A-Z]*$/.test(text),
+                hasJ: text.includes('J')
+            },
+            ic: ic,
+            expectedIC: language.ic,
+            randomIC: randomIC,
+            entropy: letterEntropy(counts),
+            expectedEntropy: letterEntropy(language.frequencies),
+            maxEntropy: Math.log2(size),
+            evenLength: text.length % 2 === 0,
+            doubledLetters: [...text].filter((char, i) => char === text[i + 1]).length,
+            doubledDigraphs: doubledDigraphs,
+            periodicIC: periodicIC,
+            period: period,
+            periodContrast: periodContrast,
+            chiSquaredPerLetter: text.length > 0 ? chiSquared(text) / text.length : Infinity,
+            plaintextFrequencies: hasPlaintextFrequencies(text),
+            bestShift: bestShift.b,
+            bestAffine: { a: bestAffine.a, b: bestAffine.b }
+        };
+        
+        if (text.length === 0) {
+            return { statistics: statistics, candidates: [], warnings: ['The text contains no letters'] };
+        }
+        if (text.length < 60) {
+            warnings.push(`Only ${text.length} letters: the statistics are unreliable below about 60`);
+        }
+        
+        const percent = value => `${Math.round(value * 100)}%`;
+        const icText = `IC ${ic.toFixed(4)} (${language.label} ≈ ${language.ic.toFixed(3)}, random ≈ ${randomIC.toFixed(3)})`;
+        const mono = icLevel >= 0.6;
+        
+        // χ² per letter of real plaintext shrinks with length, roughly like (size - 1) / n
+        const fitLimit = 0.3 + 2 * (size - 1) / sample.length;
+        const shiftFits = bestShift.fit < fitLimit;
+        const affineFits = bestAffine.fit < fitLimit;
+        
+        // Without Playfair, about one pair in 1/IC would hold a doubled letter
+        const expectedDoubled = Math.floor(text.length / 2) * ic;
+        const noDoubledPairs = statistics.characters.latinOnly && statistics.evenLength && doubledDigraphs === 0;
+        const playfairLikely = noDoubledPairs && expectedDoubled >= 3;
+        
+        const candidates = [];
+        
+        if (statistics.plaintextFrequencies) {
+            candidates.push({
+                family: 'transposition',
+                label: 'Transposition (rail fence, columnar)',
+                score: 0.95,
+                reasons: [
+                    `${icText} is at plaintext level`,
+                    `Letter frequencies already match ${language.label} (χ² ${statistics.chiSquaredPerLetter.toFixed(2)} per letter), so letters were moved, not replaced`
+                ],
+                solver: 'transposition'
+            });
+        }
+        
+        if (mono && !statistics.plaintextFrequencies) {
+            const reasons = [`${icText} is ${percent(icLevel)} of the way to plaintext level: one cipher alphabet`];
+            
+            if (shiftFits) {
+                candidates.push({
+                    family: 'caesar',
+                    label: 'Caesar (shifted alphabet)',
+                    score: 0.9,
+                    reasons: [...reasons, `Shifting back by ${bestShift.b} gives ${language.label} frequencies (χ² ${bestShift.fit.toFixed(2)} per letter)`],
+                    solver: 'caesar'
+                });
+            } else if (affineFits) {
+                candidates.push({
+                    family: 'affine',
+                    label: 'Affine',
+                    score: 0.85,
+                    reasons: [...reasons, `Affine decryption with a = ${bestAffine.a}, b = ${bestAffine.b} gives ${language.label} frequencies (χ² ${bestAffine.fit.toFixed(2)} per letter)`],
+                    solver: 'affine'
+                });
+            }
+            
+            candidates.push({
+                family: 'substitution',
+                label: 'Monoalphabetic substitution',
+                score: shiftFits || affineFits ? 0.45 : 0.8,
+                reasons: shiftFits || affineFits
+                    ? [...reasons, 'A general substitution would also fit, but the simpler cipher above explains the frequencies']
+                    : [...reasons, 'No shift or affine map restores the frequencies, so the alphabet is mixed'],
+                solver: 'substitution'
+            });
+        }
+        
+        if (!mono && period) {
+            const columnIC = periodicIC[period - 1].ic;
+            const reasons = [
+                `${icText} is below plaintext level: several cipher alphabets`,
+                `Splitting into ${period} columns raises the column IC to ${columnIC.toFixed(4)}, so the key probably has length ${period}`
+            ];
+            if (playfairLikely) reasons.push('But no pair holds a doubled letter, which a Vigenère cipher would produce by chance');
+            if (flatPeriod) reasons.push(`But the other periods are nearly as high, and a repeating key would stand out from them`);
+            
+            candidates.push({
+                family: 'vigenere',
+                label: 'Polyalphabetic with a repeating key (Vigenère, Beaufort)',
+                score: playfairLikely || flatPeriod ? 0.4 : 0.85,
+                reasons: reasons,
+                solver: 'vigenere'
+            });
+        }
+        
+        if (noDoubledPairs && statistics.characters.distinctLetters <= 25) {
+            const reasons = [`Even length (${text.length}) with no pair holding a doubled letter`];
+            let score = 0.35;
+            if (playfairLikely) {
+                score += 0.35;
+                reasons.push(`About ${Math.round(expectedDoubled)} doubled pairs would turn up by chance; Playfair splits them with X`);
+            }
+            if (!statistics.characters.hasJ) {
+                score += 0.1;
+                reasons.push('No J, which Playfair merges into I');
+            }
+            if (icLevel >= 0.15 && icLevel < 0.75) {
+                score += 0.1;
+                reasons.push(`${icText} sits between random and plaintext, as digraph substitution leaves it`);
+            }
+            if (mono) score -= 0.3;
+            
+            candidates.push({ family: 'playfair', label: 'Playfair', score: Math.max(0.05, score), reasons: reasons, solver: 'playfair' });
+        }
+        
+        if (!mono && (!period || flatPeriod)) {
+            // Hill encrypts whole blocks of Latin letters, so its ciphertext has even
+            // length for 2×2 keys and never holds digits
+            const hillShape = statistics.characters.latinOnly && statistics.evenLength && statistics.characters.digits === 0;
+            
+            candidates.push({
+                family: 'long-key',
+                label: 'Long-key polyalphabetic (Autokey, running key, one-time pad) or Enigma',
+                score: hillShape ? 0.55 : flatPeriod || icLevel < 0.3 ? 0.6 : 0.4,
+                reasons: [
+                    flatPeriod ? `${icText} is below plaintext level, but not as far down as a repeating key brings it` : `${icText} is close to random`,
+                    flatPeriod
+                        ? `Period ${period} only just reaches plaintext level and its multiples do not follow, so the key does not repeat`
+                        : `No period up to ${periodicIC.length} raises the column IC to plaintext level, so the key does not repeat`,
+                    `Entropy ${statistics.entropy.toFixed(2)} bits per letter (${language.label} ≈ ${statistics.expectedEntropy.toFixed(2)}, random ${statistics.maxEntropy.toFixed(2)})`
+                ],
+                solver: 'enigma'
+            });
+            
+            if (statistics.characters.latinOnly) {
+                const reasons = [
+                    'Mixing several letters at once flattens the frequencies without a period',
+                    'Needs a crib: a few known plaintext letters recover the key matrix'
+                ];
+                if (hillShape) reasons.unshift(`Even length (${text.length}) and no digits, as 2×2 Hill blocks leave it`);
+                
+                candidates.push({
+                    family: 'hill',
+                    label: 'Hill (matrix)',
+                    score: hillShape ? 0.65 : 0.3,
+                    reasons: reasons,
+                    solver: 'hill'
+                });
+            }
+        }
+        
+        return {
+            statistics: statistics,
+            candidates: candidates.sort((a, b) => b.score - a.score),
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Chi-squared statistic against the current language's letter frequencies
+     * Measures how far the letter distribution of a text is from that language
+     * Lower values mean the text looks more like plaintext
+     *
+     * @param {string} text - Text to score
+     * @returns {number} - Chi-squared value (Infinity for text without letters)
+     */
+    function chiSquared(text) {
+        const { alphabet, frequencies } = getLanguage();
+        const counts = new Array(alphabet.length).fill(0);
+        let total = 0;
+
+        // Count letter occurrences
+        for (const char of text) {
+            const index = letterIndex(char);
+            if (index >= 0) {
+                counts[index]++;
+                total++;
+            }
+        }
+
+        if (total === 0) return Infinity;
+
+        // χ² = Σ((observed - expected)² / expected)
+        let chi = 0;
+        for (let i = 0; i < alphabet.length; i++) {
+            const expected = total * frequencies[alphabet[i]] / 100;
+            chi += Math.pow(counts[i] - expected, 2) / expected;
+        }
+
+        return chi;
+    }
+
+    // Fitness scoring shared by all attacks: every method returns a score where
+    // higher means "more like the current language", so attacks can rank candidates the same way.
+    // keyLetterPenalty is how much more than chance one extra key letter must gain on a text
+    // of that many letters: χ² noise shrinks with √letters, n-gram averages with letters
+    const SCORING_METHODS = {
+        chiSquared: {
+            label: 'Chi-squared (−χ² vs letter frequencies)',
+            score: text => -chiSquared(text),
+            keyLetterPenalty: letters => 90 / Math.sqrt(letters)
+        },
+        bigram: {
+            label: 'Bigram log-probability (per bigram)',
+            score: text => ngramLogProbability(text, 2),
+            keyLetterPenalty: letters => 2.5 / letters
+        },
+        quadgram: {
+            label: 'Quadgram log-probability (per quadgram)',
+            score: text => ngramLogProbability(text, 4),
+            keyLetterPenalty: letters => 2.5 / letters
+        }
+    };
+
+    const DEFAULT_SCORING_METHOD = 'quadgram';
+
+    /**
+     * Score how plaintext-like a text is with one of the SCORING_METHODS
+     * 
+     * @param {string} text - Text to score
+     * @param {string} method - Scoring method name (default: quadgram)
+     * @returns {number} - Fitness score (higher is better)
+     */
+    function scoreText(text, method = DEFAULT_SCORING_METHOD) {
+        const scorer = SCORING_METHODS[method];
+        if (!scorer) {
+            throw new Error(`Unknown scoring method: ${method}`);
+        }
+        return scorer.score(text);
+    }
+
+    /**
+     * Log10 probability of a bigram in the current language
+     * Bigrams missing from its table fall back to half the probability
+     * the two letters would have if they were independent
+     * 
+     * @param {string} bigram - Two uppercase letters
+     * @returns {number} - log10 probability
+     */
+    function bigramLogProbability(bigram) {
+        const { bigrams, frequencies } = getLanguage();
+        if (bigrams[bigram]) {
+            return Math.log10(bigrams[bigram] / 100);
+        }
+        const independent = (frequencies[bigram[0]] / 100) * (frequencies[bigram[1]] / 100);
+        return Math.log10(independent / 2);
+    }
+
+    // Rarest listed trigram and quadgram, the ceilings for estimated unlisted ones
+    Object.values(LANGUAGES).forEach(language => {
+        language.trigramFloor = Math.log10(Math.min(...Object.values(language.trigrams)) / 100);
+        language.quadgramFloor = Math.log10(Math.min(...Object.values(language.quadgrams)) / 100000);
+    });
+
+    /**
+     * Log10 probability of a trigram in the current language
+     * Trigrams missing from its table are estimated from their two
+     * bigrams, P(ABC) ≈ P(AB) · P(BC) / P(B), capped below the rarest listed trigram
+     * 
+     * @param {string} trigram - Three uppercase letters
+     * @returns {number} - log10 probability
+     */
+    function trigramLogProbability(trigram) {
+        const language = getLanguage();
+        if (language.trigrams[trigram]) {
+            return Math.log10(language.trigrams[trigram] / 100);
+        }
+        const estimate = bigramLogProbability(trigram.substring(0, 2)) + bigramLogProbability(trigram.substring(1)) -
+            Math.log10(language.frequencies[trigram[1]] / 100);
+        return Math.min(estimate, language.trigramFloor);
+    }
+
+    /**
+     * Log10 probability of a quadgram in the current language
+     * Quadgrams missing from its table are estimated from their two
+     * trigrams, P(ABCD) ≈ P(ABC) · P(BCD) / P(BC), capped below the rarest listed quadgram
+     * 
+     * @param {string} quadgram - Four uppercase letters
+     * @returns {number} - log10 probability
+     */
+    function quadgramLogProbability(quadgram) {
+        const language = getLanguage();
+        if (language.quadgrams[quadgram]) {
+            return Math.log10(language.quadgrams[quadgram] / 100000);
+        }
+        const estimate = trigramLogProbability(quadgram.substring(0, 3)) + trigramLogProbability(quadgram.substring(1)) -
+            bigramLogProbability(quadgram.substring(1, 3));
+        return Math.min(estimate, language.quadgramFloor);
+    }
+
+    /**
+     * Average n-gram log probability of a text (letters only, spaces removed)
+     * 
+     * @param {string} text - Text to score
+     * @param {number} n - N-gram size (2 or 4)
+     * @returns {number} - Average log10 probability per n-gram (-Infinity if too short)
+     */
+    function ngramLogProbability(text, n) {
+        const letters = extractLetters(text);
+        const count = letters.length - n + 1;
+        if (count <= 0) return -Infinity;
+        
+        const logProbability = n === 4 ? quadgramLogProbability : bigramLogProbability;
+        let sum = 0;
+        for (let i = 0; i < count; i++) {
+            sum += logProbability(letters.substr(i, n));
+        }
+        
+        return sum / count;
+    }
+
+    // Ranked key lengths that crackVigenere tries
+    const CRACK_KEY_LENGTHS = 6;
+
+    /**
+     * Score used to rank keys of different lengths: a longer key only wins
+     * when it scores clearly better, not by fitting the noise of a short text
+     *
+     * @param {number} score - scoreText of the decryption (higher is better)
+     * @param {number} keyLength - Key length
+     * @param {number} letters - Number of ciphertext letters
+     * @param {string} method - Scoring method the score came from
+     * @returns {number} - Penalized score
+     */
+    function keyRankingScore(score, keyLength, letters, method) {
+        return score - SCORING_METHODS[method].keyLetterPenalty(letters) * keyLength;
+    }
+
+    /**
+     * Automatic Vigenère key recovery
+     * Uses the estimated key lengths, splits the ciphertext into one Caesar
+     * stream per key position and picks the shift whose decryption best
+     * matches English letter frequencies
+     *
+     * The Beaufort variants are periodic too: variant Beaufort with key K is
+     * Vigenère with key −K, and negating Beaufort ciphertext turns it into
+     * variant Beaufort, so both reduce to the classic attack
+     *
+     * @param {string} ciphertext - Encrypted text to attack
+     * @param {number} maxResults - Number of candidates to return (default: 5)
+     * @param {string} method - Scoring method used to rank the candidates (default: quadgram)
+     * @param {string} variant - vigenere, beaufort or variant-beaufort (default: vigenere)
+     * @param {number} keyLength - Known key length; estimated when not given
+     * @param {Function} onProgress - Optional callback(done, total); key length estimation is the first half
+     * @returns {Array} - Candidates {key, keyLength, plaintext, method, score}, best first by score
+     *                    less the key length penalty (see keyRankingScore)
+     */
+    function crackVigenere(ciphertext, maxResults = 5, method = DEFAULT_SCORING_METHOD, variant = 'vigenere', keyLength = null, onProgress = null) {
+        if (VIGENERE_VARIANTS[variant]?.key !== 'repeating') {
+            throw new Error(`${VIGENERE_VARIANTS[variant]?.label || variant} has no repeating key, so it cannot be cracked column by column`);
+        }
+        
+        if (variant !== 'vigenere') {
+            const classicText = variant === 'beaufort' ? caesarNegate(ciphertext) : ciphertext;
+            
+            return crackVigenere(classicText, maxResults, method, 'vigenere', keyLength, onProgress).map(candidate => {
+                const key = caesarNegate(candidate.key);
+                return { ...candidate, key: key, plaintext: vigenereCipher(ciphertext, key, true, variant) };
+            });
+        }
+        
+        const text = extractLetters(ciphertext);
+        if (text.length < 2) return [];
+
+        // Try the most likely key lengths from the combined estimator
+        const keyLengths = [];
+        if (keyLength) {
+            keyLengths.push(Math.min(keyLength, text.length));
+        } else {
+            const estimateProgress = onProgress && ((done, total) => onProgress(done, 2 * total));
+            keyLengths.push(...estimateKeyLength(ciphertext, 20, estimateProgress).ranked
+                .slice(0, CRACK_KEY_LENGTHS).map(period => period.length));
+        }
+
+        const candidates = [];
+        const seenKeys = new Set();
+        const rank = candidate => keyRankingScore(candidate.score, candidate.keyLength, text.length, method);
+        
+        // Best key of each length, recovered once
+        const recovered = new Map();
+        const candidateOfLength = length => {
+            if (!recovered.has(length)) {
+                // "KEYKEY" decrypts exactly like "KEY", so report the shortest form
+                const key = reduceRepeatedKey(recoverVigenereKey(text, length, method));
+                const plaintext = vigenereCipher(ciphertext, key, true);
+                recovered.set(length, {
+                    key: key,
+                    keyLength: key.length,
+                    plaintext: plaintext,
+                    method: method,
+                    score: scoreText(plaintext, method)
+                });
+            }
+            return recovered.get(length);
+        };
+
+        keyLengths.forEach((length, index) => {
+            if (onProgress) onProgress(keyLengths.length + index + 1, 2 * keyLengths.length);
+            
+            // A multiple of the key length recovers the key with a few columns gone
+            // astray ("HEYKEYKEUKEYKEY"), so a divisor that ranks as well replaces it
+            let candidate = candidateOfLength(length);
+            for (let period = 1; period < candidate.keyLength; period++) {
+                if (candidate.keyLength % period !== 0) continue;
+                const shorter = candidateOfLength(period);
+                if (rank(shorter) >= rank(candidate)) {
+                    candidate = shorter;
+                    break;
+                }
+            }
+            
+            if (seenKeys.has(candidate.key)) return;
+            seenKeys.add(candidate.key);
+            candidates.push(candidate);
+        });
+
+        return candidates.sort((a, b) => rank(b) - rank(a)).slice(0, maxResults);
+    }
+
+    /**
+     * Crib dragging (known-plaintext attack) for the Vigenère family
+     * Slides a probable word along the ciphertext and, at every offset, works
+     * out the key letters that would turn the ciphertext there into the crib.
+     * At the right offset of a repeating key, a crib longer than the key
+     * shows the key fragment repeating with the key length
+     *
+     * @param {string} ciphertext - Encrypted text
+     * @param {string} crib - Probable plaintext word or phrase
+     * @param {string} variant - Variant name from VIGENERE_VARIANTS (default: vigenere)
+     * @param {Array} keyLengths - Key lengths to test; default: the best from estimateKeyLength
+     * @returns {Object} - {keyLengths, offsets: [{offset, fragment, consistentLengths, score}]} in text order;
+     *                     consistentLengths lists the key lengths the fragment repeats with
+     */
+    function cribDrag(ciphertext, crib, variant = 'vigenere', keyLengths = null) {
+        const cipher = VIGENERE_VARIANTS[variant];
+        if (!cipher) {
+            throw new Error(`Unknown Vigenère variant: ${variant}`);
+        }
+        
+        const alphabet = getLanguage().alphabet;
+        const size = alphabet.length;
+        const text = extractLetters(ciphertext);
+        const cribText = extractLetters(crib);
+        
+        if (cribText.length < 2) {
+            throw new Error('The crib needs at least two letters');
+        }
+        if (cribText.length > text.length) {
+            throw new Error('The crib is longer than the ciphertext');
+        }
+        
+        // Only a repeating key can repeat inside a fragment
+        const lengths = [];
+        if (keyLengths) {
+            lengths.push(...keyLengths);
+        } else if (cipher.key === 'repeating') {
+            lengths.push(...distinctKeyLengths(estimateKeyLength(text).ranked).filter(length => length > 1).slice(0, 3));
+        }
+        
+        // The key letter k with encrypt(p, k) = c, found by trying each one
+        const keyLetter = (c, p) => {
+            for (let k = 0; k < size; k++) {
+                if ((((cipher.encrypt(p, k)) % size) + size) % size === c) return alphabet[k];
+            }
+            return '?';
+        };
+        
+        const offsets = [];
+        for (let offset = 0; offset + cribText.length <= text.length; offset++) {
+            let fragment = '';
+            for (let i = 0; i < cribText.length; i++) {
+                fragment += keyLetter(alphabet.indexOf(text[offset + i]), alphabet.indexOf(cribText[i]));
+            }
+            
+            const consistentLengths = lengths.filter(length => length < fragment.length &&
+                [...fragment].every((letter, i) => i + length >= fragment.length || letter === fragment[i + length]));
+            
+            offsets.push({
+                offset: offset,
+                fragment: fragment,
+                consistentLengths: consistentLengths,
+                score: scoreText(fragment, 'bigram')
+            });
+        }
+        
+        return { keyLengths: lengths, offsets: offsets };
+    }
+
+    /**
+     * Key of a given length with only the letters a crib fragment reveals
+     * 
+     * @param {string} fragment - Key letters found by cribDrag
+     * @param {number} offset - Letter offset of the crib in the ciphertext
+     * @param {number} keyLength - Assumed key length
+     * @returns {string} - Key with '?' at the positions still unknown
+     */
+    function cribKey(fragment, offset, keyLength) {
+        const key = new Array(keyLength).fill('?');
+        [...fragment].forEach((letter, i) => {
+            key[(offset + i) % keyLength] = letter;
+        });
+        return key.join('');
+    }
+
+    /**
+     * Decrypt with a partly known repeating key
+     * Letters under an unknown key position ('?') become '·', so the
+     * recovered stretches show how much of the message a crib unlocks
+     * 
+     * @param {string} ciphertext - Encrypted text
+     * @param {string} partialKey - Key letters, '?' where unknown
+     * @param {string} variant - vigenere, beaufort or variant-beaufort (default: vigenere)
+     * @returns {string} - Partial plaintext, non-letters kept in place
+     */
+    function partialVigenereDecrypt(ciphertext, partialKey, variant = 'vigenere') {
+        const cipher = VIGENERE_VARIANTS[variant];
+        if (cipher?.key !== 'repeating') {
+            throw new Error(`${cipher?.label || variant} has no repeating key to fill in`);
+        }
+        
+        const alphabet = getLanguage().alphabet;
+        const size = alphabet.length;
+        const key = [...partialKey]
+            .filter(char => char === '?' || letterIndex(char) >= 0)
+            .map(char => char === '?' ? -1 : letterIndex(char));
+        if (key.length === 0) return ciphertext;
+        
+        let position = 0;
+        
+        return [...ciphertext].map(char => {
+            const index = letterIndex(char);
+            if (index < 0) return char;
+            
+            const k = key[position++ % key.length];
+            if (k < 0) return '·';
+            return matchCase(char, alphabet[(((cipher.decrypt(index, k)) % size) + size) % size]);
+        }).join('');
+    }
+
+    /**
+     * Columns of a Vigenère ciphertext for solving by hand
+     * Every keyLength-th letter was shifted by the same key letter, so each
+     * column is a Caesar cipher. Its letter counts and the χ² fit of every
+     * shift let a reader slide the column into line with the language
+     * 
+     * @param {string} ciphertext - Encrypted text
+     * @param {number} keyLength - Assumed key length
+     * @returns {Array} - [{column, text, counts, fit: χ² per shift, bestShift}]
+     */
+    function vigenereColumns(ciphertext, keyLength) {
+        if (!Number.isInteger(keyLength) || keyLength < 1) {
+            throw new Error('Key length must be a positive whole number');
+        }
+        
+        const text = extractLetters(ciphertext);
+        const alphabet = getLanguage().alphabet;
+        
+        return Array.from({ length: keyLength }, (_, column) => {
+            let columnText = '';
+            for (let i = column; i < text.length; i += keyLength) {
+                columnText += text[i];
+            }
+            
+            const counts = new Array(alphabet.length).fill(0);
+            for (const char of columnText) counts[letterIndex(char)]++;
+            
+            // χ² of the column decrypted with each key letter; lower fits better
+            const fit = [...alphabet].map((_, shift) => chiSquared(caesarCipher(columnText, shift, true)));
+            
+            return {
+                column: column,
+                text: columnText,
+                counts: counts,
+                fit: fit,
+                bestShift: fit.indexOf(Math.min(...fit))
+            };
+        });
+    }
+
+    // Shifts per column, best χ² first, that the n-gram re-ranking chooses between
+    const KEY_RERANK_SHIFTS = 3;
+
+    /**
+     * Recover the most likely key of a given length
+     * Each column (every keyLength-th letter) is a plain Caesar cipher. χ² picks
+     * each column's shift on its own, which misses on short texts where the
+     * right letter is a close second, so the key is then hill-climbed over each
+     * column's best few shifts by the fitness of the whole decryption
+     *
+     * @param {string} text - Ciphertext letters only (see extractLetters)
+     * @param {number} keyLength - Assumed key length
+     * @param {string} method - Scoring method for the hill climb (default: quadgram)
+     * @returns {string} - Recovered key
+     */
+    function recoverVigenereKey(text, keyLength, method = DEFAULT_SCORING_METHOD) {
+        const alphabet = getLanguage().alphabet;
+        const columns = vigenereColumns(text, keyLength);
+        const candidates = columns.map(column => [...column.fit.keys()]
+            .sort((a, b) => column.fit[a] - column.fit[b])
+            .slice(0, KEY_RERANK_SHIFTS));
+
+        // Start from each column's shift closest to the language's frequencies
+        const shifts = columns.map(column => column.bestShift);
+        const fitness = () => scoreText(vigenereCipher(text, shifts.map(shift => alphabet[shift]).join(''), true), method);
+        let bestScore = fitness();
+
+        // Swap one column at a time while that improves the decryption
+        let improved = true;
+        while (improved) {
+            improved = false;
+            candidates.forEach((columnShifts, column) => {
+                columnShifts.forEach(shift => {
+                    if (shift === shifts[column]) return;
+                    const previous = shifts[column];
+                    shifts[column] = shift;
+                    const score = fitness();
+                    if (score > bestScore) {
+                        bestScore = score;
+                        improved = true;
+                    } else {
+                        shifts[column] = previous;
+                    }
+                });
+            });
+        }
+
+        return shifts.map(shift => alphabet[shift]).join('');
+    }
+
+    /**
+     * Reduce a key made of a repeated block to that block ("ABCABC" → "ABC")
+     *
+     * @param {string} key - Key to reduce
+     * @returns {string} - Shortest equivalent key
+     */
+    function reduceRepeatedKey(key) {
+        for (let length = 1; length < key.length; length++) {
+            if (key.length % length === 0 && key.substring(0, length).repeat(key.length / length) === key) {
+                return key.substring(0, length);
+            }
+        }
+        return key;
+    }
+
+    /**
+     * Map every letter x to −x mod the alphabet size (A stays A, B↔Z, C↔Y, ...), preserving case
+     * 
+     * @param {string} text - Text to negate
+     * @returns {string} - Negated text
+     */
+    function caesarNegate(text) {
+        const alphabet = getLanguage().alphabet;
+        return text.split('').map(char => {
+            const code = letterIndex(char);
+            return code >= 0 ? matchCase(char, alphabet[(alphabet.length - code) % alphabet.length]) : char;
+        }).join('');
+    }
+
+    /**
+     * Monoalphabetic Substitution Cipher Implementation
+     * Every plaintext letter is replaced by the letter at the same position of
+     * a scrambled cipher alphabet (the key, e.g. 26 letters for A–Z)
+     * Time Complexity: O(n) where n is the length of input text
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {string} key - Cipher alphabet: every letter of the current alphabet exactly once
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {string} - Processed text
+     */
+    function substitutionCipher(text, key, decrypt = false) {
+        const alphabet = getLanguage().alphabet;
+        key = key.toUpperCase();
+        
+        if (!isValidSubstitutionKey(key)) {
+            throw new Error(`Substitution key must contain all ${alphabet.length} letters exactly once`);
+        }
+        
+        return text.split('').map(char => {
+            // Only process letters of the current alphabet
+            const code = letterIndex(char);
+            if (code >= 0) {
+                // Encryption looks up the plain letter's position in the key,
+                // decryption finds where the cipher letter sits in the key
+                const newChar = decrypt
+                    ? alphabet[key.indexOf(alphabet[code])]
+                    : key[code];
+                
+                return matchCase(char, newChar);
+            }
+            
+            // Return non-alphabetic characters unchanged
+            return char;
+        }).join('');
+    }
+
+    /**
+     * Check that a substitution key is a permutation of the alphabet
+     * 
+     * @param {string} key - Candidate cipher alphabet
+     * @returns {boolean} - Whether the key is usable
+     */
+    function isValidSubstitutionKey(key) {
+        const alphabet = getLanguage().alphabet;
+        return key.length === alphabet.length && new Set(key).size === alphabet.length &&
+            key.split('').every(char => alphabet.includes(char));
+    }
+
+    /**
+     * Build a substitution key from a keyword
+     * Keyword letters come first (duplicates removed), followed by the rest of the alphabet
+     * 
+     * @param {string} keyword - Keyword (non-letters are ignored)
+     * @returns {string} - Cipher alphabet as long as the current alphabet
+     */
+    function keywordSubstitutionKey(keyword) {
+        const letters = extractLetters(keyword) + getLanguage().alphabet;
+        return [...new Set(letters)].join('');
+    }
+
+    /**
+     * Build a random substitution key (Fisher-Yates shuffle of the alphabet)
+     * 
+     * @returns {string} - Cipher alphabet as long as the current alphabet
+     */
+    function randomSubstitutionKey() {
+        const letters = getLanguage().alphabet.split('');
+        for (let i = letters.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [letters[i], letters[j]] = [letters[j], letters[i]];
+        }
+        return letters.join('');
+    }
+
+    /**
+     * Automatic Substitution Solver
+     * Random-restart hill climbing: start from a random key, keep swapping pairs
+     * of letters while the quadgram score improves, and repeat from new random
+     * keys to escape local maxima
+     * 
+     * @param {string} ciphertext - Encrypted text to attack
+     * @param {Object} options - Solver options
+     * @param {number} options.restarts - Number of random starting keys (default: 20)
+     * @param {Object} options.locked - Fixed mappings {cipherLetter: plainLetter} that are never swapped
+     * @param {Function} options.onProgress - Optional callback(done, total) after each restart
+     * @returns {Object|null} - Best {key, plaintext, score} found (null if text is too short)
+     */
+    function crackSubstitution(ciphertext, options = {}) {
+        const { restarts = 20, locked = {}, onProgress = null } = options;
+        const alphabet = getLanguage().alphabet;
+        const size = alphabet.length;
+        const letters = extractLetters(ciphertext).split('').map(char => alphabet.indexOf(char));
+        
+        if (letters.length < 4) return null;
+        
+        // Decryption mapping: mapping[cipher letter] = plain letter
+        const lockedPlain = new Array(size).fill(-1);
+        for (const [cipherLetter, plainLetter] of Object.entries(locked)) {
+            lockedPlain[letterIndex(cipherLetter)] = letterIndex(plainLetter);
+        }
+        
+        const usedPlain = lockedPlain.filter(plain => plain >= 0);
+        if (new Set(usedPlain).size !== usedPlain.length) {
+            throw new Error('Two cipher letters are locked to the same plaintext letter');
+        }
+        
+        const swappable = [];
+        for (let i = 0; i < size; i++) {
+            if (lockedPlain[i] < 0) swappable.push(i);
+        }
+        const freePlain = [...Array(size).keys()].filter(plain => !usedPlain.includes(plain));
+        
+        const table = getQuadgramTable();
+        let best = null;
+        
+        for (let restart = 0; restart < restarts; restart++) {
+            // Random starting mapping that respects the locked letters
+            const mapping = lockedPlain.slice();
+            const shuffled = freePlain.slice().sort(() => Math.random() - 0.5);
+            swappable.forEach((cipher, index) => { mapping[cipher] = shuffled[index]; });
+            
+            const score = climbSubstitution(letters, mapping, swappable, table, size);
+            if (!best || score > best.score) {
+                best = { mapping: mapping, score: score };
+            }
+            if (onProgress) onProgress(restart + 1, restarts);
+        }
+        
+        // Turn the decryption mapping into an encryption key (plain → cipher)
+        const key = new Array(size);
+        best.mapping.forEach((plain, cipher) => { key[plain] = alphabet[cipher]; });
+        
+        return {
+            key: key.join(''),
+            plaintext: substitutionCipher(ciphertext, key.join(''), true),
+            score: best.score / (letters.length - 3)
+        };
+    }
+
+    /**
+     * Hill climb one substitution mapping in place
+     * Tries every swap of two unlocked cipher letters until no swap helps
+     * 
+     * @param {Array} letters - Ciphertext as alphabet indices
+     * @param {Array} mapping - Decryption mapping, modified in place
+     * @param {Array} swappable - Cipher letters that may be swapped
+     * @param {Float64Array} table - Quadgram log probabilities
+     * @param {number} size - Alphabet size the table was built for
+     * @returns {number} - Total quadgram log probability of the final mapping
+     */
+    function climbSubstitution(letters, mapping, swappable, table, size) {
+        let score = quadgramTableScore(letters, mapping, table, size);
+        let improved = true;
+        
+        while (improved) {
+            improved = false;
+            for (let i = 0; i < swappable.length; i++) {
+                for (let j = i + 1; j < swappable.length; j++) {
+                    const a = swappable[i];
+                    const b = swappable[j];
+                    [mapping[a], mapping[b]] = [mapping[b], mapping[a]];
+                    
+                    const candidate = quadgramTableScore(letters, mapping, table, size);
+                    if (candidate > score) {
+                        score = candidate;
+                        improved = true;
+                    } else {
+                        // Undo the swap
+                        [mapping[a], mapping[b]] = [mapping[b], mapping[a]];
+                    }
+                }
+            }
+        }
+        
+        return score;
+    }
+
+    /**
+     * Total quadgram log probability of ciphertext decrypted with a mapping
+     * 
+     * @param {Array} letters - Ciphertext as alphabet indices
+     * @param {Array} mapping - Decryption mapping
+     * @param {Float64Array} table - Quadgram log probabilities
+     * @param {number} size - Alphabet size the table was built for
+     * @returns {number} - Sum of log10 probabilities
+     */
+    function quadgramTableScore(letters, mapping, table, size) {
+        let score = 0;
+        for (let i = 0; i + 3 < letters.length; i++) {
+            score += table[((mapping[letters[i]] * size + mapping[letters[i + 1]]) * size + mapping[letters[i + 2]]) * size + mapping[letters[i + 3]]];
+        }
+        return score;
+    }
+
+    /**
+     * Lookup table of every quadgram's log probability in the current language,
+     * built on first use. Hill climbing scores thousands of keys, far too many for string lookups
+     * 
+     * @returns {Float64Array} - size⁴ log10 probabilities indexed by alphabet positions
+     */
+    function getQuadgramTable() {
+        const tables = getQuadgramTable.tables || (getQuadgramTable.tables = {});
+        
+        if (!tables[currentLanguage]) {
+            const language = getLanguage();
+            const alphabet = language.alphabet;
+            const size = alphabet.length;
+            
+            // Same estimate as quadgramLogProbability, but built from numeric
+            // bigram and trigram tables instead of size⁴ string lookups
+            const bigrams = new Float64Array(size * size);
+            for (let index = 0; index < bigrams.length; index++) {
+                bigrams[index] = bigramLogProbability(alphabet[Math.floor(index / size)] + alphabet[index % size]);
+            }
+            
+            const trigrams = new Float64Array(size * size * size);
+            for (let index = 0; index < trigrams.length; index++) {
+                trigrams[index] = trigramLogProbability(alphabet[Math.floor(index / (size * size))] +
+                    alphabet[Math.floor(index / size) % size] + alphabet[index % size]);
+            }
+            
+            const table = new Float64Array(size * size * size * size);
+            for (let index = 0; index < table.length; index++) {
+                const estimate = trigrams[Math.floor(index / size)] + trigrams[index % trigrams.length] -
+                    bigrams[Math.floor(index / size) % bigrams.length];
+                table[index] = Math.min(estimate, language.quadgramFloor);
+            }
+            
+            for (const [quadgram, count] of Object.entries(language.quadgrams)) {
+                const index = quadgram.split('').reduce((sum, char) => sum * size + alphabet.indexOf(char), 0);
+                table[index] = Math.log10(count / 100000);
+            }
+            
+            tables[currentLanguage] = table;
+        }
+        return tables[currentLanguage];
+    }
+
+    /**
+     * Modular multiplicative inverse using the extended Euclidean algorithm
+     * 
+     * @param {number} a - Number to invert
+     * @param {number} m - Modulus
+     * @returns {number|null} - x with (a · x) mod m = 1, or null if a and m are not coprime
+     */
+    function modInverse(a, m) {
+        let [oldR, r] = [((a % m) + m) % m, m];
+        let [oldS, s] = [1, 0];
+        
+        while (r !== 0) {
+            const quotient = Math.floor(oldR / r);
+            [oldR, r] = [r, oldR - quotient * r];
+            [oldS, s] = [s, oldS - quotient * s];
+        }
+        
+        return oldR === 1 ? ((oldS % m) + m) % m : null;
+    }
+
+    /**
+     * Multipliers coprime to the alphabet size, the only invertible affine choices
+     * (1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25 for 26 letters)
+     * 
+     * @param {number} size - Alphabet size (default: current alphabet)
+     * @returns {Array} - Valid multipliers in increasing order
+     */
+    function affineMultipliers(size = getLanguage().alphabet.length) {
+        return [...Array(size).keys()].filter(a => a > 0 && gcd(a, size) === 1);
+    }
+
+    /**
+     * Affine Cipher Implementation
+     * Generalizes Caesar by multiplying before shifting: E(x) = (a·x + b) mod m
+     * Decryption uses the modular inverse of a: D(x) = a⁻¹(x - b) mod m,
+     * where m is the alphabet size (26 for A–Z)
+     * Time Complexity: O(n) where n is the length of input text
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {number} a - Multiplier, must be coprime to the alphabet size
+     * @param {number} b - Shift value (0 to m - 1)
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {string} - Processed text
+     */
+    function affineCipher(text, a, b, decrypt = false) {
+        const alphabet = getLanguage().alphabet;
+        const size = alphabet.length;
+        a = parseInt(a);
+        b = parseInt(b);
+        
+        // Only multipliers coprime to the alphabet size give a reversible mapping
+        if (isNaN(a) || isNaN(b) || gcd(((a % size) + size) % size, size) !== 1) {
+            throw new Error(`Multiplier a = ${a} is not coprime to ${size}, so the cipher cannot be decrypted`);
+        }
+        
+        const aInverse = modInverse(a, size);
+        
+        return text.split('').map(char => {
+            // Only process letters of the current alphabet
+            const code = letterIndex(char);
+            if (code >= 0) {
+                const shifted = decrypt
+                    ? (((aInverse * (code - b)) % size) + size) % size
+                    : (((a * code + b) % size) + size) % size;
+                
+                // Convert back to character, preserving original case
+                return matchCase(char, alphabet[shifted]);
+            }
+            
+            // Return non-alphabetic characters unchanged
+            return char;
+        }).join('');
+    }
+
+    /**
+     * Brute Force Attack for Affine Cipher
+     * Tries every valid multiplier with every shift (12 × 26 = 312 keys for A–Z);
+     * same result format as bruteForceCaesar
+     * 
+     * @param {string} ciphertext - Text to attack
+     * @param {string} method - Scoring method name from SCORING_METHODS (default: quadgram)
+     * @param {Function} onProgress - Optional callback(done, total) after each key
+     * @returns {Array} - Array of all possible decryptions {a, b, text, method, score}, most English-like first
+     */
+    function bruteForceAffine(ciphertext, method = DEFAULT_SCORING_METHOD, onProgress = null) {
+        const results = [];
+        
+        const size = getLanguage().alphabet.length;
+        const multipliers = affineMultipliers(size);
+        
+        multipliers.forEach(a => {
+            for (let b = 0; b < size; b++) {
+                const decrypted = affineCipher(ciphertext, a, b, true);
+                results.push({
+                    a: a,
+                    b: b,
+                    text: decrypted,
+                    method: method,
+                    score: scoreText(decrypted, method)
+                });
+                if (onProgress) onProgress(results.length, multipliers.length * size);
+            }
+        });
+        
+        // Sort by fitness score (highest first)
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Apply a transposition to the letters of a text
+     * Letters are rearranged, while spaces and punctuation stay at their
+     * original positions so the result keeps the layout of the input
+     * 
+     * @param {string} text - Input text
+     * @param {Array} order - order[k] = index of the plaintext letter placed at ciphertext position k
+     * @param {boolean} decrypt - Whether to apply the inverse permutation
+     * @returns {string} - Processed text
+     */
+    function applyTransposition(text, order, decrypt) {
+        const letters = text.split('').filter(isLetter);
+        const moved = new Array(letters.length);
+        
+        order.forEach((source, position) => {
+            if (decrypt) {
+                moved[source] = letters[position];
+            } else {
+                moved[position] = letters[source];
+            }
+        });
+        
+        let index = 0;
+        return text.split('').map(char => isLetter(char) ? moved[index++] : char).join('');
+    }
+
+    /**
+     * Reading order of the rail fence zigzag
+     * 
+     * @param {number} length - Number of letters
+     * @param {number} rails - Number of rails
+     * @returns {Array} - Plaintext letter indices in ciphertext order
+     */
+    function railFenceOrder(length, rails) {
+        const railContents = Array.from({ length: rails }, () => []);
+        const cycle = 2 * (rails - 1);
+        
+        for (let i = 0; i < length; i++) {
+            // Position in the down-and-up cycle decides the rail
+            const step = i % cycle;
+            railContents[step < rails ? step : cycle - step].push(i);
+        }
+        
+        return [].concat(...railContents);
+    }
+
+    /**
+     * Rail Fence Cipher Implementation
+     * Writes the letters in a zigzag across a number of rails and reads them off rail by rail
+     * Time Complexity: O(n) where n is the length of input text
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {number} rails - Number of rails (2 or more)
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {string} - Processed text
+     */
+    function railFenceCipher(text, rails, decrypt = false) {
+        rails = parseInt(rails);
+        if (isNaN(rails) || rails < 2) {
+            throw new Error('Rail fence needs at least 2 rails');
+        }
+        
+        const length = extractLetters(text).length;
+        return applyTransposition(text, railFenceOrder(length, rails), decrypt);
+    }
+
+    /**
+     * Column reading order for a columnar transposition key
+     * Columns are read in alphabetical order of the key characters,
+     * equal characters from left to right ("ZEBRAS" → 5, 2, 1, 3, 0, 4)
+     * 
+     * @param {string} key - Keyword or digit string such as "3142"
+     * @returns {Array} - Column indices in reading order
+     */
+    function columnOrder(key) {
+        requireLatinKey(key, 'Transposition key');
+        const chars = key.toUpperCase().replace(/[^A-Z0-9]/g, '').split('');
+        return chars
+            .map((char, index) => ({ char, index }))
+            .sort((a, b) => a.char < b.char ? -1 : a.char > b.char ? 1 : a.index - b.index)
+            .map(entry => entry.index);
+    }
+
+    /**
+     * Reading order of a columnar transposition grid
+     * 
+     * @param {number} length - Number of letters
+     * @param {Array} readOrder - Column indices in reading order
+     * @returns {Array} - Plaintext letter indices in ciphertext order
+     */
+    function columnarOrder(length, readOrder) {
+        const order = [];
+        readOrder.forEach(column => {
+            for (let i = column; i < length; i += readOrder.length) {
+                order.push(i);
+            }
+        });
+        return order;
+    }
+
+    /**
+     * Keyed Columnar Transposition Implementation
+     * Writes the letters row by row under the key and reads them off column by
+     * column in alphabetical key order (incomplete last row, no padding)
+     * Time Complexity: O(n) where n is the length of input text
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {string} key - Keyword or digit string (at least 2 characters)
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {string} - Processed text
+     */
+    function columnarCipher(text, key, decrypt = false) {
+        const readOrder = columnOrder(key);
+        if (readOrder.length < 2) {
+            throw new Error('Columnar transposition needs a key of at least 2 letters or digits');
+        }
+        
+        const length = extractLetters(text).length;
+        return applyTransposition(text, columnarOrder(length, readOrder), decrypt);
+    }
+
+    /**
+     * Double Transposition Implementation
+     * Two columnar transpositions in a row; decryption undoes them in reverse order
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {string} key1 - Key for the first transposition
+     * @param {string} key2 - Key for the second transposition
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {string} - Processed text
+     */
+    function doubleTranspositionCipher(text, key1, key2, decrypt = false) {
+        return decrypt
+            ? columnarCipher(columnarCipher(text, key2, true), key1, true)
+            : columnarCipher(columnarCipher(text, key1), key2);
+    }
+
+    /**
+     * Brute Force Attack for Rail Fence Cipher
+     * Tries every rail count; same result format as bruteForceCaesar
+     * 
+     * @param {string} ciphertext - Text to attack
+     * @param {string} method - Scoring method name from SCORING_METHODS (default: quadgram)
+     * @param {Function} onProgress - Optional callback(done, total) after each rail count
+     * @returns {Array} - Array of all decryptions {rails, text, method, score}, most English-like first
+     */
+    function crackRailFence(ciphertext, method = DEFAULT_SCORING_METHOD, onProgress = null) {
+        const length = extractLetters(ciphertext).length;
+        const maxRails = Math.min(length, 21);
+        const results = [];
+        
+        for (let rails = 2; rails < maxRails; rails++) {
+            const decrypted = railFenceCipher(ciphertext, rails, true);
+            results.push({
+                rails: rails,
+                text: decrypted,
+                method: method,
+                score: scoreText(decrypted, method)
+            });
+            if (onProgress) onProgress(rails - 1, maxRails - 2);
+        }
+        
+        // Sort by fitness score (highest first)
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Anagramming Attack for Columnar Transposition
+     * Tries every column order for every width up to maxColumns and scores the
+     * rearranged letters with quadgrams (there are width! orders per width)
+     * 
+     * @param {string} ciphertext - Text to attack
+     * @param {number} maxColumns - Widest grid to try (default: 7, i.e. 5,913 orders in total)
+     * @param {number} maxResults - Number of candidates to return (default: 10)
+     * @param {Function} onProgress - Optional callback(done, total) after each column order
+     * @returns {Array} - Candidates {key, columns, text, method, score}, best first
+     */
+    function crackColumnar(ciphertext, maxColumns = 7, maxResults = 10, onProgress = null) {
+        const alphabet = getLanguage().alphabet;
+        const size = alphabet.length;
+        const letters = extractLetters(ciphertext).split('').map(char => alphabet.indexOf(char));
+        if (letters.length < 4) return [];
+        
+        const table = getQuadgramTable();
+        const identity = [...Array(size).keys()];
+        const candidates = [];
+        
+        // Progress counts column orders, since width w alone has w! of them
+        const widest = Math.min(maxColumns, letters.length - 1);
+        let orders = 0;
+        let totalOrders = 0;
+        for (let columns = 2, count = 1; columns <= widest; columns++) {
+            count *= columns;
+            totalOrders += count;
+        }
+        
+        for (let columns = 2; columns <= widest; columns++) {
+            permutations([...Array(columns).keys()]).forEach(readOrder => {
+                // Undo the transposition on letter indices, then score with the quadgram table
+                const order = columnarOrder(letters.length, readOrder);
+                const plain = new Array(letters.length);
+                order.forEach((source, position) => { plain[source] = letters[position]; });
+                
+                candidates.push({ readOrder, score: quadgramTableScore(plain, identity, table, size) / (letters.length - 3) });
+                if (onProgress) onProgress(++orders, totalOrders);
+            });
+        }
+        
+        return candidates
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxResults)
+            .map(candidate => {
+                // Digit key that reproduces this reading order with columnarCipher
+                const key = candidate.readOrder.map((column, rank) => ({ column, rank }))
+                    .sort((a, b) => a.column - b.column)
+                    .map(entry => entry.rank + 1)
+                    .join('');
+                
+                return {
+                    key: key,
+                    columns: candidate.readOrder.length,
+                    text: applyTransposition(ciphertext, columnarOrder(letters.length, candidate.readOrder), true),
+                    method: 'quadgram',
+                    score: candidate.score
+                };
+            });
+    }
+
+    /**
+     * All orderings of an array
+     * 
+     * @param {Array} items - Items to permute
+     * @returns {Array} - Array of permutations
+     */
+    function permutations(items) {
+        if (items.length <= 1) return [items];
+        
+        const result = [];
+        items.forEach((item, index) => {
+            const rest = items.slice(0, index).concat(items.slice(index + 1));
+            permutations(rest).forEach(permutation => result.push([item].concat(permutation)));
+        });
+        return result;
+    }
+
+    /**
+     * Check whether a text's letter frequencies already match the current language
+     * Transposition only moves letters around, so its ciphertext keeps
+     * plaintext frequencies and a plaintext-level Index of Coincidence
+     * 
+     * @param {string} text - Text to check
+     * @returns {boolean} - Whether the letters look like plaintext
+     */
+    function hasPlaintextFrequencies(text) {
+        const total = extractLetters(text).length;
+        if (total < 20) return false;
+        
+        // Most of the way from random to plaintext IC (≈ 0.055 for English)
+        const language = getLanguage();
+        const randomIC = 1 / language.alphabet.length;
+        return indexOfCoincidence(text) > randomIC + 0.6 * (language.ic - randomIC) && chiSquared(text) / total < 1.5;
+    }
+
+    /**
+     * Build the Playfair 5×5 key square
+     * Key letters first (duplicates removed, J merged into I), then the rest of the alphabet
+     * 
+     * @param {string} key - Keyword (non-letters are ignored)
+     * @returns {string} - 25 letters, row by row
+     */
+    function playfairKeySquare(key) {
+        requireLatinKey(key, 'Playfair key');
+        const letters = (key.toUpperCase().replace(/[^A-Z]/g, '') + ALPHABET).replace(/J/g, 'I');
+        return [...new Set(letters)].join('');
+    }
+
+    /**
+     * Split text into Playfair digraphs
+     * J becomes I, an X separates doubled letters within a pair (Q if the
+     * letter is X itself), and an odd final letter is padded the same way
+     * 
+     * @param {string} text - Input text
+     * @returns {Array} - Two-letter strings
+     */
+    function playfairDigraphs(text) {
+        const letters = text.toUpperCase().replace(/[^A-Z]/g, '').replace(/J/g, 'I');
+        const digraphs = [];
+        
+        let i = 0;
+        while (i < letters.length) {
+            const first = letters[i];
+            const second = letters[i + 1];
+            const filler = first === 'X' ? 'Q' : 'X';
+            
+            if (!second || second === first) {
+                // Doubled letter or odd length: insert a filler and re-use the second letter
+                digraphs.push(first + filler);
+                i++;
+            } else {
+                digraphs.push(first + second);
+                i += 2;
+            }
+        }
+        
+        return digraphs;
+    }
+
+    /**
+     * Playfair step-by-step trace
+     * Describes which rule (same row, same column or rectangle) transforms each digraph
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {string} key - Keyword
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {Array} - Steps {input, output, rule, from, to} with [row, column] positions
+     */
+    function playfairSteps(text, key, decrypt = false) {
+        const square = playfairKeySquare(key);
+        const shift = decrypt ? 4 : 1; // +1 or -1 (mod 5) along a row/column
+        
+        let digraphs;
+        if (decrypt) {
+            // Ciphertext is already made of valid digraphs
+            const letters = text.toUpperCase().replace(/[^A-Z]/g, '').replace(/J/g, 'I');
+            if (letters.length % 2 !== 0) {
+                throw new Error('Playfair ciphertext must have an even number of letters');
+            }
+            digraphs = letters.match(/../g) || [];
+        } else {
+            digraphs = playfairDigraphs(text);
+        }
+        
+        return digraphs.map(pair => {
+            const a = square.indexOf(pair[0]);
+            const b = square.indexOf(pair[1]);
+            const [rowA, colA] = [Math.floor(a / 5), a % 5];
+            const [rowB, colB] = [Math.floor(b / 5), b % 5];
+            
+            let rule;
+            let to;
+            if (rowA === rowB) {
+                // Same row: take the letter to the right (left when decrypting)
+                rule = 'row';
+                to = [[rowA, (colA + shift) % 5], [rowB, (colB + shift) % 5]];
+            } else if (colA === colB) {
+                // Same column: take the letter below (above when decrypting)
+                rule = 'column';
+                to = [[(rowA + shift) % 5, colA], [(rowB + shift) % 5, colB]];
+            } else {
+                // Rectangle: swap columns, staying in the same row
+                rule = 'rectangle';
+                to = [[rowA, colB], [rowB, colA]];
+            }
+            
+            return {
+                input: pair,
+                output: square[to[0][0] * 5 + to[0][1]] + square[to[1][0] * 5 + to[1][1]],
+                rule: rule,
+                from: [[rowA, colA], [rowB, colB]],
+                to: to
+            };
+        });
+    }
+
+    /**
+     * Playfair Cipher Implementation
+     * Digraph substitution using a 5×5 key square (I and J share a cell)
+     * Time Complexity: O(n) where n is the length of input text
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {string} key - Keyword
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {string} - Uppercase letters only; fillers (X/Q) remain after decryption
+     */
+    function playfairCipher(text, key, decrypt = false) {
+        return playfairSteps(text, key, decrypt).map(step => step.output).join('');
+    }
+
+    /**
+     * Parse a Hill cipher key into a square matrix
+     * Accepts a keyword of 4 or 9 letters ("HILL", "GYBNQKURP") or the same
+     * number of integers ("3 3 2 5"), filled in row by row
+     * 
+     * @param {string|Array} key - Keyword, number list or an existing matrix
+     * @returns {Array} - 2×2 or 3×3 matrix of values 0-25
+     */
+    function parseHillKey(key) {
+        if (Array.isArray(key)) return key;
+        requireLatinKey(key, 'Hill key');
+        
+        const values = /\d/.test(key)
+            ? (key.match(/-?\d+/g) || []).map(value => ((parseInt(value) % 26) + 26) % 26)
+            : key.toUpperCase().replace(/[^A-Z]/g, '').split('').map(char => char.charCodeAt(0) - 65);
+        
+        if (values.length !== 4 && values.length !== 9) {
+            throw new Error(`Hill key needs 4 values (2×2) or 9 values (3×3), got ${values.length}`);
+        }
+        
+        const size = values.length === 4 ? 2 : 3;
+        return Array.from({ length: size }, (_, row) => values.slice(row * size, row * size + size));
+    }
+
+    /**
+     * Determinant of a 2×2 or 3×3 matrix, reduced mod 26
+     * 
+     * @param {Array} matrix - Square matrix
+     * @returns {number} - Determinant (0-25)
+     */
+    function matrixDeterminant(matrix) {
+        let det;
+        if (matrix.length === 2) {
+            det = matrix[0][0] * matrix[1][1] - matrix[0][1] * matrix[1][0];
+        } else {
+            const [[a, b, c], [d, e, f], [g, h, i]] = matrix;
+            det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+        }
+        return ((det % 26) + 26) % 26;
+    }
+
+    /**
+     * Inverse of a key matrix mod 26 (adjugate times the inverse determinant)
+     * 
+     * @param {Array} matrix - 2×2 or 3×3 matrix
+     * @returns {Array} - Inverse matrix mod 26
+     */
+    function matrixInverseMod26(matrix) {
+        const det = matrixDeterminant(matrix);
+        const detInverse = modInverse(det, 26);
+        
+        if (detInverse === null) {
+            const reason = det === 0 ? 'is 0' : `shares the factor ${gcd(det, 26)} with 26`;
+            throw new Error(`Key matrix is not invertible mod 26: its determinant ${det} ${reason}`);
+        }
+        
+        const size = matrix.length;
+        const minor = (row, col) => matrix
+            .filter((_, r) => r !== row)
+            .map(values => values.filter((_, c) => c !== col));
+        
+        // inverse[i][j] = det⁻¹ · (-1)^(i+j) · minor(j, i)
+        return Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => {
+            const cofactor = size === 2
+                ? (i === j ? matrix[1 - i][1 - j] : -matrix[i][j])
+                : Math.pow(-1, i + j) * matrixDeterminant(minor(j, i));
+            return (((cofactor * detInverse) % 26) + 26) % 26;
+        }));
+    }
+
+    /**
+     * Multiply a matrix by a column vector mod 26
+     * 
+     * @param {Array} matrix - Square matrix
+     * @param {Array} vector - Column vector
+     * @returns {Array} - Resulting vector
+     */
+    function multiplyMatrixVector(matrix, vector) {
+        return matrix.map(row => row.reduce((sum, value, i) => sum + value * vector[i], 0) % 26);
+    }
+
+    /**
+     * Hill cipher step-by-step trace
+     * Each block of n letters becomes a column vector that is multiplied by the key matrix
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {string|Array} key - Key (see parseHillKey)
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {Object} - {matrix, steps: [{input, vector, result, output}]}; matrix is the one applied
+     */
+    function hillSteps(text, key, decrypt = false) {
+        const keyMatrix = parseHillKey(key);
+        
+        // Validate invertibility even when encrypting: a singular key cannot be decrypted
+        const inverse = matrixInverseMod26(keyMatrix);
+        const matrix = decrypt ? inverse : keyMatrix;
+        const size = matrix.length;
+        
+        // Pad the last block with X so every block is complete
+        let letters = text.toUpperCase().replace(/[^A-Z]/g, '');
+        while (letters.length % size !== 0) letters += 'X';
+        
+        const steps = [];
+        for (let i = 0; i < letters.length; i += size) {
+            const block = letters.substring(i, i + size);
+            const vector = block.split('').map(char => char.charCodeAt(0) - 65);
+            const result = multiplyMatrixVector(matrix, vector);
+            steps.push({
+                input: block,
+                vector: vector,
+                result: result,
+                output: result.map(value => ALPHABET[value]).join('')
+            });
+        }
+        
+        return { matrix: matrix, steps: steps };
+    }
+
+    /**
+     * Hill Cipher Implementation
+     * Polygraphic substitution: c = K · p mod 26 for each block p of 2 or 3 letters
+     * Time Complexity: O(n·m²) for n letters and an m×m key
+     * 
+     * @param {string} text - Input text to encrypt/decrypt
+     * @param {string|Array} key - Key (see parseHillKey), must be invertible mod 26
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {string} - Uppercase letters only (padded with X to a whole block)
+     */
+    function hillCipher(text, key, decrypt = false) {
+        return hillSteps(text, key, decrypt).steps.map(step => step.output).join('');
+    }
+
+    /**
+     * Known-Plaintext Attack for Hill Cipher
+     * With n plaintext blocks forming an invertible matrix P and their ciphertext
+     * blocks C, the key follows from C = K · P as K = C · P⁻¹ (mod 26)
+     * 
+     * @param {string} plaintext - Known plaintext (crib)
+     * @param {string} ciphertext - Ciphertext aligned with the crib from its first letter
+     * @param {number} size - Key size, 2 or 3
+     * @returns {Object} - {matrix, blocks} with the recovered key and the block positions used
+     */
+    function crackHill(plaintext, ciphertext, size) {
+        const plain = plaintext.toUpperCase().replace(/[^A-Z]/g, '');
+        const cipher = ciphertext.toUpperCase().replace(/[^A-Z]/g, '');
+        const blockCount = Math.floor(Math.min(plain.length, cipher.length) / size);
+        
+        if (blockCount < size) {
+            throw new Error(`Need at least ${size * size} aligned letters of plaintext and ciphertext for a ${size}×${size} key`);
+        }
+        
+        const vectorAt = (text, block) => text.substr(block * size, size).split('').map(char => char.charCodeAt(0) - 65);
+        
+        // Look for blocks whose plaintext vectors form an invertible matrix
+        const combinations = size === 2
+            ? [...Array(blockCount).keys()].flatMap(a => [...Array(blockCount).keys()].filter(b => b > a).map(b => [a, b]))
+            : [...Array(blockCount).keys()].flatMap(a => [...Array(blockCount).keys()].filter(b => b > a)
+                .flatMap(b => [...Array(blockCount).keys()].filter(c => c > b).map(c => [a, b, c])));
+        
+        for (const blocks of combinations) {
+            // Block vectors are the columns of P and C
+            const columnsToMatrix = vectors => vectors[0].map((_, row) => vectors.map(vector => vector[row]));
+            const P = columnsToMatrix(blocks.map(block => vectorAt(plain, block)));
+            
+            if (modInverse(matrixDeterminant(P), 26) === null) continue;
+            
+            const C = columnsToMatrix(blocks.map(block => vectorAt(cipher, block)));
+            const pInverse = matrixInverseMod26(P);
+            
+            // K = C · P⁻¹
+            const matrix = C.map(row => pInverse[0].map((_, col) =>
+                row.reduce((sum, value, k) => sum + value * pInverse[k][col], 0) % 26));
+            
+            return { matrix: matrix, blocks: blocks };
+        }
+        
+        throw new Error('No combination of crib blocks forms an invertible matrix mod 26; try a longer crib');
+    }
+
+    // Enigma I / M3 rotor wirings (entry A-Z) and the letter showing in the window at turnover
+    const ENIGMA_ROTORS = {
+        I: { wiring: 'EKMFLGDQVZNTOWYHXUSPAIBRCJ', notch: 'Q' },
+        II: { wiring: 'AJDKSIRUXBLHWTMCQGZNPYFVOE', notch: 'E' },
+        III: { wiring: 'BDFHJLCPRTXVZNYEIWGAKMUSQO', notch: 'V' },
+        IV: { wiring: 'ESOVPZJAYQUIRHXLNFTGKDCMWB', notch: 'J' },
+        V: { wiring: 'VZBRGITYUPSDNHLXAWMJQOFECK', notch: 'Z' }
+    };
+
+    const ENIGMA_REFLECTORS = {
+        B: 'YRUHQSLDPXNGOKMIEBFZCWVJAT',
+        C: 'FVPJIAOYEDRZXWGCTKUQSBNMHL'
+    };
+
+    /**
+     * Read three rotor letters or numbers ("AAA", "01 01 01", [1, 1, 1]) as 0-25 offsets
+     * 
+     * @param {string|Array} value - Letters A-Z or numbers 1-26, left to right
+     * @param {string} label - Setting name used in error messages
+     * @returns {Array} - Three offsets 0-25
+     */
+    function parseEnigmaTriple(value, label) {
+        const values = Array.isArray(value)
+            ? value.map(item => typeof item === 'number' ? item - 1 : ALPHABET.indexOf(String(item).toUpperCase()))
+            : /\d/.test(value)
+                ? (value.match(/\d+/g) || []).map(number => parseInt(number) - 1)
+                : value.toUpperCase().replace(/[^A-Z]/g, '').split('').map(char => char.charCodeAt(0) - 65);
+        
+        if (!Array.isArray(value)) requireLatinKey(value, label);
+        if (values.length !== 3 || values.some(offset => !(offset >= 0 && offset < 26))) {
+            throw new Error(`${label} needs three letters A-Z or numbers 1-26`);
+        }
+        return values;
+    }
+
+    /**
+     * Parse plugboard pairs ("AB CD EF") into a symmetric swap table
+     * 
+     * @param {string} pairs - Space-separated letter pairs
+     * @returns {Array} - plugboard[i] is the letter index that i is wired to
+     */
+    function parsePlugboard(pairs) {
+        requireLatinKey(pairs || '', 'Plugboard');
+        const plugboard = [...Array(26).keys()];
+        const tokens = (pairs || '').toUpperCase().split(/[^A-Z]+/).filter(Boolean);
+        
+        for (const token of tokens) {
+            if (token.length !== 2 || token[0] === token[1]) {
+                throw new Error(`Plugboard pair "${token}" must join two different letters`);
+            }
+            const [a, b] = token.split('').map(char => char.charCodeAt(0) - 65);
+            if (plugboard[a] !== a || plugboard[b] !== b) {
+                const used = plugboard[a] !== a ? token[0] : token[1];
+                throw new Error(`Plugboard letter ${used} is already plugged`);
+            }
+            plugboard[a] = b;
+            plugboard[b] = a;
+        }
+        
+        return plugboard;
+    }
+
+    /**
+     * Validate and normalize Enigma settings
+     * 
+     * @param {Object} settings - {rotors, reflector, rings, positions, plugboard}
+     * @returns {Object} - {rotors, reflector, rings, positions, plugboard} ready for enigmaSteps
+     */
+    function normalizeEnigmaSettings(settings = {}) {
+        const rotorNames = settings.rotors || ['I', 'II', 'III'];
+        const reflectorName = settings.reflector || 'B';
+        
+        if (rotorNames.length !== 3 || rotorNames.some(name => !ENIGMA_ROTORS[name])) {
+            throw new Error('Choose three rotors from I, II, III, IV and V');
+        }
+        if (new Set(rotorNames).size !== 3) {
+            throw new Error('Each rotor can only be used once');
+        }
+        if (!ENIGMA_REFLECTORS[reflectorName]) {
+            throw new Error(`Unknown reflector ${reflectorName}; use B or C`);
+        }
+        
+        return {
+            rotors: rotorNames.map(name => ({ name: name, ...ENIGMA_ROTORS[name] })),
+            reflector: reflectorName,
+            rings: parseEnigmaTriple(settings.rings || 'AAA', 'Ring setting'),
+            positions: parseEnigmaTriple(settings.positions || 'AAA', 'Start position'),
+            plugboard: parsePlugboard(settings.plugboard)
+        };
+    }
+
+    /**
+     * Enigma step-by-step trace
+     * Before each key press the rotors step (the middle rotor double-steps), then the
+     * current flows plugboard → right, middle, left rotor → reflector → back out → plugboard
+     * 
+     * @param {string} text - Input text; letters are enciphered, everything else is skipped
+     * @param {Object} settings - {rotors: ['I','II','III'] left to right, reflector: 'B'|'C',
+     *                            rings: 'AAA' or [1, 1, 1], positions: 'AAA', plugboard: 'AB CD'}
+     * @returns {Array} - [{input, output, positions, path}] where positions are the window letters
+     *                    after stepping and path lists the letter after each component
+     */
+    function enigmaSteps(text, settings = {}) {
+        const { rotors, reflector, rings, positions: start, plugboard } = normalizeEnigmaSettings(settings);
+        const positions = [...start];
+        const mod = value => ((value % 26) + 26) % 26;
+        
+        // Wire through one rotor, accounting for its rotation and ring setting
+        const throughRotor = (index, letter, backwards) => {
+            const shift = positions[index] - rings[index];
+            const wiring = rotors[index].wiring;
+            const contact = mod(letter + shift);
+            const wired = backwards ? wiring.indexOf(ALPHABET[contact]) : wiring.charCodeAt(contact) - 65;
+            return mod(wired - shift);
+        };
+        
+        const steps = [];
+        for (const char of text.toUpperCase()) {
+            if (!/[A-Z]/.test(char)) continue;
+            
+            // Stepping: a middle rotor at its notch turns itself and the left rotor (double step)
+            const atNotch = index => ALPHABET[positions[index]] === rotors[index].notch;
+            if (atNotch(1)) {
+                positions[0] = mod(positions[0] + 1);
+                positions[1] = mod(positions[1] + 1);
+            } else if (atNotch(2)) {
+                positions[1] = mod(positions[1] + 1);
+            }
+            positions[2] = mod(positions[2] + 1);
+            
+            const path = [];
+            let letter = plugboard[char.charCodeAt(0) - 65];
+            path.push(letter);
+            for (const index of [2, 1, 0]) {
+                letter = throughRotor(index, letter, false);
+                path.push(letter);
+            }
+            letter = ENIGMA_REFLECTORS[reflector].charCodeAt(letter) - 65;
+            path.push(letter);
+            for (const index of [0, 1, 2]) {
+                letter = throughRotor(index, letter, true);
+                path.push(letter);
+            }
+            letter = plugboard[letter];
+            path.push(letter);
+            
+            steps.push({
+                input: char,
+                output: ALPHABET[letter],
+                positions: positions.map(offset => ALPHABET[offset]).join(''),
+                path: path.map(offset => ALPHABET[offset])
+            });
+        }
+        
+        return steps;
+    }
+
+    /**
+     * Enigma I / M3 Implementation
+     * The machine is its own inverse, so the same settings encrypt and decrypt
+     * Time Complexity: O(n)
+     * 
+     * @param {string} text - Input text
+     * @param {Object} settings - Machine settings (see enigmaSteps)
+     * @returns {string} - Uppercase letters only
+     */
+    function enigma(text, settings = {}) {
+        return enigmaSteps(text, settings).map(step => step.output).join('');
+    }
+    
+    /**
+     * Indices of the characters of a text that pass a test, e.g. its letters
+     * 
+     * @param {string} text - Input text
+     * @param {Function} test - Character test (default: letter of the current alphabet)
+     * @returns {Array} - Character indices in text order
+     */
+    function letterPositions(text, test = isLetter) {
+        const positions = [];
+        text.split('').forEach((char, index) => {
+            if (test(char)) positions.push(index);
+        });
+        return positions;
+    }
+    
+    // Letters the A–Z-only ciphers (Playfair, Hill, Enigma) work on
+    const isLatinLetter = char => /[A-Za-z]/.test(char);
+    
+    /**
+     * Trace of a cipher that replaces every letter in place
+     * 
+     * @param {string} text - Input text
+     * @param {string} output - Cipher output with the same layout
+     * @param {Function} describe - (inputCode, outputCode, letterNumber) => {key, arithmetic}
+     * @returns {Object} - {output, steps}
+     */
+    function inPlaceTrace(text, output, describe) {
+        const alphabet = getLanguage().alphabet;
+        const steps = letterPositions(text).map((position, number) => {
+            const inputCode = letterIndex(text[position]);
+            const outputCode = letterIndex(output[position]);
+            return {
+                input: alphabet[inputCode],
+                ...describe(inputCode, outputCode, number),
+                output: alphabet[outputCode],
+                inputRange: [position, position + 1],
+                outputRange: [position, position + 1]
+            };
+        });
+        return { output: output, steps: steps };
+    }
+    
+    /**
+     * Trace of a transposition: one step per moved letter, in the order the
+     * output is written (ciphertext order when encrypting, plaintext order when decrypting)
+     * 
+     * @param {string} text - Input text
+     * @param {string} output - Cipher output with the same layout
+     * @param {Array} order - order[k] = plaintext letter at ciphertext position k
+     * @param {boolean} decrypt - Whether the text was decrypted
+     * @param {Function} describe - (plaintextIndex, ciphertextIndex) => key description
+     * @returns {Object} - {output, steps}
+     */
+    function transpositionTrace(text, output, order, decrypt, describe) {
+        const positions = letterPositions(text);
+        const moves = order.map((source, target) => ({ source, target }));
+        if (decrypt) moves.sort((a, b) => a.source - b.source);
+        
+        const steps = moves.map(({ source, target }) => {
+            const [from, to] = decrypt ? [positions[target], positions[source]] : [positions[source], positions[target]];
+            return {
+                input: text[from].toUpperCase(),
+                key: describe(source, target),
+                arithmetic: decrypt
+                    ? `ciphertext letter ${target + 1} → plaintext letter ${source + 1}`
+                    : `plaintext letter ${source + 1} → ciphertext letter ${target + 1}`,
+                output: output[to].toUpperCase(),
+                inputRange: [from, from + 1],
+                outputRange: [to, to + 1]
+            };
+        });
+        return { output: output, steps: steps };
+    }
+    
+    // A letter combined with its key letter, written as the sum or difference the variant uses
+    function combinationArithmetic(combine, textCode, keyCode, size, result) {
+        const probe = combine(3, 5);
+        const expression = probe === 8 ? `${textCode} + ${keyCode}`
+            : probe === 2 ? `${keyCode} - ${textCode}`
+            : `${textCode} - ${keyCode}`;
+        return `(${expression}) mod ${size} = ${result}`;
+    }
+    
+    // Step traces of every cipher, with the parameters of the matching PIPELINE_OPERATIONS entry
+    // (substitution takes the full cipher alphabet as key). Ranges index the input text and the
+    // output exactly as the page shows it: Playfair digraphs separated by spaces
+    const CIPHER_TRACES = {
+        caesar: (text, params, decrypt) => {
+            const shift = parseInt(params.shift);
+            const size = getLanguage().alphabet.length;
+            return inPlaceTrace(text, caesarCipher(text, shift, decrypt), (inputCode, outputCode) => ({
+                key: String(shift),
+                arithmetic: `(${inputCode} ${decrypt ? '-' : '+'} ${shift}) mod ${size} = ${outputCode}`
+            }));
+        },
+        vigenere: (text, params, decrypt) => {
+            const variant = params.variant || 'vigenere';
+            const cipher = VIGENERE_VARIANTS[variant];
+            const alphabet = getLanguage().alphabet;
+            const letters = vigenereSteps(text, params.key, decrypt, variant);
+            if (letters.length === 0) return { output: text, steps: [] };
+            
+            return inPlaceTrace(text, vigenereCipher(text, params.key, decrypt, variant), (inputCode, outputCode, number) => ({
+                key: letters[number].key,
+                arithmetic: combinationArithmetic(decrypt ? cipher.decrypt : cipher.encrypt,
+                    inputCode, alphabet.indexOf(letters[number].key), alphabet.length, outputCode)
+            }));
+        },
+        substitution: (text, params, decrypt) => {
+            const alphabet = getLanguage().alphabet;
+            const key = params.key.toUpperCase();
+            return inPlaceTrace(text, substitutionCipher(text, key, decrypt), (inputCode, outputCode) => decrypt
+                ? { key: alphabet[inputCode], arithmetic: `position of ${alphabet[inputCode]} in the key = ${outputCode}` }
+                : { key: key[inputCode], arithmetic: `key[${inputCode}] = ${key[inputCode]}` });
+        },
+        affine: (text, params, decrypt) => {
+            const a = parseInt(params.a);
+            const b = parseInt(params.b);
+            const size = getLanguage().alphabet.length;
+            const output = affineCipher(text, a, b, decrypt);
+            const aInverse = modInverse(a, size);
+            return inPlaceTrace(text, output, (inputCode, outputCode) => ({
+                key: `a=${a}, b=${b}`,
+                arithmetic: decrypt
+                    ? `${aInverse}·(${inputCode} - ${b}) mod ${size} = ${outputCode}`
+                    : `(${a}·${inputCode} + ${b}) mod ${size} = ${outputCode}`
+            }));
+        },
+        railfence: (text, params, decrypt) => {
+            const rails = parseInt(params.rails);
+            const output = railFenceCipher(text, rails, decrypt);
+            const cycle = 2 * (rails - 1);
+            const railOf = index => index % cycle < rails ? index % cycle : cycle - index % cycle;
+            return transpositionTrace(text, output, railFenceOrder(extractLetters(text).length, rails), decrypt,
+                source => `rail ${railOf(source) + 1}`);
+        },
+        columnar: (text, params, decrypt) => {
+            const output = columnarCipher(text, params.key, decrypt);
+            const keyChars = params.key.toUpperCase().replace(/[^A-Z0-9]/g, '');
+            const order = columnarOrder(extractLetters(text).length, columnOrder(params.key));
+            return transpositionTrace(text, output, order, decrypt, source => {
+                const column = source % keyChars.length;
+                return `column ${column + 1} (${keyChars[column]})`;
+            });
+        },
+        double: (text, params, decrypt) => {
+            const output = doubleTranspositionCipher(text, params.key1, params.key2, decrypt);
+            const length = extractLetters(text).length;
+            const columns1 = columnOrder(params.key1).length;
+            const columns2 = columnOrder(params.key2).length;
+            const first = columnarOrder(length, columnOrder(params.key1));
+            const second = columnarOrder(length, columnOrder(params.key2));
+            
+            // Ciphertext position k holds the letter the first pass put at second[k]
+            const order = second.map(middle => first[middle]);
+            return transpositionTrace(text, output, order, decrypt, (source, target) =>
+                `column ${source % columns1 + 1}, then column ${second[target] % columns2 + 1}`);
+        },
+        playfair: (text, params, decrypt) => {
+            const digraphs = playfairSteps(text, params.key, decrypt);
+            const positions = letterPositions(text, isLatinLetter);
+            const letters = text.toUpperCase().replace(/[^A-Z]/g, '').replace(/J/g, 'I');
+            const cell = ([row, col]) => `(${row + 1},${col + 1})`;
+            const rules = {
+                row: decrypt ? 'same row, letters to the left' : 'same row, letters to the right',
+                column: decrypt ? 'same column, letters above' : 'same column, letters below',
+                rectangle: 'rectangle, columns swapped'
+            };
+            
+            // Encryption pairs one letter with a filler when it is doubled or last
+            let next = 0;
+            const steps = digraphs.map((step, index) => {
+                const used = decrypt || (next + 1 < letters.length && letters[next + 1] !== letters[next]) ? 2 : 1;
+                const inputRange = [positions[next], positions[next + used - 1] + 1];
+                next += used;
+                return {
+                    input: step.input,
+                    key: rules[step.rule],
+                    arithmetic: `${step.input[0]}${cell(step.from[0])} ${step.input[1]}${cell(step.from[1])} → ` +
+                        `${step.output[0]}${cell(step.to[0])} ${step.output[1]}${cell(step.to[1])}`,
+                    output: step.output,
+                    inputRange: inputRange,
+                    outputRange: [index * 3, index * 3 + 2]
+                };
+            });
+            return { output: digraphs.map(step => step.output).join(' '), steps: steps };
+        },
+        hill: (text, params, decrypt) => {
+            const { matrix, steps: blocks } = hillSteps(text, params.key, decrypt);
+            const positions = letterPositions(text, isLatinLetter);
+            const size = matrix.length;
+            const keyText = matrix.map(row => row.join(' ')).join('; ');
+            
+            const steps = blocks.map((block, index) => {
+                // The last block may end in X padding that has no input position
+                const last = Math.min(index * size + size, positions.length) - 1;
+                return {
+                    input: block.input,
+                    key: `(${keyText})`,
+                    arithmetic: `(${matrix.map(row => row.map((value, i) => `${value}·${block.vector[i]}`).join(' + ')).join(', ')}) ` +
+                        `mod 26 = (${block.result.join(', ')})`,
+                    output: block.output,
+                    inputRange: [positions[index * size], positions[last] + 1],
+                    outputRange: [index * size, index * size + size]
+                };
+            });
+            return { output: blocks.map(block => block.output).join(''), steps: steps };
+        },
+        enigma: (text, params) => {
+            const presses = enigmaSteps(text, params);
+            const positions = letterPositions(text, isLatinLetter);
+            
+            const steps = presses.map((press, index) => {
+                const [plugIn, right, middle, left, reflected, left2, middle2, right2, plugOut] = press.path;
+                return {
+                    input: press.input,
+                    key: press.positions,
+                    arithmetic: `plugboard ${plugIn} → rotors ${right} ${middle} ${left} → ` +
+                        `reflector ${reflected} → rotors ${left2} ${middle2} ${right2} → plugboard ${plugOut}`,
+                    output: press.output,
+                    inputRange: [positions[index], positions[index] + 1],
+                    outputRange: [index, index + 1]
+                };
+            });
+            return { output: presses.map(press => press.output).join(''), steps: steps };
+        }
+    };
+    
+    /**
+     * Step-by-step trace of any cipher, for explanations and step-through players
+     * 
+     * @param {string} name - Cipher name from CIPHER_TRACES
+     * @param {string} text - Input text
+     * @param {Object} params - Cipher parameters (see CIPHER_TRACES)
+     * @param {boolean} decrypt - Whether to decrypt (default: false)
+     * @returns {Object} - {output, steps: [{input, key, arithmetic, output, inputRange, outputRange}]}
+     *                     with [start, end) character ranges into the input text and the output
+     */
+    function traceCipher(name, text, params, decrypt = false) {
+        const trace = CIPHER_TRACES[name];
+        if (!trace) {
+            throw new Error(`Unknown cipher: ${name}`);
+        }
+        return trace(text, params, decrypt);
+    }
+    
+    /**
+     * Base64 of the UTF-8 bytes of a text (decrypt reverses it)
+     * Not a cipher, but a common last stage of product-cipher demonstrations
+     * 
+     * @param {string} text - Text to encode or decode
+     * @param {boolean} decrypt - Whether to decode (default: false)
+     * @returns {string} - Encoded or decoded text
+     */
+    function base64Codec(text, decrypt = false) {
+        if (!decrypt) {
+            const bytes = new TextEncoder().encode(text);
+            return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+        }
+        
+        let binary;
+        try {
+            binary = atob(text.replace(/\s/g, ''));
+        } catch (error) {
+            throw new Error('Input is not valid Base64');
+        }
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+    
+    // Operations a pipeline can chain, each with its parameters and defaults.
+    // Parameter types: text, number or select (with options)
+    const PIPELINE_OPERATIONS = {
+        caesar: {
+            label: 'Caesar',
+            params: [{ name: 'shift', label: 'Shift', type: 'number', default: 3 }],
+            apply: (text, params, decrypt) => caesarCipher(text, params.shift, decrypt)
+        },
+        vigenere: {
+            label: 'Vigenère',
+            params: [
+                { name: 'key', label: 'Key', type: 'text', default: 'KEY' },
+                { name: 'variant', label: 'Variant', type: 'select', options: Object.keys(VIGENERE_VARIANTS), default: 'vigenere' }
+            ],
+            apply: (text, params, decrypt) => vigenereCipher(text, params.key, decrypt, params.variant)
+        },
+        substitution: {
+            label: 'Substitution',
+            params: [{ name: 'keyword', label: 'Keyword', type: 'text', default: 'ZEBRAS' }],
+            apply: (text, params, decrypt) => substitutionCipher(text, keywordSubstitutionKey(params.keyword), decrypt)
+        },
+        affine: {
+            label: 'Affine',
+            params: [
+                { name: 'a', label: 'Multiplier a', type: 'number', default: 5 },
+                { name: 'b', label: 'Shift b', type: 'number', default: 8 }
+            ],
+            apply: (text, params, decrypt) => affineCipher(text, params.a, params.b, decrypt)
+        },
+        railfence: {
+            label: 'Rail Fence',
+            params: [{ name: 'rails', label: 'Rails', type: 'number', default: 3 }],
+            apply: (text, params, decrypt) => railFenceCipher(text, params.rails, decrypt)
+        },
+        columnar: {
+            label: 'Columnar Transposition',
+            params: [{ name: 'key', label: 'Key', type: 'text', default: 'ZEBRAS' }],
+            apply: (text, params, decrypt) => columnarCipher(text, params.key, decrypt)
+        },
+        double: {
+            label: 'Double Transposition',
+            params: [
+                { name: 'key1', label: 'First Key', type: 'text', default: 'ZEBRAS' },
+                { name: 'key2', label: 'Second Key', type: 'text', default: 'STRIPE' }
+            ],
+            apply: (text, params, decrypt) => doubleTranspositionCipher(text, params.key1, params.key2, decrypt)
+        },
+        playfair: {
+            label: 'Playfair',
+            params: [{ name: 'key', label: 'Keyword', type: 'text', default: 'MONARCHY' }],
+            apply: (text, params, decrypt) => playfairCipher(text, params.key, decrypt)
+        },
+        hill: {
+            label: 'Hill',
+            params: [{ name: 'key', label: 'Key Matrix', type: 'text', default: 'GYBNQKURP' }],
+            apply: (text, params, decrypt) => hillCipher(text, params.key, decrypt)
+        },
+        enigma: {
+            label: 'Enigma',
+            params: [
+                { name: 'rotors', label: 'Rotors', type: 'text', default: 'I II III' },
+                { name: 'reflector', label: 'Reflector', type: 'select', options: Object.keys(ENIGMA_REFLECTORS), default: 'B' },
+                { name: 'rings', label: 'Rings', type: 'text', default: 'AAA' },
+                { name: 'positions', label: 'Positions', type: 'text', default: 'AAA' },
+                { name: 'plugboard', label: 'Plugboard', type: 'text', default: '' }
+            ],
+            // Self-inverse, so decryption is the same operation
+            apply: (text, params) => enigma(text, { ...params, rotors: params.rotors.trim().split(/[\s,]+/) })
+        },
+        base64: {
+            label: 'Base64',
+            params: [],
+            apply: (text, params, decrypt) => base64Codec(text, decrypt)
+        },
+        reverse: {
+            label: 'Reverse Text',
+            params: [],
+            apply: text => Array.from(text).reverse().join('')
+        }
+    };
+    
+    /**
+     * Whether a name is one of the PIPELINE_OPERATIONS
+     * Only the table's own keys count, so "toString" or "__proto__" in a
+     * recipe is an unknown operation rather than an inherited function
+     * 
+     * @param {string} name - Operation name
+     * @returns {boolean}
+     */
+    function isPipelineOperation(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(PIPELINE_OPERATIONS, name);
+    }
+    
+    /**
+     * Check a pipeline stage and fill in default parameters
+     * 
+     * @param {Object} stage - {operation, params}
+     * @returns {Object} - Stage with every parameter of its operation set
+     */
+    function normalizePipelineStage(stage) {
+        const operation = isPipelineOperation(stage?.operation) ? PIPELINE_OPERATIONS[stage.operation] : null;
+        if (!operation) {
+            throw new Error(`Unknown pipeline operation: ${stage?.operation}`);
+        }
+        
+        const params = {};
+        operation.params.forEach(param => {
+            const value = stage.params?.[param.name] ?? param.default;
+            if (param.type === 'number') {
+                const number = parseInt(value);
+                if (isNaN(number)) {
+                    throw new Error(`${operation.label} ${param.label.toLowerCase()} must be a number`);
+                }
+                params[param.name] = number;
+            } else if (param.type === 'select') {
+                if (!param.options.includes(value)) {
+                    throw new Error(`${operation.label} ${param.label.toLowerCase()} must be one of ${param.options.join(', ')}`);
+                }
+                params[param.name] = value;
+            } else {
+                params[param.name] = String(value);
+            }
+        });
+        
+        return { operation: stage.operation, params: params };
+    }
+    
+    /**
+     * Run a text through a chain of operations, keeping every intermediate result
+     * Decryption runs the stages in reverse order, each one decrypting
+     * 
+     * @param {string} text - Input text
+     * @param {Array} stages - [{operation, params}] in encryption order
+     * @param {boolean} decrypt - Whether to undo the chain (default: false)
+     * @returns {Array} - [{index, operation, params, input, output}] in the order they ran
+     */
+    function pipelineSteps(text, stages, decrypt = false) {
+        const normalized = stages.map(normalizePipelineStage);
+        const order = normalized.map((stage, index) => ({ ...stage, index }));
+        if (decrypt) order.reverse();
+        
+        const steps = [];
+        let current = text;
+        order.forEach(stage => {
+            let output;
+            try {
+                output = PIPELINE_OPERATIONS[stage.operation].apply(current, stage.params, decrypt);
+            } catch (error) {
+                throw new Error(`Stage ${stage.index + 1} (${PIPELINE_OPERATIONS[stage.operation].label}): ${error.message}`);
+            }
+            steps.push({ ...stage, input: current, output: output });
+            current = output;
+        });
+        
+        return steps;
+    }
+    
+    /**
+     * Product cipher of several operations
+     * A recipe runs in its own language; a plain stage list in the current one
+     * 
+     * @param {string} text - Input text
+     * @param {Array|Object} stages - [{operation, params}] or a recipe from createRecipe
+     * @param {boolean} decrypt - Whether to undo the chain (default: false)
+     * @returns {string} - Output of the last stage
+     */
+    function pipelineCipher(text, stages, decrypt = false) {
+        const run = list => {
+            const steps = pipelineSteps(text, list, decrypt);
+            return steps.length > 0 ? steps[steps.length - 1].output : text;
+        };
+        
+        if (Array.isArray(stages)) return run(stages);
+        
+        const recipe = parseRecipe(stages);
+        return withLanguage(recipe.language, () => run(recipe.stages));
+    }
+    
+    // Marks JSON recipes written by createRecipe
+    const RECIPE_FORMAT = 'classical-cryptography-suite/recipe';
+    
+    /**
+     * Shareable description of a pipeline
+     * 
+     * @param {Array} stages - [{operation, params}]
+     * @param {string} language - Language name the stages work in (default: current)
+     * @returns {Object} - {format, version, language, stages}, ready for JSON.stringify
+     */
+    function createRecipe(stages, language = Object.keys(LANGUAGES).find(name => LANGUAGES[name] === getLanguage())) {
+        return {
+            format: RECIPE_FORMAT,
+            version: 1,
+            language: language,
+            stages: stages.map(normalizePipelineStage)
+        };
+    }
+    
+    /**
+     * Read a recipe back, as JSON text or an already parsed object
+     * 
+     * @param {string|Object} recipe - Recipe from createRecipe
+     * @returns {Object} - {language, stages} with every stage checked
+     */
+    function parseRecipe(recipe) {
+        let data = recipe;
+        if (typeof recipe === 'string') {
+            try {
+                data = JSON.parse(recipe);
+            } catch (error) {
+                throw new Error('Recipe is not valid JSON');
+            }
+        }
+        
+        if (!data || data.format !== RECIPE_FORMAT || !Array.isArray(data.stages)) {
+            throw new Error('Not a cipher pipeline recipe');
+        }
+        if (data.version !== 1) {
+            throw new Error(`Unsupported recipe version ${data.version}`);
+        }
+        
+        const language = data.language ?? 'english';
+        if (!Object.prototype.hasOwnProperty.call(LANGUAGES, language)) {
+            throw new Error(`Unknown language: ${language}`);
+        }
+        
+        return { language: language, stages: data.stages.map(normalizePipelineStage) };
+    }
+    
+    // Public-domain English passages that challenges are drawn from; challenges
+    // are encrypted and checked in English whatever the selected language
+    const CHALLENGE_LANGUAGE = 'english';
+    const CHALLENGE_PASSAGES = [
+        {
+            source: 'Charles Dickens, A Tale of Two Cities',
+            text: 'It was the best of times, it was the worst of times, it was the age of wisdom, it was the age of ' +
+                'foolishness, it was the epoch of belief, it was the epoch of incredulity, it was the season of Light, ' +
+                'it was the season of Darkness, it was the spring of hope, it was the winter of despair.'
+        },
+        {
+            source: 'Jane Austen, Pride and Prejudice',
+            text: 'It is a truth universally acknowledged, that a single man in possession of a good fortune, must be ' +
+                'in want of a wife. However little known the feelings or views of such a man may be on his first ' +
+                'entering a neighbourhood, this truth is so well fixed in the minds of the surrounding families, that ' +
+                'he is considered the rightful property of some one or other of their daughters.'
+        },
+        {
+            source: 'Herman Melville, Moby-Dick',
+            text: 'Call me Ishmael. Some years ago, never mind how long precisely, having little or no money in my ' +
+                'purse, and nothing particular to interest me on shore, I thought I would sail about a little and see ' +
+                'the watery part of the world. It is a way I have of driving off the spleen and regulating the circulation.'
+        },
+        {
+            source: 'Abraham Lincoln, Gettysburg Address',
+            text: 'Four score and seven years ago our fathers brought forth on this continent, a new nation, conceived ' +
+                'in Liberty, and dedicated to the proposition that all men are created equal. Now we are engaged in a ' +
+                'great civil war, testing whether that nation, or any nation so conceived and so dedicated, can long endure.'
+        },
+        {
+            source: 'Arthur Conan Doyle, A Scandal in Bohemia',
+            text: 'To Sherlock Holmes she is always the woman. I have seldom heard him mention her under any other ' +
+                'name. In his eyes she eclipses and predominates the whole of her sex. It was not that he felt any ' +
+                'emotion akin to love for Irene Adler. All emotions, and that one particularly, were abhorrent to his ' +
+                'cold, precise but admirably balanced mind.'
+        },
+        {
+            source: 'Edgar Allan Poe, The Gold-Bug',
+            text: 'Many years ago, I contracted an intimacy with a Mr. William Legrand. He was of an ancient Huguenot ' +
+                'family, and had once been wealthy; but a series of misfortunes had reduced him to want. To avoid the ' +
+                'mortification consequent upon his disasters, he left New Orleans, the city of his forefathers, and ' +
+                'took up his residence at Sullivan\'s Island, near Charleston, South Carolina.'
+        },
+        {
+            source: 'Charles Darwin, On the Origin of Species',
+            text: 'When on board H.M.S. Beagle, as naturalist, I was much struck with certain facts in the distribution ' +
+                'of the inhabitants of South America, and in the geological relations of the present to the past ' +
+                'inhabitants of that continent. These facts seemed to me to throw some light on the origin of species, ' +
+                'that mystery of mysteries, as it has been called by one of our greatest philosophers.'
+        },
+        {
+            source: 'Lewis Carroll, Alice\'s Adventures in Wonderland',
+            text: 'Alice was beginning to get very tired of sitting by her sister on the bank, and of having nothing ' +
+                'to do: once or twice she had peeped into the book her sister was reading, but it had no pictures or ' +
+                'conversations in it, and what is the use of a book, thought Alice, without pictures or conversations?'
+        },
+        {
+            source: 'H. G. Wells, The War of the Worlds',
+            text: 'No one would have believed in the last years of the nineteenth century that this world was being ' +
+                'watched keenly and closely by intelligences greater than man\'s and yet as mortal as his own; that as ' +
+                'men busied themselves about their various concerns they were scrutinised and studied, perhaps almost ' +
+                'as narrowly as a man with a microscope might scrutinise the transient creatures that swarm and ' +
+                'multiply in a drop of water.'
+        },
+        {
+            source: 'Henry David Thoreau, Walden',
+            text: 'I went to the woods because I wished to live deliberately, to front only the essential facts of ' +
+                'life, and see if I could not learn what it had to teach, and not, when I came to die, discover that ' +
+                'I had not lived. I did not wish to live what was not life, living is so dear; nor did I wish to ' +
+                'practise resignation, unless it was quite necessary.'
+        }
+    ];
+    
+    // Keywords for challenge keys that are meant to be guessable once partly recovered
+    const CHALLENGE_KEYWORDS = ['CIPHER', 'SECRET', 'LEMON', 'KNIGHT', 'CASTLE', 'PUZZLE', 'HIDDEN', 'MARBLE',
+        'SILVER', 'GARDEN', 'HARBOR', 'CANDLE', 'WINTER', 'FOREST', 'COMPASS', 'LANTERN'];
+    
+    // Ciphers each difficulty draws from, the points a solve is worth, the time
+    // in seconds a solve keeps full points, and whether word breaks are hidden
+    const CHALLENGE_DIFFICULTIES = {
+        easy: { label: 'Easy', points: 100, par: 300, grouped: false, ciphers: ['caesar', 'affine', 'railfence'] },
+        medium: { label: 'Medium', points: 250, par: 900, grouped: true, ciphers: ['substitution', 'vigenere', 'columnar'] },
+        hard: { label: 'Hard', points: 500, par: 1800, grouped: true, ciphers: ['vigenere', 'double', 'playfair'] }
+    };
+    
+    const randomInteger = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+    const randomItem = items => items[Math.floor(Math.random() * items.length)];
+    
+    // Random letters, for keys that should not be guessable as words
+    function randomLetters(length) {
+        const alphabet = getLanguage().alphabet;
+        return Array.from({ length: length }, () => randomItem(alphabet.split(''))).join('');
+    }
+    
+    // How challenge ciphers pick a key for a difficulty, encrypt, describe the key and
+    // give away a bit of it: hints are [key size, one letter of the key]
+    const CHALLENGE_CIPHERS = {
+        caesar: {
+            label: 'Caesar',
+            key: () => ({ shift: randomInteger(1, getLanguage().alphabet.length - 1) }),
+            encrypt: (text, params) => caesarCipher(text, params.shift),
+            describe: params => `shift ${params.shift}`,
+            hints: params => [
+                'The key is a single number: every letter is shifted by the same amount',
+                `A is written as ${getLanguage().alphabet[params.shift]}`
+            ]
+        },
+        affine: {
+            label: 'Affine',
+            key: () => ({
+                a: randomItem(affineMultipliers().filter(a => a !== 1)),
+                b: randomInteger(0, getLanguage().alphabet.length - 1)
+            }),
+            encrypt: (text, params) => affineCipher(text, params.a, params.b),
+            describe: params => `a = ${params.a}, b = ${params.b}`,
+            hints: params => [
+                'The key is two numbers: a multiplier a and a shift b',
+                `The shift b is ${params.b}`
+            ]
+        },
+        railfence: {
+            label: 'Rail Fence',
+            key: () => ({ rails: randomInteger(2, 5) }),
+            encrypt: (text, params) => railFenceCipher(text, params.rails),
+            describe: params => `${params.rails} rails`,
+            hints: params => [
+                'The key is a single number of rails between 2 and 5',
+                `The letters zigzag over ${params.rails} rails`
+            ]
+        },
+        substitution: {
+            label: 'Monoalphabetic Substitution',
+            key: () => ({ key: randomSubstitutionKey() }),
+            encrypt: (text, params) => substitutionCipher(text, params.key),
+            describe: params => params.key,
+            hints: (params, plaintext) => {
+                const alphabet = getLanguage().alphabet;
+                const top = frequencyAnalysis(plaintext).data[0].letter;
+                return [
+                    `The key is a scrambled alphabet of all ${alphabet.length} letters`,
+                    `The most common plaintext letter ${top} is written as ${params.key[alphabet.indexOf(top)]}`
+                ];
+            }
+        },
+        vigenere: {
+            label: 'Vigenère',
+            key: difficulty => ({
+                key: difficulty === 'hard' ? randomLetters(randomInteger(6, 9)) : randomItem(CHALLENGE_KEYWORDS.filter(word => word.length <= 6))
+            }),
+            encrypt: (text, params) => vigenereCipher(text, params.key),
+            describe: params => params.key,
+            hints: (params, plaintext, ciphertext) => {
+                // On short texts the top Kasiski length is often a factor, so name the leading few
+                const lengths = kasiskiExamination(ciphertext).possibleKeyLengths.slice(0, 4);
+                const position = randomInteger(0, params.key.length - 1);
+                return [
+                    lengths.includes(params.key.length)
+                        ? `Kasiski examination points to a key length ${lengths.length > 1 ? `among ${lengths.join(', ')}` : `of ${lengths[0]}`}`
+                        : `Kasiski examination is inconclusive on this text; the key has ${params.key.length} letters`,
+                    `Key letter ${position + 1} is ${params.key[position]}`
+                ];
+            }
+        },
+        columnar: {
+            label: 'Columnar Transposition',
+            key: () => ({ key: randomItem(CHALLENGE_KEYWORDS) }),
+            encrypt: (text, params) => columnarCipher(text, params.key),
+            describe: params => params.key,
+            hints: params => [
+                `The letters are written in ${params.key.length} columns under a keyword`,
+                `The keyword starts with ${params.key[0]}`
+            ]
+        },
+        double: {
+            label: 'Double Transposition',
+            key: () => {
+                const key1 = randomItem(CHALLENGE_KEYWORDS);
+                return { key1: key1, key2: randomItem(CHALLENGE_KEYWORDS.filter(word => word !== key1)) };
+            },
+            encrypt: (text, params) => doubleTranspositionCipher(text, params.key1, params.key2),
+            describe: params => `${params.key1}, then ${params.key2}`,
+            hints: params => [
+                `Two columnar transpositions with ${params.key1.length} and ${params.key2.length} columns`,
+                `The first keyword starts with ${params.key1[0]}`
+            ]
+        },
+        playfair: {
+            label: 'Playfair',
+            key: () => ({ key: randomItem(CHALLENGE_KEYWORDS) }),
+            encrypt: (text, params) => playfairCipher(text, params.key),
+            describe: params => params.key,
+            hints: params => [
+                `The key square starts with a keyword of ${new Set(params.key.replace(/J/g, 'I')).size} different letters`,
+                `The key square begins with ${playfairKeySquare(params.key)[0]}`
+            ]
+        }
+    };
+    
+    /**
+     * Generate a cryptogram to crack
+     * A random passage is encrypted with a random cipher and key of the difficulty.
+     * The three hints go from the cipher family over the key size to one letter of the key
+     * 
+     * @param {string} difficulty - Key of CHALLENGE_DIFFICULTIES (default: easy)
+     * @returns {Object} - {difficulty, cipher, label, params, key, source, plaintext, ciphertext, hints}
+     */
+    function createChallenge(difficulty = 'easy') {
+        const level = CHALLENGE_DIFFICULTIES[difficulty];
+        if (!level) {
+            throw new Error(`Unknown difficulty: ${difficulty}`);
+        }
+        
+        // The passages are English, whatever language the rest of the suite uses
+        return withLanguage(CHALLENGE_LANGUAGE, () => {
+            const cipher = randomItem(level.ciphers);
+            const challenge = CHALLENGE_CIPHERS[cipher];
+            const passage = randomItem(CHALLENGE_PASSAGES);
+            const params = challenge.key(difficulty);
+            
+            // Without word breaks the cryptogram is written in the traditional 5-letter groups
+            const encrypted = challenge.encrypt(passage.text, params);
+            const ciphertext = level.grouped ? groupLetters(encrypted) : encrypted;
+            
+            return {
+                difficulty: difficulty,
+                language: CHALLENGE_LANGUAGE,
+                cipher: cipher,
+                label: challenge.label,
+                params: params,
+                key: challenge.describe(params),
+                source: passage.source,
+                plaintext: passage.text,
+                ciphertext: ciphertext,
+                hints: [`The cipher is ${challenge.label}`, ...challenge.hints(params, passage.text, ciphertext)]
+            };
+        });
+    }
+    
+    /**
+     * Levenshtein distance: the fewest letters to insert, delete or replace
+     * to turn one text into the other
+     * 
+     * @param {string} a - First text
+     * @param {string} b - Second text
+     * @returns {number} - Edit distance
+     */
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+    
+    /**
+     * Compare a proposed decryption with the challenge plaintext
+     * Only letters count, in the challenge's language. The edit distance keeps a
+     * dropped or doubled letter from costing the rest of the text. Playfair answers
+     * may keep or drop the X fillers and write J or I
+     * 
+     * @param {Object} challenge - Challenge from createChallenge
+     * @param {string} answer - Proposed plaintext
+     * @returns {Object} - {accuracy: share of correct letters (0-1), solved: accuracy of at least 95%}
+     */
+    function checkChallengeAnswer(challenge, answer) {
+        return withLanguage(challenge.language || CHALLENGE_LANGUAGE, () => {
+            let normalize = extractLetters;
+            if (challenge.cipher === 'playfair') {
+                normalize = text => extractLetters(text).replace(/J/g, 'I').replace(/X/g, '');
+            }
+            
+            const expected = normalize(challenge.plaintext);
+            const proposed = normalize(answer);
+            const length = Math.max(expected.length, proposed.length, 1);
+            
+            const accuracy = 1 - editDistance(expected, proposed) / length;
+            return { accuracy: accuracy, solved: accuracy >= 0.95 };
+        });
+    }
+    
+    /**
+     * Points for a solved challenge
+     * Every hint costs a quarter of the points; solving slower than the difficulty's
+     * par time scales the rest down in proportion, to no less than a quarter
+     * 
+     * @param {string} difficulty - Key of CHALLENGE_DIFFICULTIES
+     * @param {number} seconds - Time taken
+     * @param {number} hintsUsed - Number of hints revealed (0-3)
+     * @returns {number} - Score, rounded
+     */
+    function challengeScore(difficulty, seconds, hintsUsed) {
+        const level = CHALLENGE_DIFFICULTIES[difficulty];
+        const hintFactor = Math.max(0, 1 - 0.25 * hintsUsed);
+        const timeFactor = Math.max(0.25, Math.min(1, level.par / Math.max(seconds, 1)));
+        return Math.round(level.points * hintFactor * timeFactor);
+    }
+    
+    // AES-GCM with a key derived from a passphrase by PBKDF2-SHA-256, as a modern
+    // counterpart to the classical ciphers. GCM appends a 128-bit authentication tag
+    const AES_GCM_SETTINGS = {
+        keyBits: 256,
+        saltBytes: 16,
+        ivBytes: 12,
+        tagBits: 128,
+        iterations: 100000
+    };
+    
+    /**
+     * The Web Crypto API, which browsers only offer on secure pages
+     * (https or localhost) and Node.js from version 19
+     * 
+     * @returns {Crypto} - globalThis.crypto
+     */
+    function webCrypto() {
+        if (!globalThis.crypto?.subtle) {
+            throw new Error('Web Crypto is not available here; open the page over https or from localhost');
+        }
+        return globalThis.crypto;
+    }
+    
+    /**
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base64
+     */
+    function bytesToBase64(bytes) {
+        return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    }
+    
+    /**
+     * @param {string} base64 - Base64 text; whitespace is ignored
+     * @param {string} label - Name used in the error message (default: 'Input')
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    function base64ToBytes(base64, label = 'Input') {
+        let binary;
+        try {
+            binary = atob(base64.replace(/\s/g, ''));
+        } catch (error) {
+            throw new Error(`${label} is not valid Base64`);
+        }
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+    
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * The salt makes the same passphrase give a different key every time, and
+     * the iterations make each passphrase guess cost that many hashes
+     * 
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} - Key usable for encrypt and decrypt
+     */
+    async function deriveAesKey(passphrase, salt, iterations) {
+        const subtle = webCrypto().subtle;
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        
+        return subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: AES_GCM_SETTINGS.keyBits },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    /**
+     * AES-GCM encryption with a passphrase
+     * A fresh random salt and IV are drawn for every call, so encrypting the
+     * same text twice gives unrelated ciphertexts
+     * 
+     * @param {string} plaintext - Text to encrypt (UTF-8)
+     * @param {string} passphrase - Passphrase
+     * @param {number} iterations - PBKDF2 iterations (default: AES_GCM_SETTINGS.iterations)
+     * @returns {Promise<Object>} - {salt, iv, ciphertext, iterations}; the ciphertext ends with the tag, all Base64
+     */
+    async function aesGcmEncrypt(plaintext, passphrase, iterations = AES_GCM_SETTINGS.iterations) {
+        if (!passphrase) {
+            throw new Error('A passphrase is required');
+        }
+        
+        const crypto = webCrypto();
+        const salt = crypto.getRandomValues(new Uint8Array(AES_GCM_SETTINGS.saltBytes));
+        const iv = crypto.getRandomValues(new Uint8Array(AES_GCM_SETTINGS.ivBytes));
+        const key = await deriveAesKey(passphrase, salt, iterations);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, tagLength: AES_GCM_SETTINGS.tagBits },
+            key,
+            new TextEncoder().encode(plaintext)
+        );
+        
+        return {
+            salt: bytesToBase64(salt),
+            iv: bytesToBase64(iv),
+            ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+            iterations: iterations
+        };
+    }
+    
+    /**
+     * AES-GCM decryption with a passphrase
+     * The tag is checked before any plaintext is released: a wrong passphrase
+     * or a single changed bit in the salt, IV or ciphertext fails as a whole
+     * 
+     * @param {Object} encrypted - {salt, iv, ciphertext, iterations} as returned by aesGcmEncrypt
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<string>} - Plaintext
+     */
+    async function aesGcmDecrypt(encrypted, passphrase) {
+        if (!passphrase) {
+            throw new Error('A passphrase is required');
+        }
+        
+        const crypto = webCrypto();
+        const salt = base64ToBytes(encrypted.salt, 'Salt');
+        const iv = base64ToBytes(encrypted.iv, 'IV');
+        const ciphertext = base64ToBytes(encrypted.ciphertext, 'Ciphertext');
+        if (iv.length === 0) {
+            throw new Error('IV is empty');
+        }
+        
+        const key = await deriveAesKey(passphrase, salt, encrypted.iterations ?? AES_GCM_SETTINGS.iterations);
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: iv, tagLength: AES_GCM_SETTINGS.tagBits },
+                key,
+                ciphertext
+            );
+        } catch (error) {
+            throw new Error('Authentication failed: the passphrase is wrong or the salt, IV or ciphertext was changed');
+        }
+        
+        return new TextDecoder().decode(plaintext);
+    }
+    
+    /**
+     * Letters for the bytes of a modern cipher, so its output can go through
+     * the same letter statistics as the classical ciphers. Bytes at or above
+     * the largest multiple of the alphabet size are dropped, which keeps
+     * every letter equally likely
+     * 
+     * @param {Uint8Array} bytes - Cipher output
+     * @returns {string} - Letters of the current alphabet
+     */
+    function bytesToLetters(bytes) {
+        const alphabet = getLanguage().alphabet;
+        const limit = 256 - 256 % alphabet.length;
+        
+        return Array.from(bytes)
+            .filter(byte => byte < limit)
+            .map(byte => alphabet[byte % alphabet.length])
+            .join('');
+    }
+    
+    // Long-running attacks by name, so analysis-worker.js can run them from a
+    // message. Each task takes every argument of its function in order (no
+    // defaults are skipped) followed by an onProgress(done, total) callback
+    const ANALYSIS_TASKS = {
+        bruteForceCaesar,
+        bruteForceAffine,
+        estimateKeyLength,
+        crackVigenere,
+        crackRailFence,
+        crackColumnar,
+        crackSubstitution: (ciphertext, options, onProgress) => crackSubstitution(ciphertext, { ...options, onProgress })
+    };
+    
+    /**
+     * Run one of the ANALYSIS_TASKS
+     * 
+     * @param {string} name - Task name
+     * @param {Array} args - Arguments of the task function, without onProgress
+     * @param {Function} onProgress - Optional callback(done, total)
+     * @returns {*} - The task's result
+     */
+    function runAnalysisTask(name, args, onProgress = null) {
+        if (!Object.prototype.hasOwnProperty.call(ANALYSIS_TASKS, name)) {
+            throw new Error(`Unknown analysis task: ${name}`);
+        }
+        return ANALYSIS_TASKS[name](...args, onProgress);
+    }
+    
+    // Written as an object literal so Node can detect the named exports
+    // when the file is imported from an ES module
+    module.exports = {
+        // Languages
+        LANGUAGES,
+        setLanguage,
+        getLanguage,
+        extractLetters,
+        groupLetters,
+        // Caesar
+        caesarCipher,
+        bruteForceCaesar,
+        // Vigenère
+        VIGENERE_VARIANTS,
+        vigenereCipher,
+        vigenereSteps,
+        crackVigenere,
+        cribDrag,
+        cribKey,
+        partialVigenereDecrypt,
+        vigenereColumns,
+        // Substitution
+        substitutionCipher,
+        isValidSubstitutionKey,
+        keywordSubstitutionKey,
+        randomSubstitutionKey,
+        crackSubstitution,
+        // Affine
+        modInverse,
+        affineMultipliers,
+        affineCipher,
+        bruteForceAffine,
+        // Transposition
+        railFenceCipher,
+        columnOrder,
+        columnarCipher,
+        doubleTranspositionCipher,
+        crackRailFence,
+        crackColumnar,
+        hasPlaintextFrequencies,
+        // Playfair
+        playfairKeySquare,
+        playfairSteps,
+        playfairCipher,
+        // Hill
+        parseHillKey,
+        matrixDeterminant,
+        matrixInverseMod26,
+        hillSteps,
+        hillCipher,
+        crackHill,
+        // Enigma
+        ENIGMA_ROTORS,
+        ENIGMA_REFLECTORS,
+        enigmaSteps,
+        enigma,
+        // Step traces
+        CIPHER_TRACES,
+        traceCipher,
+        // Pipelines
+        PIPELINE_OPERATIONS,
+        isPipelineOperation,
+        pipelineSteps,
+        pipelineCipher,
+        createRecipe,
+        parseRecipe,
+        // Challenges
+        CHALLENGE_PASSAGES,
+        CHALLENGE_DIFFICULTIES,
+        createChallenge,
+        checkChallengeAnswer,
+        challengeScore,
+        // AES-GCM
+        AES_GCM_SETTINGS,
+        aesGcmEncrypt,
+        aesGcmDecrypt,
+        bytesToBase64,
+        base64ToBytes,
+        bytesToLetters,
+        // Analysis
+        frequencyAnalysis,
+        ngramFrequencies,
+        bigramMatrix,
+        contactTable,
+        kasiskiExamination,
+        indexOfCoincidence,
+        friedmanTest,
+        estimateKeyLength,
+        icPeriodogram,
+        identifyCipher,
+        // Scoring
+        chiSquared,
+        SCORING_METHODS,
+        DEFAULT_SCORING_METHOD,
+        scoreText,
+        // Background analysis
+        ANALYSIS_TASKS,
+        runAnalysisTask
+    };
+    
+    return module.exports;
+});
@@ -0,0 +1,94 @@
+/**
+ * Classical Cryptography Suite - ES module entry point
+ * Node loads cryptography-core.js as CommonJS and hands it over as the default
+ * import; browsers run it as a plain script, which registers
+ * globalThis.CryptographyCore instead.
+ */
+
+import * as umd from './cryptography-core.js';
+
+const CryptographyCore = umd.default || globalThis.CryptographyCore;
+
+export const {
+    LANGUAGES,
+    setLanguage,
+    getLanguage,
+    extractLetters,
+    groupLetters,
+    caesarCipher,
+    bruteForceCaesar,
+    VIGENERE_VARIANTS,
+    vigenereCipher,
+    vigenereSteps,
+    crackVigenere,
+    cribDrag,
+    cribKey,
+    partialVigenereDecrypt,
+    vigenereColumns,
+    substitutionCipher,
+    isValidSubstitutionKey,
+    keywordSubstitutionKey,
+    randomSubstitutionKey,
+    crackSubstitution,
+    modInverse,
+    affineMultipliers,
+    affineCipher,
+    bruteForceAffine,
+    railFenceCipher,
+    columnOrder,
+    columnarCipher,
+    doubleTranspositionCipher,
+    crackRailFence,
+    crackColumnar,
+    hasPlaintextFrequencies,
+    playfairKeySquare,
+    playfairSteps,
+    playfairCipher,
+    parseHillKey,
+    matrixDeterminant,
+    matrixInverseMod26,
+    hillSteps,
+    hillCipher,
+    crackHill,
+    ENIGMA_ROTORS,
+    ENIGMA_REFLECTORS,
+    enigmaSteps,
+    enigma,
+    CIPHER_TRACES,
+    traceCipher,
+    PIPELINE_OPERATIONS,
+    isPipelineOperation,
+    pipelineSteps,
+    pipelineCipher,
+    createRecipe,
+    parseRecipe,
+    CHALLENGE_PASSAGES,
+    CHALLENGE_DIFFICULTIES,
+    createChallenge,
+    checkChallengeAnswer,
+    challengeScore,
+    AES_GCM_SETTINGS,
+    aesGcmEncrypt,
+    aesGcmDecrypt,
+    bytesToBase64,
+    base64ToBytes,
+    bytesToLetters,
+    frequencyAnalysis,
+    ngramFrequencies,
+    bigramMatrix,
+    contactTable,
+    kasiskiExamination,
+    indexOfCoincidence,
+    friedmanTest,
+    estimateKeyLength,
+    icPeriodogram,
+    identifyCipher,
+    chiSquared,
+    SCORING_METHODS,
+    DEFAULT_SCORING_METHOD,
+    scoreText,
+    ANALYSIS_TASKS,
+    runAnalysisTask
+} = CryptographyCore;
+
+export default CryptographyCore;
@@ -0,0 +1,398 @@
+/**
+ * Classical Cryptography Suite - regression tests for cryptography-core.js
+ * Uses only Node's built-in test runner: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../cryptography-core.js');
+
+// English from the challenge corpus; starting at the eighth passage, 400 letters
+// under a 12-letter key used to be cracked with key length 6
+const plaintext = core.CHALLENGE_PASSAGES.slice(7).concat(core.CHALLENGE_PASSAGES.slice(0, 7))
+    .map(passage => passage.text).join(' ');
+
+/**
+ * The first letters of a text, punctuation included
+ * @param {string} text - Source text
+ * @param {number} letters - Number of letters to keep
+ * @returns {string} - Prefix with that many letters
+ */
+function letterPrefix(text, letters) {
+    let count = 0;
+    let end = 0;
+    while (end < text.length && count < letters) {
+        if (/[a-z]/i.test(text[end])) count++;
+        end++;
+    }
+    return text.slice(0, end);
+}
+
+test('key length estimation ranks a composite key length above its divisors', () => {
+    for (const letters of [400, 600]) {
+        const ciphertext = core.vigenereCipher(letterPrefix(plaintext, letters), 'CRYPTOGRAPHY');
+        assert.strictEqual(core.estimateKeyLength(ciphertext).suggestedKeyLength, 12, `${letters} letters`);
+        assert.strictEqual(core.crackVigenere(ciphertext)[0].key, 'CRYPTOGRAPHY', `${letters} letters`);
+    }
+});
+
+test('key length estimation gives period 1 no Kasiski votes', () => {
+    const ciphertext = core.vigenereCipher(letterPrefix(plaintext, 400), 'LEMON');
+    const period1 = core.estimateKeyLength(ciphertext).periods[0];
+    assert.strictEqual(period1.kasiskiVotes, 0);
+});
+
+test('Kasiski examination finds the key length when a coincidental repeat makes the GCD 1', () => {
+    const ciphertext = core.vigenereCipher(letterPrefix(plaintext, 300), 'LEMON');
+    const kasiski = core.kasiskiExamination(ciphertext);
+    const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+    
+    assert.strictEqual(kasiski.distances.reduce(gcd), 1);
+    assert.deepStrictEqual(kasiski.possibleKeyLengths, [5]);
+    assert.strictEqual(kasiski.suggestedKeyLength, 5);
+});
+
+test('Friedman test estimates a Vigenère key length and finds none in plaintext', () => {
+    const estimate = core.friedmanTest(core.vigenereCipher(letterPrefix(plaintext, 400), 'LEMON'));
+    assert.ok(estimate > 3 && estimate < 8, `estimate ${estimate}`);
+    assert.strictEqual(core.friedmanTest(letterPrefix(plaintext, 400)), 1);
+    assert.strictEqual(core.friedmanTest('A'), null);
+});
+
+test('key length estimation covers every period with confidences that add up to 1', () => {
+    const estimate = core.estimateKeyLength(core.vigenereCipher(letterPrefix(plaintext, 400), 'LEMON'));
+    assert.deepStrictEqual(estimate.periods.map(period => period.length), Array.from({ length: 20 }, (_, i) => i + 1));
+    assert.ok(Math.abs(estimate.periods.reduce((sum, period) => sum + period.confidence, 0) - 1) < 1e-9);
+    assert.deepStrictEqual([estimate.suggestedKeyLength, estimate.ranked[0].length], [5, 5]);
+});
+
+test('key recovery settles close chi-squared columns by n-gram fitness', () => {
+    // 150 letters where chi-squared alone read one column of LEMON as P
+    const letters = core.extractLetters(core.CHALLENGE_PASSAGES.map(passage => passage.text).join(' '));
+    const ciphertext = core.vigenereCipher(letters.slice(1735, 1885), 'LEMON');
+    assert.strictEqual(core.crackVigenere(ciphertext, 1, 'quadgram', 'vigenere', 5)[0].key, 'LEMON');
+});
+
+test('key recovery on short texts does not settle on a multiple of the key length', () => {
+    // Thirty places in the corpus; at 80 letters KEY used to come back as HEYKEYKEUKEYKEY and the like
+    const letters = core.extractLetters(core.CHALLENGE_PASSAGES.map(passage => passage.text).join(' '));
+    const step = Math.floor(letters.length / 30);
+    for (const [key, length] of [['KEY', 80], ['LEMON', 90]]) {
+        for (let offset = 0; offset + length <= letters.length; offset += step) {
+            const ciphertext = core.vigenereCipher(letters.slice(offset, offset + length), key);
+            assert.strictEqual(core.crackVigenere(ciphertext)[0].key, key, `${key} at offset ${offset}`);
+        }
+    }
+});
+
+test('key recovery scores with the method it is given', () => {
+    const ciphertext = core.vigenereCipher(letterPrefix(plaintext, 400), 'LEMON');
+    const [best] = core.crackVigenere(ciphertext, 1, 'chiSquared');
+    assert.deepStrictEqual([best.key, best.method], ['LEMON', 'chiSquared']);
+    assert.strictEqual(best.score, core.scoreText(best.plaintext, 'chiSquared'));
+});
+
+test('challenges are encrypted and checked in English whatever the selected language', () => {
+    core.setLanguage('russian');
+    try {
+        const challenge = core.createChallenge('easy');
+        assert.strictEqual(challenge.language, 'english');
+        assert.notStrictEqual(challenge.ciphertext, challenge.plaintext);
+        assert.deepStrictEqual(core.checkChallengeAnswer(challenge, challenge.plaintext), { accuracy: 1, solved: true });
+    } finally {
+        core.setLanguage('english');
+    }
+});
+
+test('a dropped letter costs one letter of challenge accuracy, not the rest of the text', () => {
+    const challenge = { language: 'english', cipher: 'caesar', plaintext: core.CHALLENGE_PASSAGES[0].text };
+    const answer = challenge.plaintext.replace(/[a-z]/i, '');
+    const { accuracy, solved } = core.checkChallengeAnswer(challenge, answer);
+    assert.ok(accuracy > 0.99, `accuracy ${accuracy}`);
+    assert.ok(solved);
+});
+
+test('recipes reject inherited property names as operations', () => {
+    for (const operation of ['toString', 'constructor', '__proto__']) {
+        const recipe = { ...core.createRecipe([]), stages: [{ operation }] };
+        assert.throws(() => core.parseRecipe(recipe), { message: `Unknown pipeline operation: ${operation}` });
+        assert.strictEqual(core.isPipelineOperation(operation), false);
+    }
+});
+
+test('analysis tasks reject inherited property names', () => {
+    for (const name of ['toString', 'constructor', '__proto__']) {
+        assert.throws(() => core.runAnalysisTask(name, []), { message: `Unknown analysis task: ${name}` });
+    }
+});
+
+test('a recipe decrypts in its own language', () => {
+    const stages = [{ operation: 'caesar', params: { shift: 3 } }];
+    core.setLanguage('german');
+    const recipe = core.createRecipe(stages);
+    const ciphertext = core.pipelineCipher('Über', stages);
+    core.setLanguage('english');
+    
+    assert.strictEqual(core.pipelineCipher(ciphertext, recipe, true), 'Über');
+    assert.strictEqual(core.getLanguage(), core.LANGUAGES.english);
+});
+
+/**
+ * Letters from a fixed linear congruential sequence, the same on every run
+ * @param {number} length - Number of letters
+ * @returns {string} - Uniformly spread letters A-Z
+ */
+function pseudoRandomLetters(length) {
+    let state = 12345;
+    let letters = '';
+    for (let i = 0; i < length; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        letters += String.fromCharCode(65 + Math.floor(state / 2147483648 * 26));
+    }
+    return letters;
+}
+
+test('cipher identification ranks Hill first for flat, even-length text without digits', () => {
+    const passage = core.CHALLENGE_PASSAGES[1].text;
+    const inputs = {
+        hill: core.hillCipher(passage, 'HILL'),
+        enigma: core.enigma(passage + (core.extractLetters(passage).length % 2 ? 'X' : ''), {}),
+        random: pseudoRandomLetters(260)
+    };
+    
+    Object.entries(inputs).forEach(([name, ciphertext]) => {
+        const families = core.identifyCipher(ciphertext).candidates.map(candidate => candidate.family);
+        assert.deepStrictEqual(families.slice(0, 2), ['hill', 'long-key'], name);
+    });
+});
+
+test('cipher identification does not send autokey text to the Vigenère solver', () => {
+    for (const passage of core.CHALLENGE_PASSAGES) {
+        const ciphertext = core.vigenereCipher(passage.text, 'A', false, 'autokey');
+        const { candidates } = core.identifyCipher(ciphertext);
+        const vigenere = candidates.find(candidate => candidate.family === 'vigenere');
+        
+        assert.notStrictEqual(candidates[0].family, 'vigenere', passage.source);
+        if (vigenere) {
+            assert.ok(candidates.some(candidate => candidate.family === 'long-key'), passage.source);
+        }
+    }
+});
+
+test('cipher identification still finds a repeating key', () => {
+    for (const passage of core.CHALLENGE_PASSAGES) {
+        const { candidates } = core.identifyCipher(core.vigenereCipher(passage.text, 'LEMON'));
+        assert.deepStrictEqual([candidates[0].family, candidates[0].score], ['vigenere', 0.85], passage.source);
+    }
+});
+
+test('Latin-alphabet ciphers reject key letters outside A–Z instead of dropping them', () => {
+    assert.throws(() => core.playfairCipher('hello', 'MÖNARCHY'), /Playfair key takes the letters A–Z only, not Ö/);
+    assert.throws(() => core.hillCipher('help', 'HÜLL'), /Hill key/);
+    assert.throws(() => core.columnarCipher('attack at dawn', 'ZÄBRA'), /Transposition key/);
+    assert.throws(() => core.enigma('hello', { positions: 'AÑA' }), /Start position/);
+    assert.throws(() => core.playfairCipher('hello', 'ключ'), /A–Z only/);
+    assert.strictEqual(core.columnarCipher('attack at dawn', 'ZEBRA'), core.columnarCipher('attack at dawn', 'zebra!'));
+});
+
+test('affine cipher matches the textbook vector and decrypts back', () => {
+    const ciphertext = core.affineCipher('Affine cipher!', 5, 8);
+    assert.strictEqual(ciphertext, 'Ihhwvc swfrcp!');
+    assert.strictEqual(core.affineCipher(ciphertext, 5, 8, true), 'Affine cipher!');
+    assert.strictEqual(core.modInverse(5, 26), 21);
+});
+
+test('affine cipher rejects multipliers that share a factor with 26', () => {
+    for (const a of [0, 2, 13, 26]) {
+        assert.throws(() => core.affineCipher('text', a, 1), { message: `Multiplier a = ${a} is not coprime to 26, so the cipher cannot be decrypted` });
+    }
+    assert.strictEqual(core.modInverse(13, 26), null);
+    assert.deepStrictEqual(core.affineMultipliers(), [1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25]);
+});
+
+test('affine brute force tries all 312 keys and ranks the right one first', () => {
+    const passage = core.CHALLENGE_PASSAGES[0].text;
+    const results = core.bruteForceAffine(core.affineCipher(passage, 7, 3));
+    assert.strictEqual(results.length, 312);
+    assert.deepStrictEqual([results[0].a, results[0].b, results[0].text], [7, 3, passage]);
+});
+
+test('rail fence and columnar ciphers match the textbook vectors and keep the layout', () => {
+    const message = 'WE ARE DISCOVERED. FLEE AT ONCE';
+    const railFence = core.railFenceCipher(message, 3);
+    const columnar = core.columnarCipher(message, 'ZEBRAS');
+    
+    assert.strictEqual(core.extractLetters(railFence), 'WECRLTEERDSOEEFEAOCAIVDEN');
+    assert.strictEqual(core.extractLetters(columnar), 'EVLNACDTESEAROFODEECWIREE');
+    assert.strictEqual(railFence.replace(/[A-Z]/g, '*'), message.replace(/[A-Z]/g, '*'));
+    assert.strictEqual(core.railFenceCipher(railFence, 3, true), message);
+    assert.strictEqual(core.columnarCipher(columnar, 'ZEBRAS', true), message);
+});
+
+test('double transposition decrypts back', () => {
+    const ciphertext = core.doubleTranspositionCipher('attack at dawn', 'KEY', 'CIPHER');
+    assert.notStrictEqual(ciphertext, 'attack at dawn');
+    assert.strictEqual(core.doubleTranspositionCipher(ciphertext, 'KEY', 'CIPHER', true), 'attack at dawn');
+});
+
+test('transposition attacks recover rail counts and column orders', () => {
+    const passage = core.CHALLENGE_PASSAGES[1].text;
+    const [railFence] = core.crackRailFence(core.railFenceCipher(passage, 4));
+    const [columnar] = core.crackColumnar(core.columnarCipher(passage, 'ZEBRA'));
+    
+    assert.deepStrictEqual([railFence.rails, railFence.text], [4, passage]);
+    assert.strictEqual(columnar.text, passage);
+    assert.ok(core.hasPlaintextFrequencies(core.columnarCipher(passage, 'ZEBRA')));
+    assert.ok(!core.hasPlaintextFrequencies(core.vigenereCipher(passage, 'LEMON')));
+});
+
+test('Playfair matches the textbook vector, splitting doubled letters with X', () => {
+    assert.strictEqual(core.playfairKeySquare('PLAYFAIR EXAMPLE'), 'PLAYFIREXMBCDGHKNOQSTUVWZ');
+    const ciphertext = core.playfairCipher('Hide the gold in the tree stump', 'PLAYFAIR EXAMPLE');
+    assert.strictEqual(ciphertext, 'BMODZBXDNABEKUDMUIXMMOUVIF');
+    assert.strictEqual(core.playfairCipher(ciphertext, 'PLAYFAIR EXAMPLE', true), 'HIDETHEGOLDINTHETREXESTUMP');
+});
+
+test('Playfair merges J into I in the key and the text', () => {
+    assert.ok(!core.playfairKeySquare('JUMP').includes('J'));
+    assert.strictEqual(core.playfairKeySquare('JUMP'), core.playfairKeySquare('IUMP'));
+    assert.strictEqual(core.playfairCipher(core.playfairCipher('jazz', 'MONARCHY'), 'MONARCHY', true), 'IAZXZX');
+});
+
+test('Hill cipher matches the textbook vectors and decrypts with the inverse matrix', () => {
+    assert.deepStrictEqual(core.parseHillKey('3 3 2 5'), [[3, 3], [2, 5]]);
+    assert.strictEqual(core.matrixDeterminant([[3, 3], [2, 5]]), 9);
+    assert.deepStrictEqual(core.matrixInverseMod26([[3, 3], [2, 5]]), [[15, 17], [20, 9]]);
+    
+    assert.strictEqual(core.hillCipher('HELP', '3 3 2 5'), 'HIAT');
+    assert.strictEqual(core.hillCipher('HIAT', '3 3 2 5', true), 'HELP');
+    assert.strictEqual(core.hillCipher('ACT', 'GYBNQKURP'), 'POH');
+});
+
+test('Hill cipher rejects key matrices that are not invertible mod 26', () => {
+    assert.throws(() => core.hillCipher('help', '2 4 6 8'), /determinant 18 shares the factor 2 with 26/);
+    assert.throws(() => core.hillCipher('help', '1 2 2 4'), /not invertible mod 26: its determinant 0/);
+    assert.throws(() => core.hillCipher('help', '13 0 0 1'), /shares the factor 13 with 26/);
+});
+
+test('Hill known-plaintext attack recovers the key matrix from a crib', () => {
+    const passage = core.CHALLENGE_PASSAGES[0].text;
+    const ciphertext = core.hillCipher(passage, 'GYBNQKURP');
+    assert.deepStrictEqual(core.crackHill(passage.slice(0, 40), ciphertext, 3).matrix, core.parseHillKey('GYBNQKURP'));
+    assert.deepStrictEqual(core.crackHill('HELP', 'HIAT', 2).matrix, [[3, 3], [2, 5]]);
+});
+
+test('Enigma matches the published vectors and is its own inverse', () => {
+    assert.strictEqual(core.enigma('AAAAA', { rotors: ['I', 'II', 'III'], reflector: 'B', rings: 'AAA', positions: 'AAA' }), 'BDZGO');
+    assert.strictEqual(core.enigma('AAAAA', { rings: 'BBB' }), 'EWTYX');
+    
+    const settings = { positions: 'QEV', plugboard: 'AB CD' };
+    assert.strictEqual(core.enigma(core.enigma('Hello world', settings), settings), 'HELLOWORLD');
+});
+
+test('Enigma double-steps the middle rotor', () => {
+    const positions = core.enigmaSteps('AAAA', { positions: 'ADU' }).map(step => step.positions);
+    assert.deepStrictEqual(positions, ['ADV', 'AEW', 'BFX', 'BFY']);
+});
+
+test('Enigma rejects a letter plugged twice and a rotor used twice', () => {
+    assert.throws(() => core.enigma('x', { plugboard: 'AB AC' }), { message: 'Plugboard letter A is already plugged' });
+    assert.throws(() => core.enigma('x', { plugboard: 'AA' }), /must join two different letters/);
+    assert.throws(() => core.enigma('x', { rotors: ['I', 'I', 'II'] }), { message: 'Each rotor can only be used once' });
+});
+
+test('Vigenère and autokey match the textbook vectors and decrypt back', () => {
+    assert.strictEqual(core.vigenereCipher('ATTACKATDAWN', 'LEMON'), 'LXFOPVEFRNHR');
+    assert.strictEqual(core.vigenereCipher('ATTACKATDAWN', 'QUEENLY', false, 'autokey'), 'QNXEPVYTWTWP');
+    assert.strictEqual(core.vigenereCipher('QNXEPVYTWTWP', 'QUEENLY', true, 'autokey'), 'ATTACKATDAWN');
+    
+    const steps = core.vigenereSteps('Attack', 'QUEENLY', false, 'autokey');
+    assert.deepStrictEqual(steps.map(step => step.key).join(''), 'QUEENL');
+});
+
+test('Beaufort is its own inverse and variant Beaufort encrypts as Vigenère decrypts', () => {
+    const beaufort = core.vigenereCipher('Attack at dawn', 'LEMON', false, 'beaufort');
+    assert.strictEqual(core.vigenereCipher(beaufort, 'LEMON', false, 'beaufort'), 'Attack at dawn');
+    assert.strictEqual(core.vigenereCipher(beaufort, 'LEMON', true, 'beaufort'), 'Attack at dawn');
+    
+    const variant = core.vigenereCipher('Attack at dawn', 'LEMON', false, 'variant-beaufort');
+    assert.strictEqual(variant, core.vigenereCipher('Attack at dawn', 'LEMON', true));
+    assert.strictEqual(core.vigenereCipher(variant, 'LEMON', true, 'variant-beaufort'), 'Attack at dawn');
+});
+
+test('running key needs a key passage at least as long as the text', () => {
+    const key = 'It was the best of times';
+    const ciphertext = core.vigenereCipher('attack at dawn', key, false, 'running-key');
+    assert.strictEqual(core.vigenereCipher(ciphertext, key, true, 'running-key'), 'attack at dawn');
+    assert.throws(() => core.vigenereCipher('attack at dawn', 'short', false, 'running-key'),
+        { message: 'Running key is too short: 5 key letters for 12 text letters' });
+    assert.throws(() => core.vigenereCipher('text', 'KEY', false, 'porta'), { message: 'Unknown Vigenère variant: porta' });
+});
+
+test('a pipeline and its saved recipe decrypt back through every stage in reverse', () => {
+    const stages = [
+        { operation: 'vigenere', params: { key: 'LEMON' } },
+        { operation: 'railfence', params: { rails: 3 } },
+        { operation: 'affine', params: { a: 5, b: 8 } },
+        { operation: 'reverse' },
+        { operation: 'base64' }
+    ];
+    const ciphertext = core.pipelineCipher('Attack at dawn!', stages);
+    const recipe = JSON.stringify(core.createRecipe(stages));
+    
+    assert.strictEqual(core.pipelineCipher(ciphertext, stages, true), 'Attack at dawn!');
+    assert.strictEqual(core.pipelineCipher(ciphertext, recipe, true), 'Attack at dawn!');
+    assert.deepStrictEqual(core.pipelineSteps(ciphertext, stages, true).map(step => step.index), [4, 3, 2, 1, 0]);
+    assert.deepStrictEqual(core.parseRecipe(recipe).stages[0].params, { key: 'LEMON', variant: 'vigenere' });
+});
+
+test('pipeline errors name the stage, and unreadable recipes are rejected', () => {
+    assert.throws(() => core.pipelineCipher('x', [{ operation: 'caesar' }, { operation: 'affine', params: { a: 13, b: 1 } }]),
+        /^Error: Stage 2 \(Affine\): Multiplier a = 13 is not coprime/);
+    assert.throws(() => core.parseRecipe('{'), { message: 'Recipe is not valid JSON' });
+    assert.throws(() => core.parseRecipe({ stages: [] }), { message: 'Not a cipher pipeline recipe' });
+    assert.throws(() => core.parseRecipe({ ...core.createRecipe([]), version: 2 }), { message: 'Unsupported recipe version 2' });
+});
+
+test('n-gram counts run across word breaks and carry the reference frequency', () => {
+    const bigrams = core.ngramFrequencies('The theme!', 2);
+    assert.strictEqual(bigrams.total, 7);
+    assert.deepStrictEqual(bigrams.data.map(entry => [entry.ngram, entry.count]), [['HE', 2], ['TH', 2], ['EM', 1], ['ET', 1], ['ME', 1]]);
+    assert.strictEqual(bigrams.data[1].expected, core.getLanguage().bigrams.TH);
+    
+    const trigrams = core.ngramFrequencies('The theme!', 3);
+    assert.deepStrictEqual([trigrams.data[0].ngram, trigrams.data[0].count, trigrams.total], ['THE', 2, 6]);
+    assert.strictEqual(trigrams.data.find(entry => entry.ngram === 'EME').expected, null);
+});
+
+test('bigram matrix and contact table count each letter\'s neighbours', () => {
+    const matrix = core.bigramMatrix('The theme');
+    const index = letter => matrix.alphabet.indexOf(letter);
+    assert.deepStrictEqual([matrix.total, matrix.max, matrix.counts[index('T')][index('H')]], [7, 2, 2]);
+    
+    const [e] = core.contactTable('The theme');
+    assert.deepStrictEqual(e, {
+        letter: 'E',
+        count: 3,
+        before: [{ letter: 'H', count: 2 }, { letter: 'M', count: 1 }],
+        after: [{ letter: 'M', count: 1 }, { letter: 'T', count: 1 }],
+        variety: 3
+    });
+});
+
+test('crib dragging finds the offset where the key fragment repeats with the key length', () => {
+    const ciphertext = core.vigenereCipher(core.CHALLENGE_PASSAGES[0].text, 'LEMON');
+    const { keyLengths, offsets } = core.cribDrag(ciphertext, 'best of times');
+    const hits = offsets.filter(entry => entry.consistentLengths.length > 0);
+    
+    assert.strictEqual(keyLengths[0], 5);
+    assert.deepStrictEqual(hits.map(entry => [entry.offset, entry.fragment, entry.consistentLengths]), [[8, 'ONLEMONLEMO', [5]]]);
+    assert.strictEqual(core.cribKey(hits[0].fragment, hits[0].offset, 5), 'LEMON');
+});
+
+test('a partly known key decrypts the letters under its known positions', () => {
+    const ciphertext = core.vigenereCipher('It was the best of times,', 'LEMON');
+    assert.strictEqual(core.partialVigenereDecrypt(ciphertext, 'LE?ON'), 'It ·as th· best ·f tim·s,');
+    assert.throws(() => core.cribDrag('ab', 'x'), { message: 'The crib needs at least two letters' });
+    assert.throws(() => core.cribDrag('abc', 'it was'), { message: 'The crib is longer than the ciphertext' });
+});